@@ -1,7 +1,27 @@
 const bcrypt = require("bcryptjs");
-const jwt = require("jsonwebtoken");
 const { Customer } = require("../model/CustomerModel");
+const { customerPrincipal, issueTokens } = require("../services/authService");
+const { revokeAllSessions } = require("../services/sessionService");
+const {
+  LOGIN_FAILED_MESSAGE,
+  loginLimiter,
+  registerFailedLogin,
+} = require("../services/loginLimiter");
+const {
+  MIN_PASSWORD_LENGTH,
+  isAcceptablePassword,
+  requestPasswordReset,
+  resetPassword,
+  changePassword,
+} = require("../services/passwordService");
 const { sendWelcomeEmail } = require("../services/emailService");
+const { serializeCustomer } = require("../serializers/customerSerializer");
+const {
+  isEmailVerified,
+  sendVerification,
+  verifyEmail,
+  resendVerification,
+} = require("../services/emailVerificationService");
 
 class CustomerController {
   /**
@@ -15,17 +35,7 @@ class CustomerController {
    *       content:
    *         application/json:
    *           schema:
-   *             type: object
-   *             required:
-   *               - emailAddress
-   *               - password
-   *             properties:
-   *               emailAddress:
-   *                 type: string
-   *                 description: The customer's email address
-   *               password:
-   *                 type: string
-   *                 description: The customer's password
+   *             $ref: '#/components/schemas/CustomerInput'
    *     responses:
    *       201:
    *         description: Customer added successfully
@@ -37,14 +47,19 @@ class CustomerController {
       const customer = new Customer(req.body);
       const salt = await bcrypt.genSalt(10);
       customer.password = await bcrypt.hash(customer.password, salt);
+      customer.emailVerified = false;
       await customer.save();
 
       // Send welcome email
       await sendWelcomeEmail(customer.emailAddress, customer.firstName);
 
-      res
-        .status(201)
-        .json({ message: "Customer added successfully", customer });
+      // Bookings stay locked until the emailed link is followed
+      await sendVerification(customer);
+
+      res.status(201).json({
+        message: "Customer added successfully",
+        customer: serializeCustomer(customer),
+      });
     } catch (error) {
       res.status(400).json({ error: error.message });
     }
@@ -71,7 +86,7 @@ class CustomerController {
   async getCustomers(req, res) {
     try {
       const customers = await Customer.find();
-      res.json(customers);
+      res.json(customers.map(serializeCustomer));
     } catch (err) {
       res.status(500).json({ error: err.message });
     }
@@ -109,7 +124,7 @@ class CustomerController {
       if (!customer)
         return res.status(404).json({ message: "Customer not found" });
 
-      res.json(customer);
+      res.json(serializeCustomer(customer));
     } catch (err) {
       res.status(500).json({ error: err.message });
     }
@@ -149,7 +164,7 @@ class CustomerController {
         return res.status(404).json({ message: "Customer not found" });
       }
 
-      res.status(200).json(customer);
+      res.status(200).json(serializeCustomer(customer));
     } catch (error) {
       res.status(400).json({ error: error.message });
     }
@@ -173,7 +188,7 @@ class CustomerController {
    *       content:
    *         application/json:
    *           schema:
-   *             type: object
+   *             $ref: '#/components/schemas/CustomerUpdateInput'
    *     responses:
    *       200:
    *         description: Customer updated successfully
@@ -228,6 +243,8 @@ class CustomerController {
       if (!customer)
         return res.status(404).json({ message: "Customer not found" });
 
+      await revokeAllSessions("customer", id, "account-deleted");
+
       res.json({ success: true });
     } catch (err) {
       res.status(500).json({ error: err.message });
@@ -245,48 +262,312 @@ class CustomerController {
    *       content:
    *         application/json:
    *           schema:
+   *             $ref: '#/components/schemas/CustomerLoginInput'
+   *     responses:
+   *       200:
+   *         description: Login successful, returns a JWT access token and a refresh token
+   *       400:
+   *         description: Invalid email or password
+   *       429:
+   *         description: Too many failed attempts, retry after the given number of seconds
+   *       500:
+   *         description: Internal server error
+   */
+  async login(req, res) {
+    const { email, password } = req.body;
+    const limiterKeys = loginLimiter.keysFor("customer", email, req.ip);
+
+    try {
+      const retryAfter = await loginLimiter.check(limiterKeys);
+      if (retryAfter) {
+        res.set("Retry-After", String(retryAfter));
+        return res.status(429).json({
+          message: "Too many failed login attempts. Please try again later.",
+          retryAfter,
+        });
+      }
+
+      const customer = await Customer.findOne({ emailAddress: email });
+      const isMatch =
+        customer && (await bcrypt.compare(password, customer.password || ""));
+      if (!isMatch) {
+        await registerFailedLogin(limiterKeys, customer);
+        return res.status(400).json({ message: LOGIN_FAILED_MESSAGE });
+      }
+
+      await loginLimiter.recordSuccess(limiterKeys);
+
+      const { token, refreshToken } = await issueTokens(
+        customerPrincipal(customer),
+        req
+      );
+
+      res.status(200).json({
+        token,
+        refreshToken,
+        email: customer.emailAddress,
+        emailVerified: isEmailVerified(customer),
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/customers/password/forgot:
+   *   post:
+   *     summary: Request a password reset email
+   *     tags: [Customers]
+   *     security: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
    *             type: object
    *             required:
    *               - email
-   *               - password
    *             properties:
    *               email:
    *                 type: string
-   *                 description: The customer's email address
+   *     responses:
+   *       200:
+   *         description: Reset email sent if the account exists
+   *       400:
+   *         description: Email missing
+   *       500:
+   *         description: Internal server error
+   */
+  async requestPasswordReset(req, res) {
+    const { email } = req.body;
+    if (!email) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Please provide an email address" });
+    }
+
+    try {
+      await requestPasswordReset("customer", email);
+      // Same answer whether or not the account exists
+      res.json({
+        success: true,
+        message:
+          "If an account exists for that email, a reset link has been sent",
+      });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/customers/password/reset:
+   *   post:
+   *     summary: Set a new password with an emailed reset token
+   *     tags: [Customers]
+   *     security: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - token
+   *               - password
+   *             properties:
+   *               token:
+   *                 type: string
    *               password:
    *                 type: string
-   *                 description: The customer's password
    *     responses:
    *       200:
-   *         description: Login successful, returns a JWT token
+   *         description: Password reset successfully
    *       400:
-   *         description: Invalid credentials
-   *       404:
-   *         description: Customer not found
+   *         description: Invalid or expired token, or weak password
    *       500:
    *         description: Internal server error
    */
-  async login(req, res) {
-    const { email, password } = req.body;
+  async resetPassword(req, res) {
+    const { token, password } = req.body;
+    if (!token || !isAcceptablePassword(password)) {
+      return res.status(400).json({
+        success: false,
+        message: `A reset token and a password of at least ${MIN_PASSWORD_LENGTH} characters are required`,
+      });
+    }
 
     try {
-      const customer = await Customer.findOne({ emailAddress: email });
-      if (!customer)
-        return res.status(404).json({ message: "Customer not found" });
+      const reset = await resetPassword("customer", token, password, req.ip);
+      if (!reset) {
+        return res
+          .status(400)
+          .json({ success: false, message: "Invalid or expired reset token" });
+      }
+      res.json({ success: true, message: "Password reset successfully" });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  }
 
-      const isMatch = await bcrypt.compare(password, customer.password);
-      if (!isMatch)
-        return res.status(400).json({ message: "Invalid credentials" });
+  /**
+   * @swagger
+   * /api/customers/password/change:
+   *   post:
+   *     summary: Change the signed-in user's password
+   *     tags: [Customers]
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - currentPassword
+   *               - newPassword
+   *             properties:
+   *               currentPassword:
+   *                 type: string
+   *               newPassword:
+   *                 type: string
+   *     responses:
+   *       200:
+   *         description: Password changed; other sessions are signed out
+   *       400:
+   *         description: Current password incorrect or new password too weak
+   *       401:
+   *         description: Not authenticated
+   *       403:
+   *         description: Not a customer account
+   *       500:
+   *         description: Internal server error
+   */
+  async changePassword(req, res) {
+    const { currentPassword, newPassword } = req.body;
+    if (!currentPassword || !isAcceptablePassword(newPassword)) {
+      return res.status(400).json({
+        success: false,
+        message: `The current password and a new password of at least ${MIN_PASSWORD_LENGTH} characters are required`,
+      });
+    }
 
-      const token = jwt.sign(
-        { id: customer._id, email: customer.emailAddress },
-        process.env.JWT_SECRET,
-        { expiresIn: "1h" }
+    try {
+      const result = await changePassword(
+        req.user,
+        currentPassword,
+        newPassword,
+        req.ip
       );
+      if (result === "not-found") {
+        return res
+          .status(404)
+          .json({ success: false, message: "Customer not found" });
+      }
+      if (result === "invalid-password") {
+        return res
+          .status(400)
+          .json({ success: false, message: "Current password is incorrect" });
+      }
+      res.json({ success: true, message: "Password changed successfully" });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  }
 
-      res.status(200).json({ token, email: customer.emailAddress });
-    } catch (error) {
-      res.status(500).json({ error: error.message });
+  /**
+   * @swagger
+   * /api/customers/verify-email:
+   *   post:
+   *     summary: Verify a customer's email address with the emailed token
+   *     tags: [Customers]
+   *     security: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - token
+   *             properties:
+   *               token:
+   *                 type: string
+   *     responses:
+   *       200:
+   *         description: Email address verified
+   *       400:
+   *         description: Invalid or expired verification token
+   *       500:
+   *         description: Internal server error
+   */
+  async verifyEmail(req, res) {
+    const { token } = req.body;
+    if (!token) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Verification token is required" });
+    }
+
+    try {
+      const customer = await verifyEmail(token);
+      if (!customer) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid or expired verification token",
+        });
+      }
+      res.json({ success: true, message: "Email address verified" });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/customers/verify-email/resend:
+   *   post:
+   *     summary: Send a new verification email to the signed-in customer
+   *     tags: [Customers]
+   *     responses:
+   *       200:
+   *         description: Verification email sent
+   *       400:
+   *         description: Email address is already verified
+   *       404:
+   *         description: Customer not found
+   *       429:
+   *         description: Too many requests, retry after the given number of seconds
+   *       500:
+   *         description: Internal server error
+   */
+  async resendVerification(req, res) {
+    try {
+      const result = await resendVerification(req.user.id);
+
+      if (result.status === "not-found") {
+        return res
+          .status(404)
+          .json({ success: false, message: "Customer not found" });
+      }
+      if (result.status === "already-verified") {
+        return res.status(400).json({
+          success: false,
+          message: "Email address is already verified",
+        });
+      }
+      if (result.status === "throttled") {
+        res.set("Retry-After", String(result.retryAfter));
+        return res.status(429).json({
+          success: false,
+          message: "Please wait before requesting another verification email",
+          retryAfter: result.retryAfter,
+        });
+      }
+
+      res.json({ success: true, message: "Verification email sent" });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
     }
   }
 }
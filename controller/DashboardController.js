@@ -3,6 +3,7 @@ const { Ticket } = require("../model/TicketModel");
 const { Staff } = require("../model/StaffModel");
 const { Customer } = require("../model/CustomerModel");
 const moment = require("moment");
+const { TICKET_STATUS } = require("../services/ticketLifecycle");
 
 class DashboardController {
   /**
@@ -38,7 +39,7 @@ class DashboardController {
    * @swagger
    * /api/Dashboard/tickets/solved/count:
    *   get:
-   *     summary: Get the count of solved tickets
+   *     summary: Get the count of solved (Completed) tickets
    *     tags: [Dashboard]
    *     responses:
    *       200:
@@ -56,7 +57,9 @@ class DashboardController {
    */
   async getSolvedTicketCount(req, res) {
     try {
-      const count = await Ticket.countDocuments({ status: "Solved" });
+      const count = await Ticket.countDocuments({
+        status: TICKET_STATUS.COMPLETED,
+      });
       res.json({ count });
     } catch (err) {
       res.status(500).json({ error: err.message });
@@ -204,7 +207,7 @@ class DashboardController {
     try {
       const count = await Ticket.countDocuments({
         staffID,
-        status: "Approved",
+        status: TICKET_STATUS.COMPLETED,
         closedDate: { $gte: startDate, $lte: endDate },
       });
 
@@ -305,7 +308,7 @@ class DashboardController {
       const solvedTicketCounts = await Ticket.aggregate([
         {
           $match: {
-            status: "Approved",
+            status: TICKET_STATUS.COMPLETED,
             closedDate: { $gte: startDate, $lte: endDate }, // Filter by the date range
           },
         },
@@ -381,7 +384,7 @@ class DashboardController {
       const departmentSolvedTickets = await Ticket.aggregate([
         {
           $match: {
-            status: "Approved",
+            status: TICKET_STATUS.COMPLETED,
           },
         },
         {
@@ -459,11 +462,12 @@ class DashboardController {
       // Format the response to include both solved and pending counts
       const result = {
         solved:
-          ticketCounts.find((ticket) => ticket.status === "Approved")?.count ||
-          0,
+          ticketCounts.find(
+            (ticket) => ticket.status === TICKET_STATUS.COMPLETED
+          )?.count || 0,
         pending:
-          ticketCounts.find((ticket) => ticket.status === "Pending")?.count ||
-          0,
+          ticketCounts.find((ticket) => ticket.status === TICKET_STATUS.PENDING)
+            ?.count || 0,
       };
 
       res.json(result);
@@ -535,12 +539,20 @@ class DashboardController {
             _id: "$_id.date", // Group by date
             solvedCount: {
               $sum: {
-                $cond: [{ $eq: ["$_id.status", "Approved"] }, "$count", 0],
+                $cond: [
+                  { $eq: ["$_id.status", TICKET_STATUS.COMPLETED] },
+                  "$count",
+                  0,
+                ],
               },
             },
             pendingCount: {
               $sum: {
-                $cond: [{ $eq: ["$_id.status", "Pending"] }, "$count", 0],
+                $cond: [
+                  { $eq: ["$_id.status", TICKET_STATUS.PENDING] },
+                  "$count",
+                  0,
+                ],
               },
             },
           },
@@ -624,7 +636,7 @@ class DashboardController {
     try {
       const recentlySolvedTicket = await Ticket.findOne({
         staffID: staffID,
-        status: "Approved",
+        status: TICKET_STATUS.COMPLETED,
       })
         .sort({ closedDate: -1 }) // Sort by closedDate in descending order to get the most recent ticket
         .limit(1); // Limit to one result to get the last solved ticket
@@ -671,7 +683,7 @@ class DashboardController {
     try {
       const solvedTickets = await Ticket.find({
         staffID: staffID,
-        status: "Approved",
+        status: TICKET_STATUS.COMPLETED,
       });
 
       res.json(solvedTickets);
@@ -726,7 +738,7 @@ class DashboardController {
       const performanceData = await Ticket.aggregate([
         {
           $match: {
-            status: "Approved",
+            status: TICKET_STATUS.COMPLETED,
             closedDate: { $gte: startDate, $lte: endDate },
           },
         },
@@ -1,6 +1,17 @@
 // controllers/DepartmentController.js
 
+const moment = require("moment");
 const { Department } = require("../model/DepartmentModel");
+const formats = require("../validation/formats");
+const { listFreeSlots } = require("../services/availabilityService");
+const {
+  hasSchedule,
+  getPublicHolidays,
+  setPublicHolidays,
+} = require("../services/scheduleService");
+
+// Longest range the free-slots listing covers in one request
+const MAX_SLOT_RANGE_DAYS = 31;
 
 class DepartmentController {
   /**
@@ -236,6 +247,146 @@ class DepartmentController {
       res.status(500).json({ error: err.message });
     }
   }
+
+  /**
+   * @swagger
+   * /api/departments/{id}/slots:
+   *   get:
+   *     summary: List the free appointment slots of a department
+   *     description: >
+   *       Slots come from the department's weekly schedule, minus breaks,
+   *       closures and public holidays. Slots that are full or have already
+   *       started are left out. Defaults to the next 7 days.
+   *     tags: [Departments]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         schema:
+   *           type: string
+   *         required: true
+   *       - in: query
+   *         name: from
+   *         schema:
+   *           type: string
+   *           format: date
+   *       - in: query
+   *         name: to
+   *         schema:
+   *           type: string
+   *           format: date
+   *     responses:
+   *       200:
+   *         description: Free slots grouped by date
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: array
+   *               items:
+   *                 type: object
+   *                 properties:
+   *                   date:
+   *                     type: string
+   *                     format: date
+   *                   closed:
+   *                     type: string
+   *                   slots:
+   *                     type: array
+   *                     items:
+   *                       type: object
+   *                       properties:
+   *                         time:
+   *                           type: string
+   *                           example: "09:30"
+   *                         startsAt:
+   *                           type: string
+   *                           format: date-time
+   *                         remaining:
+   *                           type: integer
+   *       400:
+   *         description: Invalid date range, or the department has no schedule
+   *       404:
+   *         description: Department not found
+   */
+  async getFreeSlots(req, res) {
+    const { id } = req.params;
+    const from = req.query.from || moment().format("YYYY-MM-DD");
+    const to =
+      req.query.to ||
+      moment(from, "YYYY-MM-DD").add(6, "days").format("YYYY-MM-DD");
+
+    if (![from, to].every((date) => formats.date.test(String(date)))) {
+      return res.status(400).json({
+        success: false,
+        message: "from and to must be dates in YYYY-MM-DD format",
+      });
+    }
+    const days = moment(to).diff(moment(from), "days");
+    if (days < 0 || days >= MAX_SLOT_RANGE_DAYS) {
+      return res.status(400).json({
+        success: false,
+        message: `to must be on or after from, and within ${MAX_SLOT_RANGE_DAYS} days of it`,
+      });
+    }
+
+    try {
+      const department = await Department.findById(id);
+      if (!department)
+        return res.status(404).json({ message: "Department not found" });
+      if (!hasSchedule(department)) {
+        return res.status(400).json({
+          success: false,
+          message: "This department has not published its opening hours",
+        });
+      }
+
+      res.json(await listFreeSlots(department, from, to));
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/departments/holidays:
+   *   get:
+   *     summary: List public holidays, when every department is closed
+   *     tags: [Departments]
+   *     responses:
+   *       200:
+   *         description: Public holidays in date order
+   */
+  async getPublicHolidays(req, res) {
+    try {
+      res.json(await getPublicHolidays());
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/departments/holidays:
+   *   put:
+   *     summary: Replace the list of public holidays (admin only)
+   *     tags: [Departments]
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/PublicHolidaysInput'
+   *     responses:
+   *       200:
+   *         description: Public holidays saved
+   */
+  async updatePublicHolidays(req, res) {
+    try {
+      const holidays = await setPublicHolidays(req.body.holidays, req.user.id);
+      res.json({ success: true, holidays });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  }
 }
 
 module.exports = new DepartmentController();
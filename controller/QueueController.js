@@ -0,0 +1,175 @@
+const { Department } = require("../model/DepartmentModel");
+const { Customer } = require("../model/CustomerModel");
+const {
+  issueNumber,
+  callNext,
+  markServed,
+  markSkipped,
+  getQueueStatus,
+} = require("../services/queueService");
+
+const departmentNotFound = (res) =>
+  res.status(404).json({ success: false, message: "Department not found" });
+
+const entryNotFound = (res, message) =>
+  res.status(404).json({
+    success: false,
+    message: message || "Queue entry not found",
+  });
+
+class QueueController {
+  /**
+   * Give a walk-in a number in a department's queue
+   */
+  async issueNumber(req, res) {
+    const { departmentID } = req.params;
+    try {
+      const department = await Department.findById(departmentID);
+      if (!department) return departmentNotFound(res);
+
+      const walkIn = { ...req.body };
+      if (req.user.type === "customer") {
+        // Citizens take a number for themselves, e.g. from a kiosk
+        walkIn.customerID = req.user.id;
+      } else if (
+        walkIn.customerID &&
+        !(await Customer.exists({ _id: walkIn.customerID }))
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: "Customer not found",
+        });
+      }
+
+      const { entry, ahead, estimatedWaitMinutes, duplicate } =
+        await issueNumber(department, walkIn);
+      if (duplicate) {
+        return res.status(409).json({
+          success: false,
+          message: "Already in the queue for this department today",
+          token: duplicate.token,
+          entry: duplicate,
+        });
+      }
+      res.status(201).json({
+        success: true,
+        token: entry.token,
+        ahead,
+        estimatedWaitMinutes,
+        entry,
+      });
+    } catch (err) {
+      console.error("Error issuing queue number:", err);
+      res.status(500).json({
+        success: false,
+        error: "Server error occurred while issuing a queue number.",
+      });
+    }
+  }
+
+  /**
+   * Call the next walk-in to the calling staff member
+   */
+  async callNext(req, res) {
+    const { departmentID } = req.params;
+    const { counterID } = req.body;
+    try {
+      const department = await Department.findById(departmentID);
+      if (!department) return departmentNotFound(res);
+      if (counterID && !department.counters.id(counterID)) {
+        return res.status(400).json({
+          success: false,
+          message: "Counter not found in this department",
+        });
+      }
+
+      const entry = await callNext(department, req.user, counterID);
+      if (!entry) return entryNotFound(res, "Nobody is waiting");
+
+      res.json({ success: true, token: entry.token, entry });
+    } catch (err) {
+      console.error("Error calling next walk-in:", err);
+      res.status(500).json({
+        success: false,
+        error: "Server error occurred while calling the next walk-in.",
+      });
+    }
+  }
+
+  /**
+   * Record that a called walk-in has been served
+   */
+  async markServed(req, res) {
+    const { departmentID, entryId } = req.params;
+    try {
+      const department = await Department.findById(departmentID);
+      if (!department) return departmentNotFound(res);
+
+      const result = await markServed(department, entryId, req.user);
+      if (!result) {
+        return entryNotFound(res, "No called walk-in with this entry");
+      }
+
+      res.json({
+        success: true,
+        message: "Walk-in served",
+        entry: result.entry,
+        reference: result.ticket.reference,
+      });
+    } catch (err) {
+      console.error("Error marking walk-in served:", err);
+      res.status(500).json({
+        success: false,
+        error: "Server error occurred while updating the queue.",
+      });
+    }
+  }
+
+  /**
+   * Take a walk-in who did not come forward out of the queue
+   */
+  async markSkipped(req, res) {
+    const { departmentID, entryId } = req.params;
+    try {
+      const department = await Department.findById(departmentID);
+      if (!department) return departmentNotFound(res);
+
+      const entry = await markSkipped(department, entryId, req.user);
+      if (!entry) {
+        return entryNotFound(
+          res,
+          "No waiting or called walk-in with this entry"
+        );
+      }
+
+      res.json({ success: true, message: "Walk-in skipped", entry });
+    } catch (err) {
+      console.error("Error skipping walk-in:", err);
+      res.status(500).json({
+        success: false,
+        error: "Server error occurred while updating the queue.",
+      });
+    }
+  }
+
+  /**
+   * Live queue status for a lobby display
+   */
+  async getStatus(req, res) {
+    const { departmentID } = req.params;
+    try {
+      const department = await Department.findById(departmentID);
+      if (!department) return departmentNotFound(res);
+
+      res.json(await getQueueStatus(department));
+    } catch (err) {
+      console.error("Error retrieving queue status:", err);
+      res.status(500).json({
+        success: false,
+        error: "Server error occurred while retrieving the queue status.",
+      });
+    }
+  }
+}
+
+module.exports = new QueueController();
@@ -0,0 +1,140 @@
+// controllers/SessionController.js
+
+const { Customer } = require("../model/CustomerModel");
+const { Staff } = require("../model/StaffModel");
+const {
+  customerPrincipal,
+  staffPrincipal,
+  signAccessToken,
+} = require("../services/authService");
+const {
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  listActiveSessions,
+} = require("../services/sessionService");
+
+/**
+ * Load the current principal of a session's owner, or null if the account is gone
+ */
+const loadPrincipal = async (session) => {
+  if (session.userType === "staff") {
+    const staff = await Staff.findById(session.userID);
+    return staff && staffPrincipal(staff);
+  }
+  const customer = await Customer.findById(session.userID);
+  return customer && customerPrincipal(customer);
+};
+
+class SessionController {
+  /**
+   * Exchange a refresh token for a new access token and refresh token
+   */
+  async refresh(req, res) {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Refresh token is required" });
+    }
+
+    try {
+      const rotated = await rotateSession(refreshToken);
+      if (!rotated) {
+        return res.status(401).json({
+          success: false,
+          message: "Invalid or expired refresh token",
+        });
+      }
+
+      const { session } = rotated;
+      const principal = await loadPrincipal(session);
+      if (!principal) {
+        await revokeAllSessions(
+          session.userType,
+          session.userID,
+          "account-deleted"
+        );
+        return res
+          .status(401)
+          .json({ success: false, message: "Account no longer exists" });
+      }
+
+      res.json({
+        success: true,
+        token: signAccessToken(principal, session._id),
+        refreshToken: rotated.refreshToken,
+      });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  }
+
+  /**
+   * Revoke the session of the presented access token
+   */
+  async logout(req, res) {
+    const { type, id, sessionID } = req.user;
+    try {
+      await revokeSession(type, id, sessionID);
+      res.json({ success: true, message: "Logged out successfully" });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  }
+
+  /**
+   * Revoke every session of the caller, on all devices
+   */
+  async logoutAll(req, res) {
+    const { type, id } = req.user;
+    try {
+      const count = await revokeAllSessions(type, id, "logout-all");
+      res.json({
+        success: true,
+        message: "Logged out of all sessions",
+        count,
+      });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  }
+
+  /**
+   * List the caller's active sessions
+   */
+  async getSessions(req, res) {
+    const { type, id, sessionID } = req.user;
+    try {
+      const sessions = await listActiveSessions(type, id);
+      res.json(
+        sessions.map((session) => ({
+          ...session,
+          current: session._id.toString() === sessionID,
+        }))
+      );
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  }
+
+  /**
+   * Revoke one of the caller's sessions
+   */
+  async endSession(req, res) {
+    const { type, id } = req.user;
+    try {
+      const revoked = await revokeSession(type, id, req.params.sessionId);
+      if (!revoked) {
+        return res
+          .status(404)
+          .json({ success: false, message: "Session not found" });
+      }
+      res.json({ success: true, message: "Session revoked" });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  }
+}
+
+module.exports = new SessionController();
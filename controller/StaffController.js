@@ -2,7 +2,25 @@
 
 const { Staff } = require("../model/StaffModel");
 const bcrypt = require("bcryptjs");
-const jwt = require("jsonwebtoken");
+const {
+  signChallengeToken,
+  completeStaffLogin,
+} = require("../services/authService");
+const { isTwoFactorRequired } = require("../services/twoFactorService");
+const { revokeAllSessions } = require("../services/sessionService");
+const {
+  LOGIN_FAILED_MESSAGE,
+  loginLimiter,
+  registerFailedLogin,
+} = require("../services/loginLimiter");
+const { serializeStaff } = require("../serializers/staffSerializer");
+const {
+  MIN_PASSWORD_LENGTH,
+  isAcceptablePassword,
+  requestPasswordReset,
+  resetPassword,
+  changePassword,
+} = require("../services/passwordService");
 
 class StaffController {
   /**
@@ -71,6 +89,8 @@ class StaffController {
         role: req.body.role,
         hireDate: req.body.hireDate,
         permission: req.body.permission,
+        skills: req.body.skills,
+        slotCapacity: req.body.slotCapacity,
       });
 
       // Save the staff object
@@ -107,7 +127,10 @@ class StaffController {
    *             password: "securePassword123"
    *     responses:
    *       200:
-   *         description: Login successful, returns a JWT token and staff details
+   *         description: >
+   *           Login successful, returns a JWT token and staff details.
+   *           With two-factor authentication, returns twoFactorRequired (or
+   *           twoFactorSetupRequired) and a challengeToken instead.
    *         content:
    *           application/json:
    *             schema:
@@ -122,6 +145,14 @@ class StaffController {
    *                 token:
    *                   type: string
    *                   example: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
+   *                 refreshToken:
+   *                   type: string
+   *                 twoFactorRequired:
+   *                   type: boolean
+   *                 twoFactorSetupRequired:
+   *                   type: boolean
+   *                 challengeToken:
+   *                   type: string
    *                 staff:
    *                   $ref: '#/components/schemas/StaffDetails'
    *       400:
@@ -130,6 +161,8 @@ class StaffController {
    *           application/json:
    *             schema:
    *               $ref: '#/components/schemas/ErrorResponse'
+   *       429:
+   *         description: Too many failed attempts, retry after the given number of seconds
    *       500:
    *         description: Internal server error
    *         content:
@@ -150,47 +183,56 @@ class StaffController {
         });
     }
 
+    const limiterKeys = loginLimiter.keysFor("staff", email, req.ip);
+
     try {
-      // Find the staff member by email
-      const staff = await Staff.findOne({ emailAddress: email });
-      if (!staff) {
-        return res
-          .status(400)
-          .json({ success: false, message: "Invalid email" });
+      // Back off repeated failures for this account or IP
+      const retryAfter = await loginLimiter.check(limiterKeys);
+      if (retryAfter) {
+        res.set("Retry-After", String(retryAfter));
+        return res.status(429).json({
+          success: false,
+          message: "Too many failed login attempts. Please try again later.",
+          retryAfter,
+        });
       }
 
-      // Compare the provided password with the hashed password
-      const isMatch = await bcrypt.compare(password, staff.password);
+      // Find the staff member by email and compare the password hash.
+      // Both failures get the same message so accounts can't be enumerated.
+      const staff = await Staff.findOne({ emailAddress: email });
+      const isMatch =
+        staff && (await bcrypt.compare(password, staff.password || ""));
       if (!isMatch) {
+        await registerFailedLogin(limiterKeys, staff);
         return res
           .status(400)
-          .json({ success: false, message: "Invalid password" });
+          .json({ success: false, message: LOGIN_FAILED_MESSAGE });
       }
 
-      // Generate a token (optional)
-      const token = jwt.sign(
-        { id: staff._id, email: staff.emailAddress },
-        process.env.JWT_SECRET, // Make sure to set this in your .env file
-        { expiresIn: "1h" } // Token expiry time
-      );
+      await loginLimiter.recordSuccess(limiterKeys);
+
+      // Second step: a TOTP or recovery code at /api/staff/login/2fa
+      if (staff.twoFactorEnabled) {
+        return res.json({
+          success: true,
+          message: "Enter the code from your authenticator app",
+          twoFactorRequired: true,
+          challengeToken: signChallengeToken(staff, "2fa-login"),
+        });
+      }
+
+      // The role requires 2FA but it isn't set up yet: enrol before signing in
+      if (await isTwoFactorRequired(staff)) {
+        return res.json({
+          success: true,
+          message: "Two-factor authentication must be set up for your role",
+          twoFactorSetupRequired: true,
+          challengeToken: signChallengeToken(staff, "2fa-setup"),
+        });
+      }
 
       // Send the response with token and staff details
-      res.json({
-        success: true,
-        message: "Login successful",
-        token,
-        staff: {
-          id: staff._id,
-          firstName: staff.firstName,
-          lastName: staff.lastName,
-          email: staff.emailAddress,
-          phoneNumber: staff.phoneNumber,
-          departmentID: staff.departmentID,
-          role: staff.role,
-          hireDate: staff.hireDate,
-          permission: staff.permission,
-        },
-      });
+      res.json(await completeStaffLogin(staff, req));
     } catch (err) {
       res.status(500).json({ success: false, error: err.message });
     }
@@ -221,7 +263,7 @@ class StaffController {
   async getStaff(req, res) {
     try {
       const staff = await Staff.find();
-      res.json(staff);
+      res.json(staff.map((member) => serializeStaff(member, req.user)));
     } catch (err) {
       res.status(500).json({ error: err.message });
     }
@@ -266,7 +308,7 @@ class StaffController {
       const staff = await Staff.findById(id);
       if (!staff) return res.status(404).json({ message: "Staff not found" });
 
-      res.json(staff);
+      res.json(serializeStaff(staff, req.user));
     } catch (err) {
       res.status(500).json({ error: err.message });
     }
@@ -296,10 +338,11 @@ class StaffController {
    *             lastName: "Smith"
    *             phoneNumber: "+0987654321"
    *             role: "Senior Manager"
-   *             password: "newSecurePassword456"
    *     responses:
    *       200:
    *         description: Staff member updated successfully
+   *       400:
+   *         description: Password changes are not accepted here
    *         content:
    *           application/json:
    *             schema:
@@ -319,18 +362,11 @@ class StaffController {
    */
   async updateStaff(req, res) {
     const { id } = req.params;
-    const { password } = req.body;
 
     try {
       let staff = await Staff.findById(id);
       if (!staff) return res.status(404).json({ message: "Staff not found" });
 
-      // If password is provided, hash it
-      if (password) {
-        const hashedPassword = await bcrypt.hash(password, 12);
-        req.body.password = hashedPassword;
-      }
-
       // Update staff details
       Object.assign(staff, req.body);
       await staff.save();
@@ -380,11 +416,175 @@ class StaffController {
       const staff = await Staff.findByIdAndDelete(id);
       if (!staff) return res.status(404).json({ message: "Staff not found" });
 
+      await revokeAllSessions("staff", id, "account-deleted");
+
       res.json({ success: true });
     } catch (err) {
       res.status(500).json({ error: err.message });
     }
   }
+
+  /**
+   * @swagger
+   * /api/staff/password/forgot:
+   *   post:
+   *     summary: Request a password reset email
+   *     tags: [Staff]
+   *     security: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - email
+   *             properties:
+   *               email:
+   *                 type: string
+   *     responses:
+   *       200:
+   *         description: Reset email sent if the account exists
+   *       400:
+   *         description: Email missing
+   *       500:
+   *         description: Internal server error
+   */
+  async requestPasswordReset(req, res) {
+    const { email } = req.body;
+    if (!email) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Please provide an email address" });
+    }
+
+    try {
+      await requestPasswordReset("staff", email);
+      // Same answer whether or not the account exists
+      res.json({
+        success: true,
+        message:
+          "If an account exists for that email, a reset link has been sent",
+      });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/staff/password/reset:
+   *   post:
+   *     summary: Set a new password with an emailed reset token
+   *     tags: [Staff]
+   *     security: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - token
+   *               - password
+   *             properties:
+   *               token:
+   *                 type: string
+   *               password:
+   *                 type: string
+   *     responses:
+   *       200:
+   *         description: Password reset successfully
+   *       400:
+   *         description: Invalid or expired token, or weak password
+   *       500:
+   *         description: Internal server error
+   */
+  async resetPassword(req, res) {
+    const { token, password } = req.body;
+    if (!token || !isAcceptablePassword(password)) {
+      return res.status(400).json({
+        success: false,
+        message: `A reset token and a password of at least ${MIN_PASSWORD_LENGTH} characters are required`,
+      });
+    }
+
+    try {
+      const reset = await resetPassword("staff", token, password, req.ip);
+      if (!reset) {
+        return res
+          .status(400)
+          .json({ success: false, message: "Invalid or expired reset token" });
+      }
+      res.json({ success: true, message: "Password reset successfully" });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/staff/password/change:
+   *   post:
+   *     summary: Change the signed-in user's password
+   *     tags: [Staff]
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - currentPassword
+   *               - newPassword
+   *             properties:
+   *               currentPassword:
+   *                 type: string
+   *               newPassword:
+   *                 type: string
+   *     responses:
+   *       200:
+   *         description: Password changed; other sessions are signed out
+   *       400:
+   *         description: Current password incorrect or new password too weak
+   *       401:
+   *         description: Not authenticated
+   *       403:
+   *         description: Not a staff account
+   *       500:
+   *         description: Internal server error
+   */
+  async changePassword(req, res) {
+    const { currentPassword, newPassword } = req.body;
+    if (!currentPassword || !isAcceptablePassword(newPassword)) {
+      return res.status(400).json({
+        success: false,
+        message: `The current password and a new password of at least ${MIN_PASSWORD_LENGTH} characters are required`,
+      });
+    }
+
+    try {
+      const result = await changePassword(
+        req.user,
+        currentPassword,
+        newPassword,
+        req.ip
+      );
+      if (result === "not-found") {
+        return res
+          .status(404)
+          .json({ success: false, message: "Staff not found" });
+      }
+      if (result === "invalid-password") {
+        return res
+          .status(400)
+          .json({ success: false, message: "Current password is incorrect" });
+      }
+      res.json({ success: true, message: "Password changed successfully" });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  }
 }
 
 module.exports = new StaffController();
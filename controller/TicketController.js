@@ -1,40 +1,303 @@
 const { Ticket } = require("../model/TicketModel");
+const { Customer } = require("../model/CustomerModel");
+const { Department } = require("../model/DepartmentModel");
+const { isEmailVerified } = require("../services/emailVerificationService");
+const { getBookingAvailability } = require("../services/availabilityService");
+const {
+  holdSlot,
+  confirmHold,
+  releaseHold,
+  reserveForTicket,
+  releaseTicket,
+} = require("../services/reservationService");
 const moment = require("moment");
+const { ROLES } = require("../middleware/authorize");
+const {
+  TICKET_STATUS,
+  SLOT_RELEASING_STATUSES,
+  nextStatuses,
+  canTransition,
+  isClosed,
+} = require("../services/ticketLifecycle");
+const {
+  snapshotTicket,
+  diffTicket,
+  recordTicketHistory,
+  saveWithHistory,
+  getTicketHistory,
+} = require("../services/ticketHistoryService");
+const {
+  postComment,
+  listComments,
+} = require("../services/ticketCommentService");
+const {
+  saveAttachments,
+  listAttachments,
+  openAttachment,
+} = require("../services/attachmentService");
+const { assignTicket } = require("../services/assignmentService");
+const { recordAudit } = require("../services/auditService");
+const { serializeTicket } = require("../serializers/ticketSerializer");
+const { ASSIGNMENT_STRATEGY } = require("../services/assignmentStrategies");
+const { nextTicketReference } = require("../services/ticketReferenceService");
+const {
+  rescheduleProblem,
+  cancellationProblem,
+} = require("../services/ticketChangeRules");
+const {
+  notifyRescheduled,
+  notifyCancelled,
+} = require("../services/ticketNotificationService");
+const {
+  checkInProblem,
+  recordNoShow,
+  bookingRestriction,
+} = require("../services/attendanceService");
+const { TicketSeries } = require("../model/TicketSeriesModel");
+const {
+  occurrenceTimes,
+  createSeries,
+  cancelSeries,
+  rescheduleSeries,
+} = require("../services/ticketSeriesService");
+const {
+  offerFreedSlots,
+  markOfferBooked,
+} = require("../services/waitlistService");
+
+// Fields a customer may change on their own ticket. Moving or cancelling the
+// appointment goes through reschedule and cancel, which apply the
+// department's change rules.
+const CUSTOMER_EDITABLE_FIELDS = ["issueDescription"];
+
+/**
+ * Build the query filter limiting the caller to the tickets they may see.
+ * Admins see every ticket, other staff only their own department's and
+ * customers only their own.
+ */
+const ticketScope = (user) => {
+  if (user.type === "customer") {
+    return { customerID: user.id };
+  }
+  if (user.role !== ROLES.ADMIN) {
+    return { departmentID: user.departmentID };
+  }
+  return {};
+};
+
+/**
+ * A ticket's appointment time, including tickets booked before
+ * appointmentDateTime was stored
+ */
+const appointmentOf = (ticket) =>
+  moment(
+    ticket.appointmentDateTime ||
+      `${moment(ticket.appointmentDate).format("YYYY-MM-DD")} ${
+        ticket.appointmentTime
+      }`
+  );
+
+/**
+ * Check a customer's change against their own ticket.
+ * Returns an error response body, or null if the change is allowed.
+ */
+const checkCustomerChange = (ticket, body) => {
+  const restrictedFields = Object.keys(body || {}).filter(
+    (field) => !CUSTOMER_EDITABLE_FIELDS.includes(field)
+  );
+  if (restrictedFields.length) {
+    return {
+      status: 403,
+      body: {
+        success: false,
+        message: "Customers cannot update these fields",
+        fields: restrictedFields,
+      },
+    };
+  }
+
+  if (ticket.status !== TICKET_STATUS.PENDING) {
+    return {
+      status: 400,
+      body: {
+        success: false,
+        message: "Only pending tickets can be changed",
+      },
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Turn a refused slot claim into an error response body, or null if the
+ * seats were taken
+ */
+const slotRefusal = (result) => {
+  if (result.error || result.outsideHours) {
+    return {
+      status: 400,
+      body: { success: false, message: result.error || result.outsideHours },
+    };
+  }
+  if (result.full) {
+    return {
+      status: 400,
+      body: { success: false, message: "This slot is already booked." },
+    };
+  }
+  return null;
+};
+
+/**
+ * Check who is booking what before any seats are taken: the customer must
+ * exist and be verified, may not be barred from booking online, and the
+ * reason must be one the department offers.
+ * Returns { department }, or an error response body.
+ */
+const checkBooking = async (user, ticketData) => {
+  // Unverified accounts may not hold appointment slots
+  const customer = await Customer.findById(ticketData.customerID);
+  if (!customer) {
+    return {
+      status: 400,
+      body: { success: false, message: "Customer not found" },
+    };
+  }
+  if (!isEmailVerified(customer)) {
+    return {
+      status: 403,
+      body: {
+        success: false,
+        message: "Please verify your email address before booking",
+      },
+    };
+  }
+
+  const department = await Department.findById(ticketData.departmentID);
+  if (!department) {
+    return {
+      status: 400,
+      body: { success: false, message: "Department not found" },
+    };
+  }
+  // Staff may still book for citizens whose online booking is paused
+  const restriction =
+    user.type === "customer" && bookingRestriction(customer, department);
+  if (restriction) {
+    return { status: 403, body: { success: false, message: restriction } };
+  }
+
+  const { appointmentReasons } = department;
+  if (
+    ticketData.appointmentReason &&
+    appointmentReasons.length &&
+    !appointmentReasons.includes(ticketData.appointmentReason)
+  ) {
+    return {
+      status: 400,
+      body: {
+        success: false,
+        message: "Choose one of the department's appointment reasons",
+        appointmentReasons,
+      },
+    };
+  }
+
+  return { department };
+};
+
+/**
+ * The availability of a slot as reported to clients
+ */
+const describeAvailability = (availability) => {
+  if (availability.outsideHours) {
+    return {
+      available: false,
+      remaining: 0,
+      message: availability.outsideHours,
+    };
+  }
+
+  const { capacity, booked, remaining, limitedBy } = availability;
+  return {
+    available: remaining > 0,
+    capacity,
+    booked,
+    remaining,
+    limitedBy,
+    message:
+      remaining > 0 ? "Time slot is available" : "This slot is already booked.",
+  };
+};
+
+/**
+ * The visits of a series as listed to clients
+ */
+const formatVisit = (ticket) => ({
+  _id: ticket._id,
+  reference: ticket.reference,
+  seriesIndex: ticket.seriesIndex,
+  status: ticket.status,
+  appointmentDateTime: ticket.appointmentDateTime,
+  slotCount: ticket.slotCount || 1,
+  ...(ticket.staffID && { staffID: ticket.staffID }),
+});
 
 class TicketController {
   /**
-   * Check if a specific time slot is available
+   * Check how much capacity a time slot has left in a department
    */
   async checkAvailability(req, res) {
-    const { date, time } = req.body;
+    const {
+      date,
+      time,
+      departmentID,
+      counterID,
+      staffID,
+      slotCount,
+      recurrence,
+    } = req.body;
     try {
       // Convert date and time to a moment object
       const requestedDateTime = moment(`${date} ${time}`, "YYYY-MM-DD HH:mm");
+      const slots = recurrence
+        ? occurrenceTimes(requestedDateTime, recurrence)
+        : [requestedDateTime.toDate()];
 
-      // Find any appointments for this date and time
-      const existingAppointment = await Ticket.findOne({
-        $or: [
-          {
-            appointmentDateTime: requestedDateTime.toDate(),
-          },
-          {
-            appointmentDate: moment(date).startOf("day").toDate(),
-            appointmentTime: time,
-          },
-        ],
-        status: { $ne: "Rejected" },
-      });
-
-      if (existingAppointment) {
-        return res.json({
-          available: false,
-          message: "This slot is already booked.",
+      const occurrences = [];
+      for (const slot of slots) {
+        const availability = await getBookingAvailability({
+          departmentID,
+          counterID,
+          staffID,
+          slot,
+          slotCount,
+        });
+        if (availability.error) {
+          return res
+            .status(400)
+            .json({ success: false, message: availability.error });
+        }
+        occurrences.push({
+          appointmentDateTime: slot,
+          ...describeAvailability(availability),
         });
       }
 
+      if (!recurrence) {
+        const { appointmentDateTime, ...single } = occurrences[0];
+        return res.json(single);
+      }
+
+      // A series can only be booked if every visit has room
+      const unavailable = occurrences.filter(({ available }) => !available);
       return res.json({
-        available: true,
-        message: "Time slot is available",
+        available: unavailable.length === 0,
+        occurrences,
+        message: unavailable.length
+          ? `${unavailable.length} of ${occurrences.length} visits are not available`
+          : "Every visit is available",
       });
     } catch (error) {
       console.error("Error checking availability:", error);
@@ -45,51 +308,164 @@ class TicketController {
     }
   }
 
+  /**
+   * Hold a slot for a few minutes while the booking form is filled in
+   */
+  async holdSlot(req, res) {
+    const { departmentID, counterID, staffID, slotCount, appointmentDateTime } =
+      req.body;
+    try {
+      // Customers are held to the same checks as booking, so unverified or
+      // barred accounts can't tie up slots
+      if (req.user.type === "customer") {
+        const checked = await checkBooking(req.user, {
+          customerID: req.user.id,
+          departmentID,
+        });
+        if (checked.body) return res.status(checked.status).json(checked.body);
+      }
+
+      const result = await holdSlot(
+        {
+          departmentID,
+          counterID,
+          staffID,
+          slot: moment(appointmentDateTime).toDate(),
+          slotCount,
+        },
+        req.user.id
+      );
+      if (result.holdLimit) {
+        return res.status(429).json({
+          success: false,
+          message: `You can hold at most ${result.holdLimit} slots at a time. Book or release one first.`,
+        });
+      }
+
+      const refused = slotRefusal(result);
+      if (refused) return res.status(refused.status).json(refused.body);
+
+      res.status(201).json({
+        success: true,
+        holdID: result.holdID,
+        expiresAt: result.expiresAt,
+      });
+    } catch (err) {
+      console.error("Error holding slot:", err);
+      res.status(500).json({
+        success: false,
+        error: "Server error occurred.",
+      });
+    }
+  }
+
+  /**
+   * Give up a slot hold before it expires
+   */
+  async releaseHold(req, res) {
+    try {
+      const released = await releaseHold(req.params.holdId, req.user.id);
+      if (!released) {
+        return res.status(404).json({
+          success: false,
+          message: "Hold not found",
+        });
+      }
+      res.json({ success: true, message: "Hold released" });
+    } catch (err) {
+      console.error("Error releasing hold:", err);
+      res.status(500).json({
+        success: false,
+        error: "Server error occurred.",
+      });
+    }
+  }
+
   /**
    * Add a new ticket
    */
   async addTicket(req, res) {
-    const ticketData = req.body;
+    const ticketData = { ...req.body };
+    if (req.user.type === "customer") {
+      // Customers always book for themselves
+      ticketData.customerID = req.user.id;
+    }
     const bookingTime = moment(
       ticketData.appointmentDateTime ||
         `${ticketData.appointmentDate} ${ticketData.appointmentTime}`
     );
 
     try {
-      // Check for existing appointments
-      const existingAppointment = await Ticket.findOne({
-        $or: [
-          {
-            appointmentDateTime: bookingTime.toDate(),
-          },
-          {
-            appointmentDate: bookingTime.startOf("day").toDate(),
-            appointmentTime: bookingTime.format("HH:mm:ss"),
-          },
-        ],
-        status: { $ne: "Rejected" },
-      });
-
-      if (existingAppointment) {
-        return res.status(400).json({
-          success: false,
-          message: "This slot is already booked.",
-        });
-      }
+      const checked = await checkBooking(req.user, ticketData);
+      if (checked.body) return res.status(checked.status).json(checked.body);
+      const { department } = checked;
 
-      // Save ticket if slot is available
+      const { holdID, ...fields } = ticketData;
       const newTicket = new Ticket({
-        ...ticketData,
+        ...fields,
         appointmentDateTime: bookingTime.toDate(),
-        appointmentDate: bookingTime.startOf("day").toDate(),
+        appointmentDate: bookingTime.clone().startOf("day").toDate(),
         appointmentTime: bookingTime.format("HH:mm:ss"),
       });
+      const booking = {
+        departmentID: fields.departmentID,
+        counterID: fields.counterID,
+        staffID: fields.staffID,
+        slot: bookingTime.toDate(),
+        slotCount: fields.slotCount,
+      };
+
+      // Take the slot's seats before saving, so two bookings cannot both
+      // get the last one
+      if (holdID) {
+        const confirmed = await confirmHold(
+          holdID,
+          req.user.id,
+          booking,
+          newTicket._id
+        );
+        if (!confirmed) {
+          return res.status(409).json({
+            success: false,
+            message:
+              "Your hold has expired or is for a different slot, please choose the slot again",
+          });
+        }
+      } else {
+        const refused = slotRefusal(
+          await reserveForTicket(booking, newTicket._id)
+        );
+        if (refused) return res.status(refused.status).json(refused.body);
+      }
 
-      await newTicket.save();
+      try {
+        // Hand the ticket to a staff member now that its slot is secured; if
+        // nobody is free it waits to be assigned by hand
+        if (!fields.staffID) {
+          await assignTicket(newTicket, department, booking);
+        }
+        newTicket.reference = await nextTicketReference(
+          department,
+          newTicket.createdDate
+        );
+        await newTicket.save();
+      } catch (err) {
+        await releaseTicket(newTicket._id);
+        throw err;
+      }
+      if (holdID) await markOfferBooked(holdID, newTicket._id);
+
+      await recordTicketHistory({
+        ticketID: newTicket._id,
+        actor: req.user,
+        action: "created",
+        changes: diffTicket(null, newTicket),
+      });
 
       res.status(201).json({
         success: true,
         message: "Ticket created successfully",
+        ticket: serializeTicket(newTicket, req.user),
       });
     } catch (err) {
       console.error("Error creating ticket:", err);
@@ -100,33 +476,179 @@ class TicketController {
     }
   }
 
+  /**
+   * Book a recurring series of appointments, every visit or none
+   */
+  async createSeries(req, res) {
+    const { recurrence, ...ticketData } = req.body;
+    if (req.user.type === "customer") {
+      // Customers always book for themselves
+      ticketData.customerID = req.user.id;
+    }
+    const firstVisit = moment(
+      ticketData.appointmentDateTime ||
+        `${ticketData.appointmentDate} ${ticketData.appointmentTime}`
+    );
+
+    try {
+      const checked = await checkBooking(req.user, ticketData);
+      if (checked.body) return res.status(checked.status).json(checked.body);
+
+      const { appointmentDate, appointmentTime, ...fields } = ticketData;
+      const result = await createSeries(
+        { ...fields, appointmentDateTime: firstVisit.toDate() },
+        recurrence,
+        checked.department,
+        req.user
+      );
+      const refused = slotRefusal(result);
+      if (refused) {
+        return res
+          .status(refused.status)
+          .json({ ...refused.body, failedAt: result.failedAt });
+      }
+
+      res.status(201).json({
+        success: true,
+        message: "Appointment series created successfully",
+        series: result.series,
+        tickets: result.tickets.map(formatVisit),
+      });
+    } catch (err) {
+      console.error("Error creating ticket series:", err);
+      res.status(500).json({
+        success: false,
+        error: "Server error occurred while creating the appointment series.",
+      });
+    }
+  }
+
+  /**
+   * Retrieve a series with all of its visits
+   */
+  async getSeries(req, res) {
+    const { seriesId } = req.params;
+    try {
+      const series = await TicketSeries.findOne({
+        _id: seriesId,
+        ...ticketScope(req.user),
+      }).lean();
+      if (!series) {
+        return res.status(404).json({
+          success: false,
+          message: "Series not found",
+        });
+      }
+
+      const tickets = await Ticket.find({ seriesID: series._id })
+        .sort({ seriesIndex: 1 })
+        .lean();
+      res.json({ ...series, tickets: tickets.map(formatVisit) });
+    } catch (err) {
+      console.error("Error retrieving ticket series:", err);
+      res.status(500).json({
+        success: false,
+        error: "Server error occurred while retrieving the appointment series.",
+      });
+    }
+  }
+
+  /**
+   * Move every upcoming visit of a series, keeping their spacing
+   */
+  async rescheduleSeries(req, res) {
+    const { seriesId } = req.params;
+    const { appointmentDateTime, reason } = req.body;
+    try {
+      const series = await TicketSeries.findOne({
+        _id: seriesId,
+        ...ticketScope(req.user),
+      });
+      if (!series) {
+        return res.status(404).json({
+          success: false,
+          message: "Series not found",
+        });
+      }
+
+      const department = await Department.findById(series.departmentID);
+      const result = await rescheduleSeries(
+        series,
+        department,
+        moment(appointmentDateTime).toDate(),
+        req.user,
+        reason
+      );
+      const refused = slotRefusal(result);
+      if (refused) {
+        return res
+          .status(refused.status)
+          .json({ ...refused.body, failedAt: result.failedAt });
+      }
+
+      res.json({
+        success: true,
+        message: "Appointment series rescheduled successfully",
+        tickets: result.tickets.map(formatVisit),
+      });
+    } catch (err) {
+      console.error("Error rescheduling ticket series:", err);
+      res.status(500).json({
+        success: false,
+        error:
+          "Server error occurred while rescheduling the appointment series.",
+      });
+    }
+  }
+
+  /**
+   * Cancel every upcoming visit of a series
+   */
+  async cancelSeries(req, res) {
+    const { seriesId } = req.params;
+    const { reason } = req.body;
+    try {
+      const series = await TicketSeries.findOne({
+        _id: seriesId,
+        ...ticketScope(req.user),
+      });
+      if (!series) {
+        return res.status(404).json({
+          success: false,
+          message: "Series not found",
+        });
+      }
+
+      const department = await Department.findById(series.departmentID);
+      const result = await cancelSeries(series, department, req.user, reason);
+      if (result.error) {
+        return res.status(400).json({ success: false, message: result.error });
+      }
+
+      res.json({
+        success: true,
+        message: "Appointment series cancelled successfully",
+        tickets: result.tickets.map(formatVisit),
+      });
+    } catch (err) {
+      console.error("Error cancelling ticket series:", err);
+      res.status(500).json({
+        success: false,
+        error: "Server error occurred while cancelling the appointment series.",
+      });
+    }
+  }
+
   /**
    * Retrieve all tickets
    */
   async getTickets(req, res) {
     try {
-      const tickets = await Ticket.find()
+      const tickets = await Ticket.find(ticketScope(req.user))
         .sort({ appointmentDateTime: -1 })
         .lean();
 
-      const formattedTickets = tickets.map((ticket) => ({
-        _id: ticket._id,
-        customerID: ticket.customerID,
-        departmentID: ticket.departmentID,
-        issueDescription: ticket.issueDescription,
-        status: ticket.status,
-        createdDate: ticket.createdDate,
-        appointmentDate: ticket.appointmentDate,
-        appointmentTime: ticket.appointmentTime,
-        appointmentDateTime: ticket.appointmentDateTime,
-        notes: ticket.notes,
-        __v: ticket.__v,
-        ...(ticket.closedDate && { closedDate: ticket.closedDate }),
-        ...(ticket.feedback && { feedback: ticket.feedback }),
-        ...(ticket.staffID && { staffID: ticket.staffID }),
-      }));
-
-      res.json(formattedTickets);
+      res.json(tickets.map((ticket) => serializeTicket(ticket, req.user)));
     } catch (err) {
       console.error("Error retrieving tickets:", err);
       res.status(500).json({
@@ -142,7 +664,10 @@ class TicketController {
   async getTicketById(req, res) {
     const { id } = req.params;
     try {
-      const ticket = await Ticket.findById(id).lean();
+      const ticket = await Ticket.findOne({
+        _id: id,
+        ...ticketScope(req.user),
+      }).lean();
 
       if (!ticket) {
         return res.status(404).json({
@@ -151,24 +676,7 @@ class TicketController {
         });
       }
 
-      const formattedTicket = {
-        _id: ticket._id,
-        customerID: ticket.customerID,
-        departmentID: ticket.departmentID,
-        issueDescription: ticket.issueDescription,
-        status: ticket.status,
-        createdDate: ticket.createdDate,
-        appointmentDate: ticket.appointmentDate,
-        appointmentTime: ticket.appointmentTime,
-        appointmentDateTime: ticket.appointmentDateTime,
-        notes: ticket.notes,
-        __v: ticket.__v,
-        ...(ticket.closedDate && { closedDate: ticket.closedDate }),
-        ...(ticket.feedback && { feedback: ticket.feedback }),
-        ...(ticket.staffID && { staffID: ticket.staffID }),
-      };
-
-      res.json(formattedTicket);
+      res.json(serializeTicket(ticket, req.user));
     } catch (err) {
       console.error("Error retrieving ticket:", err);
       res.status(500).json({
@@ -185,7 +693,7 @@ class TicketController {
     const { id } = req.params;
 
     try {
-      let ticket = await Ticket.findById(id);
+      let ticket = await Ticket.findOne({ _id: id, ...ticketScope(req.user) });
       if (!ticket) {
         return res.status(404).json({
           success: false,
@@ -193,52 +701,98 @@ class TicketController {
         });
       }
 
-      // If updating appointment time
-      if (req.body.appointmentDateTime) {
-        const newTime = moment(req.body.appointmentDateTime);
+      if (req.user.type === "customer") {
+        const denied = checkCustomerChange(ticket, req.body);
+        if (denied) return res.status(denied.status).json(denied.body);
+      }
 
-        // Check for existing appointments at the new time
-        const existingAppointment = await Ticket.findOne({
-          _id: { $ne: id }, // Exclude current ticket
-          $or: [
-            {
-              appointmentDateTime: newTime.toDate(),
-            },
-            {
-              appointmentDate: newTime.startOf("day").toDate(),
-              appointmentTime: newTime.format("HH:mm:ss"),
-            },
-          ],
-          status: { $ne: "Rejected" },
+      const before = snapshotTicket(ticket);
+      const { reason, ...changes } = req.body;
+
+      // Status changes must follow the ticket lifecycle
+      const { status } = req.body;
+      const statusChanged = status !== undefined && status !== ticket.status;
+      if (statusChanged && !canTransition(ticket.status, status)) {
+        return res.status(400).json({
+          success: false,
+          message: `A ${ticket.status} ticket cannot be moved to ${status}`,
+          allowedStatuses: nextStatuses(ticket.status),
         });
+      }
 
-        if (existingAppointment) {
+      // Moving the appointment, or handing it to another counter or staff
+      // member, needs room in the target slot
+      const { appointmentDateTime, counterID, staffID } = req.body;
+      let movedFrom = null;
+      if (
+        appointmentDateTime ||
+        counterID !== undefined ||
+        staffID !== undefined
+      ) {
+        if (isClosed(ticket.status)) {
           return res.status(400).json({
             success: false,
-            message: "This slot is already booked.",
+            message: "Closed tickets cannot be rescheduled or reassigned",
           });
         }
 
-        ticket.appointmentDate = newTime.startOf("day").toDate();
+        const newTime = appointmentDateTime
+          ? moment(appointmentDateTime)
+          : appointmentOf(ticket);
+
+        const refused = slotRefusal(
+          await reserveForTicket(
+            {
+              departmentID: ticket.departmentID,
+              counterID: counterID === undefined ? ticket.counterID : counterID,
+              staffID: staffID === undefined ? ticket.staffID : staffID,
+              slot: newTime.toDate(),
+              slotCount: ticket.slotCount,
+            },
+            ticket._id
+          )
+        );
+        if (refused) return res.status(refused.status).json(refused.body);
+
+        if (!newTime.isSame(appointmentOf(ticket))) {
+          movedFrom = appointmentOf(ticket).toDate();
+          ticket.rescheduleCount = (ticket.rescheduleCount || 0) + 1;
+        }
+        ticket.appointmentDate = newTime.clone().startOf("day").toDate();
         ticket.appointmentTime = newTime.format("HH:mm:ss");
         ticket.appointmentDateTime = newTime.toDate();
       }
 
       // Handle status changes
-      if (
-        req.body.status &&
-        ["Approved", "Rejected"].includes(req.body.status)
-      ) {
+      if (statusChanged && isClosed(status)) {
         ticket.closedDate = new Date();
       }
 
       // Update other fields
-      Object.assign(ticket, req.body);
+      Object.assign(ticket, changes);
 
-      await ticket.save();
+      // A rejection's reason doubles as the reason for the status change
+      await saveWithHistory(
+        ticket,
+        before,
+        req.user,
+        reason || changes.rejectionReason
+      );
+
+      // Cancelled and rejected tickets no longer take up their slot
+      if (statusChanged && SLOT_RELEASING_STATUSES.includes(status)) {
+        await releaseTicket(ticket._id);
+        await offerFreedSlots(ticket);
+      }
+      // Seats given up go to whoever is waiting for them
+      if (movedFrom) await offerFreedSlots(ticket, movedFrom);
+      if (statusChanged && status === TICKET_STATUS.NO_SHOW) {
+        await recordNoShow(ticket.customerID);
+      }
       res.json({
         success: true,
         message: "Ticket updated successfully",
+        reference: ticket.reference,
       });
     } catch (err) {
       console.error("Error updating ticket:", err);
@@ -249,6 +803,273 @@ class TicketController {
     }
   }
 
+  /**
+   * Move an appointment to a new time, within the department's change rules
+   */
+  async rescheduleTicket(req, res) {
+    const { id } = req.params;
+    const { appointmentDateTime, reason } = req.body;
+    try {
+      const ticket = await Ticket.findOne({
+        _id: id,
+        ...ticketScope(req.user),
+      });
+      if (!ticket) {
+        return res.status(404).json({
+          success: false,
+          message: "Ticket not found",
+        });
+      }
+
+      const department = await Department.findById(ticket.departmentID);
+      const previous = appointmentOf(ticket);
+      const newTime = moment(appointmentDateTime);
+      const problem = rescheduleProblem(
+        ticket,
+        previous.toDate(),
+        newTime.toDate(),
+        department,
+        req.user
+      );
+      if (problem) {
+        return res.status(400).json({ success: false, message: problem });
+      }
+
+      const before = snapshotTicket(ticket);
+      const booking = {
+        departmentID: ticket.departmentID,
+        counterID: ticket.counterID,
+        slot: newTime.toDate(),
+        slotCount: ticket.slotCount,
+      };
+      let result = await reserveForTicket(
+        { ...booking, staffID: ticket.staffID },
+        ticket._id
+      );
+      // The assigned staff member may be busy at the new time while the
+      // department is not; someone else can then take the appointment
+      if (result.full && ticket.staffID) {
+        result = await reserveForTicket(booking, ticket._id);
+        if (result.reservations) {
+          ticket.staffID = null;
+          await assignTicket(ticket, department, booking);
+        }
+      }
+      const refused = slotRefusal(result);
+      if (refused) return res.status(refused.status).json(refused.body);
+
+      ticket.appointmentDate = newTime.clone().startOf("day").toDate();
+      ticket.appointmentTime = newTime.format("HH:mm:ss");
+      ticket.appointmentDateTime = newTime.toDate();
+      ticket.rescheduleCount = (ticket.rescheduleCount || 0) + 1;
+
+      await saveWithHistory(ticket, before, req.user, reason);
+      await notifyRescheduled(ticket, previous.toDate());
+      await offerFreedSlots(ticket, previous.toDate());
+
+      res.json({
+        success: true,
+        message: "Appointment rescheduled successfully",
+        reference: ticket.reference,
+        appointmentDateTime: ticket.appointmentDateTime,
+        rescheduleCount: ticket.rescheduleCount,
+      });
+    } catch (err) {
+      console.error("Error rescheduling ticket:", err);
+      res.status(500).json({
+        success: false,
+        error: "Server error occurred while rescheduling the appointment.",
+      });
+    }
+  }
+
+  /**
+   * Cancel an appointment, keeping the ticket for reporting
+   */
+  async cancelTicket(req, res) {
+    const { id } = req.params;
+    const { reason } = req.body;
+    try {
+      const ticket = await Ticket.findOne({
+        _id: id,
+        ...ticketScope(req.user),
+      });
+      if (!ticket) {
+        return res.status(404).json({
+          success: false,
+          message: "Ticket not found",
+        });
+      }
+
+      const department = await Department.findById(ticket.departmentID);
+      const problem = cancellationProblem(
+        ticket,
+        appointmentOf(ticket).toDate(),
+        department,
+        req.user
+      );
+      if (problem) {
+        return res.status(400).json({ success: false, message: problem });
+      }
+
+      const before = snapshotTicket(ticket);
+      ticket.status = TICKET_STATUS.CANCELLED;
+      ticket.closedDate = new Date();
+      if (reason) ticket.cancellationReason = reason;
+
+      await saveWithHistory(ticket, before, req.user, reason);
+      await releaseTicket(ticket._id);
+      await notifyCancelled(ticket);
+      await offerFreedSlots(ticket);
+
+      res.json({
+        success: true,
+        message: "Appointment cancelled successfully",
+        reference: ticket.reference,
+      });
+    } catch (err) {
+      console.error("Error cancelling ticket:", err);
+      res.status(500).json({
+        success: false,
+        error: "Server error occurred while cancelling the appointment.",
+      });
+    }
+  }
+
+  /**
+   * Record that the citizen has arrived for an approved appointment
+   */
+  async checkInTicket(req, res) {
+    const { id } = req.params;
+    try {
+      const ticket = await Ticket.findOne({
+        _id: id,
+        ...ticketScope(req.user),
+      });
+      if (!ticket) {
+        return res.status(404).json({
+          success: false,
+          message: "Ticket not found",
+        });
+      }
+
+      const problem = checkInProblem(ticket);
+      if (problem) {
+        return res.status(400).json({ success: false, message: problem });
+      }
+
+      const before = snapshotTicket(ticket);
+      ticket.checkedInAt = new Date();
+      await saveWithHistory(ticket, before, req.user);
+
+      res.json({
+        success: true,
+        message: "Checked in successfully",
+        reference: ticket.reference,
+        checkedInAt: ticket.checkedInAt,
+      });
+    } catch (err) {
+      console.error("Error checking in ticket:", err);
+      res.status(500).json({
+        success: false,
+        error: "Server error occurred while checking in.",
+      });
+    }
+  }
+
+  /**
+   * Hand a ticket to another staff member, recording who did it and why
+   */
+  async reassignTicket(req, res) {
+    const { id } = req.params;
+    const { staffID, reason } = req.body;
+    try {
+      const ticket = await Ticket.findOne({
+        _id: id,
+        ...ticketScope(req.user),
+      });
+      if (!ticket) {
+        return res.status(404).json({
+          success: false,
+          message: "Ticket not found",
+        });
+      }
+      if (isClosed(ticket.status)) {
+        return res.status(400).json({
+          success: false,
+          message: "Closed tickets cannot be rescheduled or reassigned",
+        });
+      }
+      if (staffID && String(ticket.staffID) === staffID) {
+        return res.status(400).json({
+          success: false,
+          message: "The ticket is already assigned to this staff member",
+        });
+      }
+
+      const before = snapshotTicket(ticket);
+      const booking = {
+        departmentID: ticket.departmentID,
+        counterID: ticket.counterID,
+        slot: appointmentOf(ticket).toDate(),
+        slotCount: ticket.slotCount,
+      };
+
+      if (staffID) {
+        const result = await reserveForTicket(
+          { ...booking, staffID },
+          ticket._id
+        );
+        if (result.full) {
+          return res.status(400).json({
+            success: false,
+            message: "This staff member has no room at this ticket's time",
+          });
+        }
+        const refused = slotRefusal(result);
+        if (refused) return res.status(refused.status).json(refused.body);
+        ticket.staffID = staffID;
+      } else {
+        // Departments that assign by hand still get a pick when asked
+        const department = await Department.findById(ticket.departmentID);
+        const assigned = await assignTicket(ticket, department, booking, {
+          strategy:
+            department.assignmentStrategy === ASSIGNMENT_STRATEGY.MANUAL
+              ? ASSIGNMENT_STRATEGY.LEAST_OPEN
+              : undefined,
+        });
+        if (!assigned) {
+          return res.status(400).json({
+            success: false,
+            message: "No other staff member is free at this ticket's time",
+          });
+        }
+      }
+
+      await ticket.save();
+      await recordTicketHistory({
+        ticketID: ticket._id,
+        actor: req.user,
+        action: "reassigned",
+        changes: diffTicket(before, ticket),
+        reason,
+      });
+
+      res.json({
+        success: true,
+        message: "Ticket reassigned successfully",
+        reference: ticket.reference,
+        staffID: ticket.staffID,
+      });
+    } catch (err) {
+      console.error("Error reassigning ticket:", err);
+      res.status(500).json({
+        success: false,
+        error: "Server error occurred while reassigning the ticket.",
+      });
+    }
+  }
+
   /**
    * Delete a ticket by ID
    */
@@ -256,7 +1077,10 @@ class TicketController {
     const { id } = req.params;
 
     try {
-      const ticket = await Ticket.findByIdAndDelete(id);
+      const ticket = await Ticket.findOne({
+        _id: id,
+        ...ticketScope(req.user),
+      });
       if (!ticket) {
         return res.status(404).json({
           success: false,
@@ -264,6 +1088,27 @@ class TicketController {
         });
       }
 
+      await ticket.deleteOne();
+      await releaseTicket(ticket._id);
+      await offerFreedSlots(ticket);
+      // The ticket's history can no longer be opened, so the deletion is
+      // kept in the audit log along with what the ticket was
+      await recordAudit({
+        action: "ticket.deleted",
+        actorType: req.user.type,
+        actorID: req.user.id,
+        targetType: "ticket",
+        targetID: ticket._id,
+        details: {
+          reference: ticket.reference,
+          departmentID: ticket.departmentID,
+          customerID: ticket.customerID,
+          status: ticket.status,
+          appointmentDateTime: ticket.appointmentDateTime,
+        },
+        ipAddress: req.ip,
+      });
+
       res.json({
         success: true,
         message: "Ticket deleted successfully",
@@ -277,38 +1122,232 @@ class TicketController {
     }
   }
 
+  /**
+   * Retrieve the change history of a ticket, oldest first
+   */
+  async getHistory(req, res) {
+    const { id } = req.params;
+    try {
+      const ticket = await Ticket.exists({ _id: id, ...ticketScope(req.user) });
+      if (!ticket) {
+        return res.status(404).json({
+          success: false,
+          message: "Ticket not found",
+        });
+      }
+
+      res.json(await getTicketHistory(id, req.user));
+    } catch (err) {
+      console.error("Error retrieving ticket history:", err);
+      res.status(500).json({
+        success: false,
+        error: "Server error occurred while retrieving the ticket history.",
+      });
+    }
+  }
+
+  /**
+   * Retrieve the comment thread of a ticket, oldest first
+   */
+  async getComments(req, res) {
+    const { id } = req.params;
+    try {
+      const ticket = await Ticket.exists({ _id: id, ...ticketScope(req.user) });
+      if (!ticket) {
+        return res.status(404).json({
+          success: false,
+          message: "Ticket not found",
+        });
+      }
+
+      res.json(await listComments(id, req.user));
+    } catch (err) {
+      console.error("Error retrieving comments:", err);
+      res.status(500).json({
+        success: false,
+        error: "Server error occurred while retrieving comments.",
+      });
+    }
+  }
+
+  /**
+   * Post a comment on a ticket
+   */
+  async addComment(req, res) {
+    const { id } = req.params;
+    try {
+      const ticket = await Ticket.findOne({
+        _id: id,
+        ...ticketScope(req.user),
+      });
+      if (!ticket) {
+        return res.status(404).json({
+          success: false,
+          message: "Ticket not found",
+        });
+      }
+
+      if (req.user.type === "customer" && req.body.internal) {
+        return res.status(403).json({
+          success: false,
+          message: "Customers cannot post internal comments",
+        });
+      }
+      // Staff may still leave internal notes on a closed ticket
+      if (isClosed(ticket.status) && !req.body.internal) {
+        return res.status(400).json({
+          success: false,
+          message: "Closed tickets cannot receive new replies",
+        });
+      }
+
+      const comment = await postComment(ticket, req.user, req.body);
+      res.status(201).json({
+        success: true,
+        message: "Comment posted successfully",
+        comment,
+      });
+    } catch (err) {
+      console.error("Error posting comment:", err);
+      res.status(500).json({
+        success: false,
+        error: "Server error occurred while posting the comment.",
+      });
+    }
+  }
+
+  /**
+   * Upload documents to a ticket, optionally attaching them to a comment
+   */
+  async uploadAttachments(req, res) {
+    const { id } = req.params;
+    try {
+      const ticket = await Ticket.findOne({
+        _id: id,
+        ...ticketScope(req.user),
+      });
+      if (!ticket) {
+        return res.status(404).json({
+          success: false,
+          message: "Ticket not found",
+        });
+      }
+
+      if (!req.files || !req.files.length) {
+        return res.status(400).json({
+          success: false,
+          message: 'Attach at least one file in the "files" field',
+        });
+      }
+
+      const result = await saveAttachments(
+        ticket,
+        req.user,
+        req.files,
+        req.body.commentID
+      );
+      if (result.error) {
+        return res.status(400).json({ success: false, message: result.error });
+      }
+
+      res.status(201).json({
+        success: true,
+        message: "Files uploaded successfully",
+        attachments: result.attachments,
+      });
+    } catch (err) {
+      console.error("Error uploading attachments:", err);
+      res.status(500).json({
+        success: false,
+        error: "Server error occurred while uploading the files.",
+      });
+    }
+  }
+
+  /**
+   * List the documents attached to a ticket, oldest first
+   */
+  async getAttachments(req, res) {
+    const { id } = req.params;
+    try {
+      const ticket = await Ticket.exists({ _id: id, ...ticketScope(req.user) });
+      if (!ticket) {
+        return res.status(404).json({
+          success: false,
+          message: "Ticket not found",
+        });
+      }
+
+      res.json(await listAttachments(id, req.user));
+    } catch (err) {
+      console.error("Error retrieving attachments:", err);
+      res.status(500).json({
+        success: false,
+        error: "Server error occurred while retrieving attachments.",
+      });
+    }
+  }
+
+  /**
+   * Download a document attached to a ticket
+   */
+  async downloadAttachment(req, res) {
+    const { id, attachmentId } = req.params;
+    try {
+      const ticket = await Ticket.exists({ _id: id, ...ticketScope(req.user) });
+      const file = ticket && (await openAttachment(id, attachmentId, req.user));
+      if (!file) {
+        return res.status(404).json({
+          success: false,
+          message: "Attachment not found",
+        });
+      }
+
+      const { attachment, stream } = file;
+      // Keep the header safe whatever the uploader called the file
+      const filename = attachment.originalName.replace(/[^\w.\- ]/g, "_");
+      res.set({
+        "Content-Type": attachment.mimeType,
+        "Content-Length": attachment.size,
+        "Content-Disposition": `attachment; filename="${filename}"`,
+        "X-Content-Type-Options": "nosniff",
+      });
+
+      stream.on("error", (err) => {
+        console.error("Error reading attachment:", err);
+        if (res.headersSent) return res.destroy(err);
+        res.status(500).json({
+          success: false,
+          error: "Server error occurred while downloading the file.",
+        });
+      });
+      stream.pipe(res);
+    } catch (err) {
+      console.error("Error downloading attachment:", err);
+      res.status(500).json({
+        success: false,
+        error: "Server error occurred while downloading the file.",
+      });
+    }
+  }
+
   /**
    * Retrieve recent rejected tickets for a specific staff member
    */
   async getRecentRejectedTickets(req, res) {
     const { staffId } = req.params;
     try {
+      // Staff other than admins only see their own department's tickets
       const tickets = await Ticket.find({
         staffID: staffId,
-        status: "Rejected",
+        status: TICKET_STATUS.REJECTED,
+        ...ticketScope(req.user),
       })
         .sort({ closedDate: -1 })
         .limit(5)
         .lean();
 
-      const formattedTickets = tickets.map((ticket) => ({
-        _id: ticket._id,
-        customerID: ticket.customerID,
-        departmentID: ticket.departmentID,
-        issueDescription: ticket.issueDescription,
-        status: ticket.status,
-        createdDate: ticket.createdDate,
-        appointmentDate: ticket.appointmentDate,
-        appointmentTime: ticket.appointmentTime,
-        appointmentDateTime: ticket.appointmentDateTime,
-        notes: ticket.notes,
-        __v: ticket.__v,
-        ...(ticket.closedDate && { closedDate: ticket.closedDate }),
-        ...(ticket.feedback && { feedback: ticket.feedback }),
-        ...(ticket.staffID && { staffID: ticket.staffID }),
-      }));
-
-      res.json(formattedTickets);
+      res.json(tickets.map((ticket) => serializeTicket(ticket, req.user)));
     } catch (err) {
       console.error("Error retrieving rejected tickets:", err);
       res.status(500).json({
@@ -0,0 +1,525 @@
+// controllers/TwoFactorController.js
+
+const bcrypt = require("bcryptjs");
+const { Staff } = require("../model/StaffModel");
+const {
+  verifyChallengeToken,
+  completeStaffLogin,
+} = require("../services/authService");
+const {
+  generateSecret,
+  provisioningUri,
+  verifyCode,
+  generateRecoveryCodes,
+  checkSecondFactor,
+  getRequiredRoles,
+  setRequiredRoles,
+  isTwoFactorRequired,
+} = require("../services/twoFactorService");
+const {
+  LOGIN_FAILED_MESSAGE,
+  loginLimiter,
+  registerFailedLogin,
+} = require("../services/loginLimiter");
+const { revokeAllSessions } = require("../services/sessionService");
+const { recordAudit } = require("../services/auditService");
+
+/**
+ * Store a new pending secret and return what the authenticator app needs
+ */
+const beginEnrollment = async (staff) => {
+  const secret = generateSecret();
+  staff.twoFactorPendingSecret = secret;
+  await staff.save();
+
+  return {
+    success: true,
+    secret,
+    otpauthUrl: provisioningUri(secret, staff.emailAddress),
+  };
+};
+
+/**
+ * Turn 2FA on if the code matches the pending secret.
+ * Returns the plain recovery codes, or null if the code is wrong.
+ */
+const finishEnrollment = async (staff, code, ipAddress) => {
+  const step = verifyCode(staff.twoFactorPendingSecret, code);
+  if (step === null) return null;
+
+  const { codes, hashes } = generateRecoveryCodes();
+  staff.twoFactorSecret = staff.twoFactorPendingSecret;
+  staff.twoFactorPendingSecret = undefined;
+  staff.twoFactorEnabled = true;
+  staff.twoFactorEnabledAt = new Date();
+  staff.twoFactorLastStep = step;
+  staff.twoFactorRecoveryCodes = hashes;
+  await staff.save();
+
+  await recordAudit({
+    action: "2fa.enabled",
+    actorType: "staff",
+    actorID: staff._id,
+    targetType: "staff",
+    targetID: staff._id,
+    ipAddress,
+  });
+
+  return codes;
+};
+
+const clearTwoFactor = (staff) => {
+  staff.twoFactorEnabled = false;
+  staff.twoFactorSecret = undefined;
+  staff.twoFactorPendingSecret = undefined;
+  staff.twoFactorRecoveryCodes = undefined;
+  staff.twoFactorLastStep = undefined;
+  staff.twoFactorEnabledAt = undefined;
+};
+
+const invalidChallenge = (res) =>
+  res.status(401).json({
+    success: false,
+    message: "Login challenge is invalid or has expired, please log in again",
+  });
+
+class TwoFactorController {
+  /**
+   * @swagger
+   * /api/staff/login/2fa:
+   *   post:
+   *     summary: Complete a staff login with a TOTP code or a recovery code
+   *     tags: [Staff]
+   *     security: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/TwoFactorLoginInput'
+   *     responses:
+   *       200:
+   *         description: Login successful, returns a JWT token and staff details
+   *       400:
+   *         description: Invalid code
+   *       401:
+   *         description: Challenge token invalid or expired
+   *       429:
+   *         description: Too many failed attempts
+   */
+  async verifyLogin(req, res) {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    try {
+      const staffID = verifyChallengeToken(challengeToken, "2fa-login");
+      const staff = staffID && (await Staff.findById(staffID));
+      if (!staff || !staff.twoFactorEnabled) return invalidChallenge(res);
+
+      // Codes are brute-forceable too, so they share the login limiter
+      const limiterKeys = loginLimiter.keysFor(
+        "staff",
+        staff.emailAddress,
+        req.ip
+      );
+      const retryAfter = await loginLimiter.check(limiterKeys);
+      if (retryAfter) {
+        res.set("Retry-After", String(retryAfter));
+        return res.status(429).json({
+          success: false,
+          message: "Too many failed login attempts. Please try again later.",
+          retryAfter,
+        });
+      }
+
+      const used = await checkSecondFactor(staff, { code, recoveryCode });
+      if (!used) {
+        await registerFailedLogin(limiterKeys, staff);
+        return res
+          .status(400)
+          .json({ success: false, message: "Invalid authentication code" });
+      }
+
+      await loginLimiter.recordSuccess(limiterKeys);
+
+      const body = await completeStaffLogin(staff, req);
+      if (recoveryCode) {
+        await recordAudit({
+          action: "2fa.recovery-code-used",
+          actorType: "staff",
+          actorID: staff._id,
+          targetType: "staff",
+          targetID: staff._id,
+          ipAddress: req.ip,
+        });
+        body.remainingRecoveryCodes = used.twoFactorRecoveryCodes.length;
+      }
+
+      res.json(body);
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/staff/login/2fa/setup:
+   *   post:
+   *     summary: Start 2FA enrolment during a login that requires it
+   *     tags: [Staff]
+   *     security: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/TwoFactorChallengeInput'
+   *     responses:
+   *       200:
+   *         description: Secret and otpauth URI to show as a QR code
+   *       401:
+   *         description: Challenge token invalid or expired
+   */
+  async setupDuringLogin(req, res) {
+    try {
+      const staffID = verifyChallengeToken(
+        req.body.challengeToken,
+        "2fa-setup"
+      );
+      const staff = staffID && (await Staff.findById(staffID));
+      if (!staff || staff.twoFactorEnabled) return invalidChallenge(res);
+
+      res.json(await beginEnrollment(staff));
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/staff/login/2fa/confirm:
+   *   post:
+   *     summary: Confirm 2FA enrolment during login and finish signing in
+   *     tags: [Staff]
+   *     security: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/TwoFactorLoginConfirmInput'
+   *     responses:
+   *       200:
+   *         description: 2FA enabled; returns recovery codes, a JWT token and staff details
+   *       400:
+   *         description: Invalid code
+   *       401:
+   *         description: Challenge token invalid or expired
+   */
+  async confirmDuringLogin(req, res) {
+    const { challengeToken, code } = req.body;
+
+    try {
+      const staffID = verifyChallengeToken(challengeToken, "2fa-setup");
+      const staff = staffID && (await Staff.findById(staffID));
+      if (!staff || staff.twoFactorEnabled || !staff.twoFactorPendingSecret) {
+        return invalidChallenge(res);
+      }
+
+      const recoveryCodes = await finishEnrollment(staff, code, req.ip);
+      if (!recoveryCodes) {
+        return res
+          .status(400)
+          .json({ success: false, message: "Invalid authentication code" });
+      }
+
+      res.json({ ...(await completeStaffLogin(staff, req)), recoveryCodes });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/staff/2fa/setup:
+   *   post:
+   *     summary: Start 2FA enrolment for the signed-in staff member
+   *     tags: [Staff]
+   *     responses:
+   *       200:
+   *         description: Secret and otpauth URI to show as a QR code
+   *       400:
+   *         description: Two-factor authentication is already enabled
+   */
+  async setup(req, res) {
+    try {
+      const staff = await Staff.findById(req.user.id);
+      if (!staff) return res.status(404).json({ message: "Staff not found" });
+      if (staff.twoFactorEnabled) {
+        return res.status(400).json({
+          success: false,
+          message: "Two-factor authentication is already enabled",
+        });
+      }
+
+      res.json(await beginEnrollment(staff));
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/staff/2fa/confirm:
+   *   post:
+   *     summary: Confirm 2FA enrolment with a code from the authenticator app
+   *     tags: [Staff]
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/TwoFactorConfirmInput'
+   *     responses:
+   *       200:
+   *         description: 2FA enabled; returns single-use recovery codes
+   *       400:
+   *         description: Invalid code or no enrolment in progress
+   */
+  async confirm(req, res) {
+    try {
+      const staff = await Staff.findById(req.user.id);
+      if (!staff) return res.status(404).json({ message: "Staff not found" });
+      if (staff.twoFactorEnabled || !staff.twoFactorPendingSecret) {
+        return res.status(400).json({
+          success: false,
+          message: "No two-factor enrolment is in progress",
+        });
+      }
+
+      const recoveryCodes = await finishEnrollment(
+        staff,
+        req.body.code,
+        req.ip
+      );
+      if (!recoveryCodes) {
+        return res
+          .status(400)
+          .json({ success: false, message: "Invalid authentication code" });
+      }
+
+      res.json({
+        success: true,
+        message: "Two-factor authentication enabled",
+        recoveryCodes,
+      });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/staff/2fa/disable:
+   *   post:
+   *     summary: Turn off 2FA for the signed-in staff member
+   *     tags: [Staff]
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/TwoFactorDisableInput'
+   *     responses:
+   *       200:
+   *         description: Two-factor authentication disabled
+   *       400:
+   *         description: Wrong password or code
+   *       403:
+   *         description: Two-factor authentication is required for the staff member's role
+   */
+  async disable(req, res) {
+    const { password, code } = req.body;
+
+    try {
+      const staff = await Staff.findById(req.user.id);
+      if (!staff) return res.status(404).json({ message: "Staff not found" });
+      if (!staff.twoFactorEnabled) {
+        return res.status(400).json({
+          success: false,
+          message: "Two-factor authentication is not enabled",
+        });
+      }
+      if (await isTwoFactorRequired(staff)) {
+        return res.status(403).json({
+          success: false,
+          message: "Two-factor authentication is required for your role",
+        });
+      }
+
+      const isMatch = await bcrypt.compare(password, staff.password || "");
+      if (!isMatch || !(await checkSecondFactor(staff, { code }))) {
+        return res
+          .status(400)
+          .json({ success: false, message: LOGIN_FAILED_MESSAGE });
+      }
+
+      clearTwoFactor(staff);
+      await staff.save();
+      await recordAudit({
+        action: "2fa.disabled",
+        actorType: "staff",
+        actorID: staff._id,
+        targetType: "staff",
+        targetID: staff._id,
+        ipAddress: req.ip,
+      });
+
+      res.json({
+        success: true,
+        message: "Two-factor authentication disabled",
+      });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/staff/2fa/recovery-codes:
+   *   post:
+   *     summary: Replace the signed-in staff member's recovery codes
+   *     tags: [Staff]
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/TwoFactorCodeInput'
+   *     responses:
+   *       200:
+   *         description: New recovery codes; the old ones stop working
+   *       400:
+   *         description: Invalid code or 2FA not enabled
+   */
+  async regenerateRecoveryCodes(req, res) {
+    try {
+      const staff = await Staff.findById(req.user.id);
+      if (!staff) return res.status(404).json({ message: "Staff not found" });
+      if (
+        !staff.twoFactorEnabled ||
+        !(await checkSecondFactor(staff, req.body))
+      ) {
+        return res
+          .status(400)
+          .json({ success: false, message: "Invalid authentication code" });
+      }
+
+      const { codes, hashes } = generateRecoveryCodes();
+      staff.twoFactorRecoveryCodes = hashes;
+      await staff.save();
+
+      res.json({ success: true, recoveryCodes: codes });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/staff/{id}/2fa:
+   *   delete:
+   *     summary: Reset a staff member's 2FA after a lost device (admin only)
+   *     tags: [Staff]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         schema:
+   *           type: string
+   *         required: true
+   *     responses:
+   *       200:
+   *         description: 2FA removed and the staff member signed out everywhere
+   *       404:
+   *         description: Staff member not found
+   */
+  async resetForStaff(req, res) {
+    const { id } = req.params;
+
+    try {
+      const staff = await Staff.findById(id);
+      if (!staff) return res.status(404).json({ message: "Staff not found" });
+
+      clearTwoFactor(staff);
+      await staff.save();
+      await revokeAllSessions("staff", id, "2fa-reset");
+      await recordAudit({
+        action: "2fa.reset",
+        actorType: "staff",
+        actorID: req.user.id,
+        targetType: "staff",
+        targetID: staff._id,
+        ipAddress: req.ip,
+      });
+
+      res.json({ success: true, message: "Two-factor authentication reset" });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/staff/2fa/policy:
+   *   get:
+   *     summary: Get the roles that must use 2FA (admin only)
+   *     tags: [Staff]
+   *     responses:
+   *       200:
+   *         description: The roles that must use 2FA
+   */
+  async getPolicy(req, res) {
+    try {
+      res.json({ requiredRoles: await getRequiredRoles() });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/staff/2fa/policy:
+   *   put:
+   *     summary: Set the roles that must use 2FA (admin only)
+   *     tags: [Staff]
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/TwoFactorPolicyInput'
+   *     responses:
+   *       200:
+   *         description: Policy updated
+   */
+  async updatePolicy(req, res) {
+    try {
+      const requiredRoles = await setRequiredRoles(
+        [...new Set(req.body.requiredRoles)],
+        req.user.id
+      );
+      await recordAudit({
+        action: "2fa.policy-updated",
+        actorType: "staff",
+        actorID: req.user.id,
+        details: { requiredRoles },
+        ipAddress: req.ip,
+      });
+
+      res.json({ success: true, requiredRoles });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  }
+}
+
+module.exports = new TwoFactorController();
@@ -0,0 +1,241 @@
+const moment = require("moment");
+const { WaitlistEntry } = require("../model/WaitlistEntryModel");
+const { Department } = require("../model/DepartmentModel");
+const { Customer } = require("../model/CustomerModel");
+const { ROLES } = require("../middleware/authorize");
+const { isEmailVerified } = require("../services/emailVerificationService");
+const { bookingRestriction } = require("../services/attendanceService");
+const {
+  getSlotAvailability,
+  listFreeSlots,
+} = require("../services/availabilityService");
+const {
+  WAITLIST_STATUS,
+  positionOf,
+  joinWaitlist,
+  leaveWaitlist,
+} = require("../services/waitlistService");
+
+/**
+ * Limit the caller to the entries they may see: admins every entry, other
+ * staff their own department's and customers their own
+ */
+const waitlistScope = (user) => {
+  if (user.type === "customer") {
+    return { customerID: user.id };
+  }
+  if (user.role !== ROLES.ADMIN) {
+    return { departmentID: user.departmentID };
+  }
+  return {};
+};
+
+/**
+ * Why there is no need to wait for a slot or day, or null if it is full.
+ * Returns an error response body.
+ */
+const checkFullyBooked = async (department, date, slot) => {
+  if (slot) {
+    const availability = await getSlotAvailability({
+      departmentID: department._id,
+      slot,
+    });
+    if (availability.error || availability.outsideHours) {
+      return {
+        status: 400,
+        body: {
+          success: false,
+          message: availability.error || availability.outsideHours,
+        },
+      };
+    }
+    if (availability.remaining > 0) {
+      return {
+        status: 409,
+        body: {
+          success: false,
+          message: "This slot has room, please book it directly",
+          remaining: availability.remaining,
+        },
+      };
+    }
+    return null;
+  }
+
+  const [day] = await listFreeSlots(department, date, date);
+  if (day.closed) {
+    return {
+      status: 400,
+      body: {
+        success: false,
+        message: `The department is closed on this date (${day.closed})`,
+      },
+    };
+  }
+  if (day.slots.length) {
+    return {
+      status: 409,
+      body: {
+        success: false,
+        message: "There are free slots on this date, please book one directly",
+        slots: day.slots,
+      },
+    };
+  }
+  return null;
+};
+
+class WaitlistController {
+  /**
+   * Put a customer on the waitlist for a fully booked day or slot
+   */
+  async joinWaitlist(req, res) {
+    const { departmentID, date, time, issueDescription } = req.body;
+    // Customers always wait for themselves
+    const customerID =
+      req.user.type === "customer" ? req.user.id : req.body.customerID;
+    try {
+      if (!customerID) {
+        return res.status(400).json({
+          success: false,
+          message: "customerID is required when joining for a citizen",
+        });
+      }
+      const customer = await Customer.findById(customerID);
+      if (!customer) {
+        return res.status(400).json({
+          success: false,
+          message: "Customer not found",
+        });
+      }
+      if (!isEmailVerified(customer)) {
+        return res.status(403).json({
+          success: false,
+          message: "Please verify your email address before booking",
+        });
+      }
+
+      const department = await Department.findById(departmentID);
+      if (!department) {
+        return res.status(400).json({
+          success: false,
+          message: "Department not found",
+        });
+      }
+      const restriction =
+        req.user.type === "customer" &&
+        bookingRestriction(customer, department);
+      if (restriction) {
+        return res.status(403).json({ success: false, message: restriction });
+      }
+
+      const slot = time
+        ? moment(`${date} ${time}`, "YYYY-MM-DD HH:mm").toDate()
+        : null;
+      const passed = slot
+        ? slot <= new Date()
+        : date < moment().format("YYYY-MM-DD");
+      if (passed) {
+        return res.status(400).json({
+          success: false,
+          message: "This date or time has already passed",
+        });
+      }
+
+      const notFull = await checkFullyBooked(department, date, slot);
+      if (notFull) return res.status(notFull.status).json(notFull.body);
+
+      const { entry, ahead, duplicate } = await joinWaitlist(
+        department,
+        customer,
+        { date, slot, issueDescription }
+      );
+      if (duplicate) {
+        return res.status(409).json({
+          success: false,
+          message: "Already on the waitlist for this date and time",
+          entry: duplicate,
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        message: "Added to the waitlist",
+        ahead,
+        entry,
+      });
+    } catch (err) {
+      console.error("Error joining waitlist:", err);
+      res.status(500).json({
+        success: false,
+        error: "Server error occurred while joining the waitlist.",
+      });
+    }
+  }
+
+  /**
+   * List the waitlist entries still waiting or holding an offer
+   */
+  async getWaitlist(req, res) {
+    try {
+      const entries = await WaitlistEntry.find({
+        ...waitlistScope(req.user),
+        status: { $in: [WAITLIST_STATUS.WAITING, WAITLIST_STATUS.OFFERED] },
+      })
+        .sort({ date: 1, createdAt: 1 })
+        .lean();
+
+      const withPositions = await Promise.all(
+        entries.map(async (entry) => ({
+          ...entry,
+          ...(entry.status === WAITLIST_STATUS.WAITING && {
+            ahead: await positionOf(entry),
+          }),
+        }))
+      );
+      res.json(withPositions);
+    } catch (err) {
+      console.error("Error retrieving waitlist:", err);
+      res.status(500).json({
+        success: false,
+        error: "Server error occurred while retrieving the waitlist.",
+      });
+    }
+  }
+
+  /**
+   * Take an entry off the waitlist, passing on any seat offered to it
+   */
+  async leaveWaitlist(req, res) {
+    const { entryId } = req.params;
+    try {
+      const entry = await WaitlistEntry.findOne({
+        _id: entryId,
+        ...waitlistScope(req.user),
+      });
+      if (!entry) {
+        return res.status(404).json({
+          success: false,
+          message: "Waitlist entry not found",
+        });
+      }
+
+      const left = await leaveWaitlist(entry);
+      if (!left) {
+        return res.status(400).json({
+          success: false,
+          message: "This entry is no longer on the waitlist",
+        });
+      }
+      res.json({ success: true, message: "Removed from the waitlist" });
+    } catch (err) {
+      console.error("Error leaving waitlist:", err);
+      res.status(500).json({
+        success: false,
+        error: "Server error occurred while leaving the waitlist.",
+      });
+    }
+  }
+}
+
+module.exports = new WaitlistController();
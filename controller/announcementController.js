@@ -14,17 +14,11 @@ exports.getAnnouncementsByDepartment = async (req, res) => {
 };
 
 exports.createAnnouncement = async (req, res) => {
-  // Check if the user is a department head
-  if (req.body.userRole !== "dhead") {
-    return res
-      .status(403)
-      .json({ message: "Only department heads can create announcements" });
-  }
-
+  // Department access is enforced by the createAnnouncement policy
   const announcement = new Announcement({
     departmentID: req.body.departmentID,
     content: req.body.content,
-    postedBy: req.body.postedBy,
+    postedBy: req.user.id,
   });
 
   try {
@@ -42,16 +36,6 @@ exports.deleteAnnouncement = async (req, res) => {
       return res.status(404).json({ message: "Announcement not found" });
     }
 
-    // Check if the user is authorized to delete the announcement
-    if (
-      req.body.userRole !== "dhead" ||
-      announcement.departmentID.toString() !== req.body.departmentID
-    ) {
-      return res
-        .status(403)
-        .json({ message: "Not authorized to delete this announcement" });
-    }
-
     await Announcement.findByIdAndDelete(req.params.id);
     res.json({ message: "Announcement deleted successfully" });
   } catch (err) {
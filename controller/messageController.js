@@ -2,17 +2,12 @@ const Message = require("../model/MessageModel");
 
 exports.createMessage = async (req, res) => {
   try {
-    const {
-      senderId,
-      senderName,
-      senderDepartment,
-      recipientDepartment,
-      content,
-    } = req.body;
+    const { senderName, recipientDepartment, content } = req.body;
+    // The sender is always the authenticated staff member
     const newMessage = new Message({
-      senderId,
+      senderId: req.user.id,
       senderName,
-      senderDepartment,
+      senderDepartment: req.user.departmentID,
       recipientDepartment,
       content,
     });
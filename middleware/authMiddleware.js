@@ -0,0 +1,42 @@
+const { verifyAccessToken } = require("../services/authService");
+const { isSessionActive } = require("../services/sessionService");
+
+/**
+ * Require a valid bearer token on the request whose session has not been
+ * revoked. On success the authenticated principal is attached as req.user:
+ * { id, email, type: "customer" | "staff", role, departmentID, sessionID }
+ */
+const authenticate = async (req, res, next) => {
+  const header = req.headers.authorization || "";
+  const [scheme, token] = header.split(" ");
+
+  if (scheme !== "Bearer" || !token) {
+    return res
+      .status(401)
+      .json({ success: false, message: "Authentication required" });
+  }
+
+  let user;
+  try {
+    user = verifyAccessToken(token);
+  } catch (err) {
+    return res
+      .status(401)
+      .json({ success: false, message: "Invalid or expired token" });
+  }
+
+  try {
+    if (!(await isSessionActive(user.sessionID))) {
+      return res
+        .status(401)
+        .json({ success: false, message: "Session has been revoked" });
+    }
+  } catch (err) {
+    return res.status(500).json({ success: false, error: err.message });
+  }
+
+  req.user = user;
+  next();
+};
+
+module.exports = { authenticate };
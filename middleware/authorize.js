@@ -0,0 +1,75 @@
+const ROLES = {
+  CUSTOMER: "customer",
+  STAFF: "staff",
+  DHEAD: "dhead",
+  ADMIN: "admin",
+};
+
+const STAFF_ROLES = [ROLES.STAFF, ROLES.DHEAD, ROLES.ADMIN];
+
+const forbidden = (res, message) =>
+  res.status(403).json({
+    success: false,
+    message: message || "You are not authorized to perform this action",
+  });
+
+/**
+ * Check a single policy rule against the authenticated principal.
+ * @param {Object} rule - Policy rule
+ * @param {string[]} rule.roles - Roles the rule applies to
+ * @param {Function} [rule.department] - (req) => departmentID of the target; must equal the caller's department
+ * @param {Function} [rule.self] - (req) => id of the target; must equal the caller's id
+ * @param {Function} [rule.when] - (req) => boolean extra condition
+ * @param {Object} req - Express request with req.user set by authenticate
+ * @returns {Promise<boolean>}
+ */
+const ruleMatches = async (rule, req) => {
+  const { user } = req;
+
+  if (!rule.roles.includes(user.role)) return false;
+
+  if (rule.self) {
+    const targetID = await rule.self(req);
+    if (!targetID || targetID.toString() !== user.id) return false;
+  }
+
+  if (rule.department) {
+    const departmentID = await rule.department(req);
+    if (
+      !departmentID ||
+      !user.departmentID ||
+      departmentID.toString() !== user.departmentID
+    )
+      return false;
+  }
+
+  if (rule.when && !(await rule.when(req))) return false;
+
+  return true;
+};
+
+/**
+ * Build a middleware enforcing a declarative policy.
+ * A policy is a list of rules; access is granted if any rule matches.
+ * Must run after authenticate, since roles are taken from the verified token.
+ * @param {Object[]} policy - Rules as accepted by ruleMatches
+ * @returns {Function} - Express middleware
+ */
+const authorize = (policy) => async (req, res, next) => {
+  if (!req.user) {
+    return res
+      .status(401)
+      .json({ success: false, message: "Authentication required" });
+  }
+
+  try {
+    for (const rule of policy) {
+      if (await ruleMatches(rule, req)) return next();
+    }
+    return forbidden(res);
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+};
+
+module.exports = { ROLES, STAFF_ROLES, authorize, forbidden };
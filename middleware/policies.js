@@ -0,0 +1,232 @@
+// middleware/policies.js
+//
+// Route policies, one per protected action. Each policy is a list of rules
+// evaluated by authorize(); the first matching rule grants access.
+
+const { ROLES, STAFF_ROLES } = require("./authorize");
+const { Staff } = require("../model/StaffModel");
+const { Ticket } = require("../model/TicketModel");
+const { TicketSeries } = require("../model/TicketSeriesModel");
+const { WaitlistEntry } = require("../model/WaitlistEntryModel");
+const Announcement = require("../model/AnnouncementModel");
+
+const { CUSTOMER, STAFF, DHEAD, ADMIN } = ROLES;
+const ANYONE = [CUSTOMER, ...STAFF_ROLES];
+
+// Resolvers for the department or owner of the targeted resource
+const paramID = (req) => req.params.id;
+const bodyDepartment = (req) => req.body.departmentID;
+const paramDepartment = (req) => req.params.departmentID;
+
+const staffDepartment = async (req) => {
+  const staff = await Staff.findById(req.params.id).select("departmentID");
+  return staff && staff.departmentID;
+};
+
+const ticketDepartment = async (req) => {
+  const ticket = await Ticket.findById(req.params.id).select("departmentID");
+  return ticket && ticket.departmentID;
+};
+
+const ticketStaff = async (req) => {
+  const ticket = await Ticket.findById(req.params.id).select("staffID");
+  return ticket && ticket.staffID;
+};
+
+const ticketCustomer = async (req) => {
+  const ticket = await Ticket.findById(req.params.id).select("customerID");
+  return ticket && ticket.customerID;
+};
+
+const seriesDepartment = async (req) => {
+  const series = await TicketSeries.findById(req.params.seriesId).select(
+    "departmentID"
+  );
+  return series && series.departmentID;
+};
+
+const seriesCustomer = async (req) => {
+  const series = await TicketSeries.findById(req.params.seriesId).select(
+    "customerID"
+  );
+  return series && series.customerID;
+};
+
+const waitlistDepartment = async (req) => {
+  const entry = await WaitlistEntry.findById(req.params.entryId).select(
+    "departmentID"
+  );
+  return entry && entry.departmentID;
+};
+
+const waitlistCustomer = async (req) => {
+  const entry = await WaitlistEntry.findById(req.params.entryId).select(
+    "customerID"
+  );
+  return entry && entry.customerID;
+};
+
+const announcementDepartment = async (req) => {
+  const announcement = await Announcement.findById(req.params.id).select(
+    "departmentID"
+  );
+  return announcement && announcement.departmentID;
+};
+
+// Department heads may only manage plain staff members, not admins or other
+// heads, may only hand out the plain staff role, and may not move staff to
+// another department
+const targetIsStaff = async (req) => {
+  const staff = await Staff.findById(req.params.id).select("role");
+  return Boolean(staff) && staff.role === STAFF;
+};
+const keepsStaffRole = (req) => !req.body.role || req.body.role === STAFF;
+const keepsDepartment = (req) =>
+  !req.body.departmentID || req.body.departmentID === req.user.departmentID;
+
+// Staff editing their own profile cannot touch role, department, permission,
+// how many appointments they take per slot or which ones they are given
+const noPrivilegedFields = (req) =>
+  ["role", "departmentID", "permission", "slotCapacity", "skills"].every(
+    (field) => req.body[field] === undefined
+  );
+
+module.exports = {
+  // Departments
+  readDepartments: [{ roles: ANYONE }],
+  manageDepartments: [{ roles: [ADMIN] }],
+
+  // Staff
+  listStaff: [{ roles: STAFF_ROLES }],
+  readStaff: [{ roles: STAFF_ROLES }],
+  createStaff: [
+    { roles: [ADMIN] },
+    { roles: [DHEAD], department: bodyDepartment, when: keepsStaffRole },
+  ],
+  updateStaff: [
+    { roles: [ADMIN] },
+    {
+      roles: [DHEAD],
+      department: staffDepartment,
+      when: async (req) =>
+        keepsStaffRole(req) && keepsDepartment(req) && targetIsStaff(req),
+    },
+    { roles: STAFF_ROLES, self: paramID, when: noPrivilegedFields },
+  ],
+  deleteStaff: [
+    { roles: [ADMIN] },
+    { roles: [DHEAD], department: staffDepartment, when: targetIsStaff },
+  ],
+  ownStaffSessions: [{ roles: STAFF_ROLES }],
+  changeStaffPassword: [{ roles: STAFF_ROLES }],
+  manageOwnTwoFactor: [{ roles: STAFF_ROLES }],
+  manageTwoFactor: [{ roles: [ADMIN] }],
+
+  // Customers
+  listCustomers: [{ roles: STAFF_ROLES }],
+  readCustomer: [{ roles: STAFF_ROLES }, { roles: [CUSTOMER], self: paramID }],
+  readCustomerByEmail: [
+    { roles: STAFF_ROLES },
+    { roles: [CUSTOMER], when: (req) => req.params.email === req.user.email },
+  ],
+  manageCustomer: [{ roles: [ADMIN] }, { roles: [CUSTOMER], self: paramID }],
+  resendVerification: [{ roles: [CUSTOMER] }],
+  changeCustomerPassword: [{ roles: [CUSTOMER] }],
+
+  // Tickets
+  createTicket: [
+    { roles: [ADMIN] },
+    { roles: [STAFF, DHEAD], department: bodyDepartment },
+    {
+      roles: [CUSTOMER],
+      when: (req) =>
+        !req.body.customerID || req.body.customerID === req.user.id,
+    },
+  ],
+  releaseSlotHold: [{ roles: ANYONE }],
+  listTickets: [{ roles: ANYONE }],
+  manageTicket: [
+    { roles: [ADMIN] },
+    { roles: [STAFF, DHEAD], department: ticketDepartment },
+    { roles: [CUSTOMER], self: ticketCustomer },
+  ],
+  // Erasing a ticket is for cleaning up mistakes; customers cancel instead
+  deleteTicket: [
+    { roles: [ADMIN] },
+    { roles: [STAFF, DHEAD], department: ticketDepartment },
+  ],
+  // Check-in happens at the desk, so citizens can't mark themselves arrived
+  // from elsewhere
+  checkInTicket: [
+    { roles: [ADMIN] },
+    { roles: [STAFF, DHEAD], department: ticketDepartment },
+  ],
+  // Only the assigned staff member, not the whole department, joins the
+  // conversation; department heads may step in
+  commentOnTicket: [
+    { roles: [ADMIN] },
+    { roles: [DHEAD], department: ticketDepartment },
+    { roles: [STAFF], self: ticketStaff },
+    { roles: [CUSTOMER], self: ticketCustomer },
+  ],
+  reassignTicket: [
+    { roles: [ADMIN] },
+    { roles: [DHEAD], department: ticketDepartment },
+  ],
+  manageTicketSeries: [
+    { roles: [ADMIN] },
+    { roles: [STAFF, DHEAD], department: seriesDepartment },
+    { roles: [CUSTOMER], self: seriesCustomer },
+  ],
+  readStaffTickets: [{ roles: STAFF_ROLES }],
+
+  // Waitlist
+  joinWaitlist: [
+    { roles: [ADMIN] },
+    { roles: [STAFF, DHEAD], department: bodyDepartment },
+    {
+      roles: [CUSTOMER],
+      when: (req) =>
+        !req.body.customerID || req.body.customerID === req.user.id,
+    },
+  ],
+  listWaitlist: [{ roles: ANYONE }],
+  leaveWaitlist: [
+    { roles: [ADMIN] },
+    { roles: [STAFF, DHEAD], department: waitlistDepartment },
+    { roles: [CUSTOMER], self: waitlistCustomer },
+  ],
+
+  // Walk-in queue
+  joinQueue: [
+    { roles: [ADMIN, CUSTOMER] },
+    { roles: [STAFF, DHEAD], department: paramDepartment },
+  ],
+  serveQueue: [
+    { roles: [ADMIN] },
+    { roles: [STAFF, DHEAD], department: paramDepartment },
+  ],
+
+  // Dashboard
+  viewDashboard: [{ roles: STAFF_ROLES }],
+
+  // Announcements
+  readAnnouncements: [
+    { roles: [ADMIN] },
+    { roles: [STAFF, DHEAD], department: paramDepartment },
+  ],
+  createAnnouncement: [
+    { roles: [ADMIN] },
+    { roles: [DHEAD], department: bodyDepartment },
+  ],
+  deleteAnnouncement: [
+    { roles: [ADMIN] },
+    { roles: [DHEAD], department: announcementDepartment },
+  ],
+
+  // Inter-department messages
+  messaging: [{ roles: STAFF_ROLES }],
+
+  // Outgoing email sent on request
+  sendEmail: [{ roles: STAFF_ROLES }],
+};
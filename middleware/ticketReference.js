@@ -0,0 +1,29 @@
+const { Ticket } = require("../model/TicketModel");
+const { isTicketReference } = require("../services/ticketReferenceService");
+
+/**
+ * Router param handler letting ticket routes take a reference such as
+ * REG-2026-000123 wherever they take a ticket ID. The reference is swapped
+ * for the ticket's ID before authorization and the controller see it.
+ */
+const resolveTicketReference = async (req, res, next, value) => {
+  if (!isTicketReference(value)) return next();
+
+  try {
+    const ticket = await Ticket.findOne({
+      reference: value.toUpperCase(),
+    }).select("_id");
+    if (!ticket) {
+      return res.status(404).json({
+        success: false,
+        message: "Ticket not found",
+      });
+    }
+    req.params.id = String(ticket._id);
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+module.exports = { resolveTicketReference };
@@ -0,0 +1,37 @@
+const multer = require("multer");
+const {
+  MAX_ATTACHMENT_MB,
+  MAX_ATTACHMENT_BYTES,
+  MAX_FILES_PER_UPLOAD,
+} = require("../services/attachmentService");
+
+const parseAttachments = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_ATTACHMENT_BYTES, files: MAX_FILES_PER_UPLOAD },
+}).array("files", MAX_FILES_PER_UPLOAD);
+
+const LIMIT_MESSAGES = {
+  LIMIT_FILE_SIZE: `Each file must be at most ${MAX_ATTACHMENT_MB} MB`,
+  LIMIT_FILE_COUNT: `Upload at most ${MAX_FILES_PER_UPLOAD} files at a time`,
+  LIMIT_UNEXPECTED_FILE: `Send up to ${MAX_FILES_PER_UPLOAD} files in the "files" field`,
+};
+
+/**
+ * Parse a multipart/form-data upload of attachments into req.files, held in
+ * memory, and its text fields into req.body. Place after authorize() so
+ * nothing is read from callers who may not upload.
+ */
+const uploadAttachments = (req, res, next) => {
+  parseAttachments(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      return res.status(400).json({
+        success: false,
+        message: LIMIT_MESSAGES[err.code] || err.message,
+      });
+    }
+    if (err) return next(err);
+    next();
+  });
+};
+
+module.exports = { uploadAttachments };
@@ -0,0 +1,62 @@
+// models/AttachmentModel.js
+
+const mongoose = require("mongoose");
+
+// A document uploaded to a ticket, optionally as part of one of its comments.
+// The contents live in attachment storage under storageKey.
+const attachmentSchema = new mongoose.Schema({
+  ticketID: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Ticket",
+    required: true,
+  },
+  commentID: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "TicketComment",
+  },
+  uploaderID: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+  },
+  uploaderType: {
+    type: String,
+    enum: ["customer", "staff"],
+    required: true,
+  },
+  originalName: {
+    type: String,
+    required: true,
+  },
+  mimeType: {
+    type: String,
+    required: true,
+  },
+  size: {
+    type: Number,
+    required: true,
+  },
+  sha256: {
+    type: String,
+    required: true,
+  },
+  storageKey: {
+    type: String,
+    required: true,
+  },
+  // Copied from the comment, so customers never see staff-only files
+  internal: {
+    type: Boolean,
+    default: false,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+attachmentSchema.index({ ticketID: 1, createdAt: 1 });
+attachmentSchema.index({ storageKey: 1 });
+
+const Attachment = mongoose.model("Attachment", attachmentSchema);
+
+module.exports = { Attachment };
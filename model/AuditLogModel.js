@@ -0,0 +1,41 @@
+// models/AuditLogModel.js
+
+const mongoose = require("mongoose");
+
+const auditLogSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    required: true,
+  },
+  actorID: {
+    type: mongoose.Schema.Types.ObjectId,
+  },
+  actorType: {
+    type: String,
+    enum: ["customer", "staff", "system"],
+    required: true,
+  },
+  targetID: {
+    type: mongoose.Schema.Types.ObjectId,
+  },
+  targetType: {
+    type: String,
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  ipAddress: {
+    type: String,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+auditLogSchema.index({ targetType: 1, targetID: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+const AuditLog = mongoose.model("AuditLog", auditLogSchema);
+
+module.exports = { AuditLog };
@@ -10,7 +10,14 @@ const customerSchema = new mongoose.Schema({
     emailAddress: { type: String, unique: true },
     address: { type: String, },
     password: { type: String, },
-    registeredDate: { type: Date, default: Date.now }
+    registeredDate: { type: Date, default: Date.now },
+    // No default: accounts created before verification existed have no
+    // value and are treated as verified. New sign-ups start at false.
+    emailVerified: { type: Boolean, },
+    emailVerifiedAt: { type: Date, },
+    // Approved appointments missed without checking in
+    noShowCount: { type: Number, default: 0 },
+    lastNoShowAt: { type: Date, }
 });
  
 const Customer = mongoose.model('Customer', customerSchema);
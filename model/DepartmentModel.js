@@ -1,4 +1,43 @@
 const mongoose = require("mongoose");
+const {
+  WEEKDAYS,
+  DEFAULT_SLOT_MINUTES,
+} = require("../services/scheduleService");
+const {
+  ASSIGNMENT_STRATEGIES,
+  DEFAULT_ASSIGNMENT_STRATEGY,
+} = require("../services/assignmentStrategies");
+const {
+  DEFAULT_MIN_NOTICE_HOURS,
+  DEFAULT_MAX_RESCHEDULES,
+} = require("../services/ticketChangeRules");
+
+// Times are HH:mm in the server's local time; dates are YYYY-MM-DD
+const openingHoursSchema = new mongoose.Schema(
+  {
+    day: {
+      type: String,
+      enum: WEEKDAYS,
+      required: true,
+    },
+    open: {
+      type: String,
+      required: true,
+    },
+    close: {
+      type: String,
+      required: true,
+    },
+    breaks: [
+      {
+        _id: false,
+        start: { type: String, required: true },
+        end: { type: String, required: true },
+      },
+    ],
+  },
+  { _id: false }
+);
 
 const departmentSchema = new mongoose.Schema({
   departmentName: {
@@ -20,14 +59,103 @@ const departmentSchema = new mongoose.Schema({
   departmentHeadID: {
     type: String,
   },
+  // Starts the department's ticket references, e.g. REG in REG-2026-000123
+  referencePrefix: {
+    type: String,
+  },
+  // Free-text summary shown to citizens; bookings follow schedule below
   operatingHours: {
     type: String,
     required: true,
   },
+  schedule: {
+    slotMinutes: {
+      type: Number,
+      default: DEFAULT_SLOT_MINUTES,
+      min: 5,
+    },
+    weekly: {
+      type: [openingHoursSchema],
+      default: [],
+    },
+    // Dates the department is closed on top of public holidays
+    closures: [
+      {
+        _id: false,
+        date: { type: String, required: true },
+        reason: { type: String },
+      },
+    ],
+  },
   appointmentReasons: {
     type: [String],
     default: [],
   },
+  // How new tickets are handed to staff
+  assignmentStrategy: {
+    type: String,
+    enum: ASSIGNMENT_STRATEGIES,
+    default: DEFAULT_ASSIGNMENT_STRATEGY,
+  },
+  // Round-robin position, advanced on every automatic assignment
+  assignmentTurn: {
+    type: Number,
+    default: 0,
+  },
+  // What customers may do to their own appointments; staff are not bound
+  changeRules: {
+    // Hours before the appointment after which it can no longer be moved
+    // or cancelled
+    minNoticeHours: {
+      type: Number,
+      default: DEFAULT_MIN_NOTICE_HOURS,
+      min: 0,
+    },
+    maxReschedules: {
+      type: Number,
+      default: DEFAULT_MAX_RESCHEDULES,
+      min: 0,
+    },
+  },
+  // Attendance; defaults are applied by services/attendanceService.js
+  noShowRules: {
+    // Minutes after the slot before an approved appointment nobody checked
+    // in for becomes a NoShow
+    graceMinutes: {
+      type: Number,
+      min: 0,
+    },
+    // No-shows after which customers cannot book online; unset for no limit
+    maxNoShows: {
+      type: Number,
+      min: 0,
+    },
+    // How long that lasts after the latest no-show
+    restrictionDays: {
+      type: Number,
+      min: 0,
+    },
+  },
+  // Appointments the department can serve at the same time, per slot
+  slotCapacity: {
+    type: Number,
+    default: 1,
+    min: 1,
+  },
+  // Service counters, each with its own limit per slot
+  counters: [
+    {
+      name: {
+        type: String,
+        required: true,
+      },
+      slotCapacity: {
+        type: Number,
+        default: 1,
+        min: 1,
+      },
+    },
+  ],
 });
 
 const Department = mongoose.model("Department", departmentSchema);
@@ -0,0 +1,36 @@
+// models/LoginAttemptModel.js
+
+const mongoose = require("mongoose");
+
+// Failed-login counters used by the login limiter, keyed per account or IP
+const loginAttemptSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  failures: {
+    type: Number,
+    default: 0,
+  },
+  lockouts: {
+    type: Number,
+    default: 0,
+  },
+  nextAttemptAt: {
+    type: Date,
+  },
+  lockedUntil: {
+    type: Date,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const LoginAttempt = mongoose.model("LoginAttempt", loginAttemptSchema);
+
+module.exports = { LoginAttempt };
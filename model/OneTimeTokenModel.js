@@ -0,0 +1,45 @@
+// models/OneTimeTokenModel.js
+
+const mongoose = require("mongoose");
+
+// Single-use tokens sent by email (password resets, email verification).
+// Only the SHA-256 hash of the token is stored.
+const oneTimeTokenSchema = new mongoose.Schema({
+  userID: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+  },
+  userType: {
+    type: String,
+    enum: ["customer", "staff"],
+    required: true,
+  },
+  purpose: {
+    type: String,
+    enum: ["password-reset", "email-verification"],
+    required: true,
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  usedAt: {
+    type: Date,
+  },
+});
+
+oneTimeTokenSchema.index({ userType: 1, userID: 1, purpose: 1 });
+oneTimeTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const OneTimeToken = mongoose.model("OneTimeToken", oneTimeTokenSchema);
+
+module.exports = { OneTimeToken };
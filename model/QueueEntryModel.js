@@ -0,0 +1,88 @@
+// models/QueueEntryModel.js
+
+const mongoose = require("mongoose");
+
+// A walk-in's place in a department's queue for the day
+const queueEntrySchema = new mongoose.Schema({
+  departmentID: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Department",
+    required: true,
+  },
+  // Local date the number was issued for, YYYY-MM-DD; numbers restart daily
+  queueDate: {
+    type: String,
+    required: true,
+  },
+  number: {
+    type: Number,
+    required: true,
+  },
+  // What the lobby display shows, e.g. REG-007
+  token: {
+    type: String,
+    required: true,
+  },
+  // Walk-ins without an account give just a name
+  customerID: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Customer",
+  },
+  name: {
+    type: String,
+  },
+  issueDescription: {
+    type: String,
+  },
+  status: {
+    type: String,
+    enum: ["waiting", "called", "served", "skipped"],
+    default: "waiting",
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  calledAt: {
+    type: Date,
+  },
+  finishedAt: {
+    type: Date,
+  },
+  // Staff member who called the walk-in, and where to go
+  staffID: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Staff",
+  },
+  counterID: {
+    type: mongoose.Schema.Types.ObjectId,
+  },
+  // The ticket recorded once the walk-in has been served
+  ticketID: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Ticket",
+  },
+});
+
+queueEntrySchema.index(
+  { departmentID: 1, queueDate: 1, number: 1 },
+  { unique: true }
+);
+// One place in line per customer a day: settles two requests racing past
+// the check in issueNumber. Walk-ins without an account aren't covered.
+queueEntrySchema.index(
+  { departmentID: 1, queueDate: 1, customerID: 1 },
+  {
+    unique: true,
+    partialFilterExpression: {
+      customerID: { $exists: true },
+      status: { $in: ["waiting", "called"] },
+    },
+  }
+);
+queueEntrySchema.index({ departmentID: 1, queueDate: 1, status: 1 });
+queueEntrySchema.index({ departmentID: 1, status: 1, finishedAt: -1 });
+
+const QueueEntry = mongoose.model("QueueEntry", queueEntrySchema);
+
+module.exports = { QueueEntry };
@@ -0,0 +1,37 @@
+// models/SentReminderModel.js
+
+const mongoose = require("mongoose");
+
+// An appointment reminder that has gone out, or is going out. The unique
+// index lets only one process claim each reminder, so restarts and
+// several instances never send it twice. Keyed by appointment time, so a
+// rescheduled appointment gets fresh reminders.
+const sentReminderSchema = new mongoose.Schema({
+  ticketID: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Ticket",
+    required: true,
+  },
+  appointmentDateTime: {
+    type: Date,
+    required: true,
+  },
+  // How long before the appointment the reminder is due
+  offsetMinutes: {
+    type: Number,
+    required: true,
+  },
+  sentAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+sentReminderSchema.index(
+  { ticketID: 1, appointmentDateTime: 1, offsetMinutes: 1 },
+  { unique: true }
+);
+
+const SentReminder = mongoose.model("SentReminder", sentReminderSchema);
+
+module.exports = { SentReminder };
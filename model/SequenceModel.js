@@ -0,0 +1,18 @@
+// models/SequenceModel.js
+
+const mongoose = require("mongoose");
+
+// Named counters, advanced atomically with $inc, one document per sequence
+const sequenceSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+  },
+  value: {
+    type: Number,
+    default: 0,
+  },
+});
+
+const Sequence = mongoose.model("Sequence", sequenceSchema);
+
+module.exports = { Sequence };
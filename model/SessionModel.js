@@ -0,0 +1,58 @@
+// models/SessionModel.js
+
+const mongoose = require("mongoose");
+
+// A login session backed by a rotating refresh token. Only the SHA-256 hash
+// of the refresh token is stored.
+const sessionSchema = new mongoose.Schema({
+  userID: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+  },
+  userType: {
+    type: String,
+    enum: ["customer", "staff"],
+    required: true,
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  previousTokenHash: {
+    type: String,
+  },
+  userAgent: {
+    type: String,
+  },
+  ipAddress: {
+    type: String,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  revokedAt: {
+    type: Date,
+  },
+  revokedReason: {
+    type: String,
+  },
+});
+
+sessionSchema.index({ userType: 1, userID: 1, revokedAt: 1 });
+sessionSchema.index({ previousTokenHash: 1 });
+// Let MongoDB drop sessions once the refresh token has expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model("Session", sessionSchema);
+
+module.exports = { Session };
@@ -0,0 +1,27 @@
+// models/SettingModel.js
+
+const mongoose = require("mongoose");
+
+// System-wide settings changed at runtime by admins, one document per key
+const settingSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Staff",
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+const Setting = mongoose.model("Setting", settingSchema);
+
+module.exports = { Setting };
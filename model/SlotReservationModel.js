@@ -0,0 +1,59 @@
+// models/SlotReservationModel.js
+
+const mongoose = require("mongoose");
+
+// One seat of an appointment slot. A resource (a department, counter or
+// staff member) with capacity N has seats 0..N-1 per slot, and the unique
+// index guarantees each seat is taken at most once. A seat is either held
+// for a few minutes while a booking form is filled in (expiresAt set), or
+// belongs to a ticket (expiresAt cleared).
+const slotReservationSchema = new mongoose.Schema({
+  // "department:<id>", "counter:<id>" or "staff:<id>"
+  resource: {
+    type: String,
+    required: true,
+  },
+  slot: {
+    type: Date,
+    required: true,
+  },
+  seat: {
+    type: Number,
+    required: true,
+  },
+  ticketID: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Ticket",
+  },
+  holdID: {
+    type: String,
+  },
+  // Customer or staff member who placed the hold
+  holderID: {
+    type: mongoose.Schema.Types.ObjectId,
+  },
+  expiresAt: {
+    type: Date,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+slotReservationSchema.index(
+  { resource: 1, slot: 1, seat: 1 },
+  { unique: true }
+);
+slotReservationSchema.index({ ticketID: 1 });
+slotReservationSchema.index({ holdID: 1 });
+// Let MongoDB drop expired holds; seats are also reclaimed as soon as a hold
+// has expired, without waiting for this
+slotReservationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const SlotReservation = mongoose.model(
+  "SlotReservation",
+  slotReservationSchema
+);
+
+module.exports = { SlotReservation };
@@ -54,6 +54,38 @@ const staffSchema = new mongoose.Schema({
     permission: {
         type: String,
        
+    },
+    // Appointments this staff member can serve at the same time, per slot
+    slotCapacity: {
+        type: Number,
+        default: 1,
+        min: 1,
+    },
+    // Appointment reasons this staff member is best placed to handle
+    skills: {
+        type: [String],
+        default: [],
+    },
+    // Two-factor authentication (TOTP)
+    twoFactorEnabled: {
+        type: Boolean,
+        default: false,
+    },
+    twoFactorSecret: {
+        type: String,
+    },
+    twoFactorPendingSecret: {
+        type: String,
+    },
+    twoFactorRecoveryCodes: {
+        type: [String],
+        default: undefined,
+    },
+    twoFactorLastStep: {
+        type: Number,
+    },
+    twoFactorEnabledAt: {
+        type: Date,
     }
 });
 
@@ -0,0 +1,39 @@
+// models/TicketCommentModel.js
+
+const mongoose = require("mongoose");
+
+const ticketCommentSchema = new mongoose.Schema({
+  ticketID: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Ticket",
+    required: true,
+  },
+  authorID: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+  },
+  authorType: {
+    type: String,
+    enum: ["customer", "staff"],
+    required: true,
+  },
+  body: {
+    type: String,
+    required: true,
+  },
+  // Internal comments are between staff only and never shown to the customer
+  internal: {
+    type: Boolean,
+    default: false,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+ticketCommentSchema.index({ ticketID: 1, createdAt: 1 });
+
+const TicketComment = mongoose.model("TicketComment", ticketCommentSchema);
+
+module.exports = { TicketComment };
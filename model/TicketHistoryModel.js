@@ -0,0 +1,71 @@
+// models/TicketHistoryModel.js
+
+const mongoose = require("mongoose");
+
+// One change to a ticket. Entries are only ever appended: updates and
+// deletes through the model are refused, and entries outlive the ticket.
+const ticketHistorySchema = new mongoose.Schema({
+  ticketID: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Ticket",
+    required: true,
+  },
+  // "created", "updated", "status-changed", "rescheduled" or "reassigned";
+  // deleting a ticket is recorded in the audit log
+  action: {
+    type: String,
+    required: true,
+  },
+  actorID: {
+    type: mongoose.Schema.Types.ObjectId,
+  },
+  actorType: {
+    type: String,
+    enum: ["customer", "staff", "system"],
+    required: true,
+  },
+  changes: [
+    {
+      _id: false,
+      field: { type: String, required: true },
+      from: { type: mongoose.Schema.Types.Mixed },
+      to: { type: mongoose.Schema.Types.Mixed },
+    },
+  ],
+  fromStatus: {
+    type: String,
+  },
+  toStatus: {
+    type: String,
+  },
+  reason: {
+    type: String,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+ticketHistorySchema.index({ ticketID: 1, createdAt: 1 });
+
+const appendOnly = function () {
+  throw new Error("Ticket history entries cannot be changed or removed");
+};
+ticketHistorySchema.pre(
+  [
+    "updateOne",
+    "updateMany",
+    "findOneAndUpdate",
+    "replaceOne",
+    "findOneAndReplace",
+    "deleteOne",
+    "deleteMany",
+    "findOneAndDelete",
+  ],
+  appendOnly
+);
+
+const TicketHistory = mongoose.model("TicketHistory", ticketHistorySchema);
+
+module.exports = { TicketHistory };
@@ -1,12 +1,29 @@
 // models/TicketModel.js
 
 const mongoose = require("mongoose");
+const {
+  TICKET_STATUS,
+  TICKET_STATUSES,
+} = require("../services/ticketLifecycle");
 
 const ticketSchema = new mongoose.Schema({
+  // Human-readable reference, e.g. REG-2026-000123
+  reference: {
+    type: String,
+  },
+  // Walk-ins served from the queue may have no account
   customerID: {
     type: mongoose.Schema.Types.ObjectId,
     ref: "Customer",
-    required: true,
+    required: function () {
+      return this.source !== "walk-in";
+    },
+  },
+  // How the citizen came in: a booked appointment or the walk-in queue
+  source: {
+    type: String,
+    enum: ["appointment", "walk-in"],
+    default: "appointment",
   },
   staffID: {
     type: mongoose.Schema.Types.ObjectId,
@@ -17,14 +34,22 @@ const ticketSchema = new mongoose.Schema({
     ref: "Department",
     required: true,
   },
+  // One of the department's counters
+  counterID: {
+    type: mongoose.Schema.Types.ObjectId,
+  },
   issueDescription: {
     type: String,
     required: true,
   },
+  // One of the department's appointmentReasons
+  appointmentReason: {
+    type: String,
+  },
   status: {
     type: String,
-    enum: ["Pending", "Approved", "Rejected"],
-    default: "Pending",
+    enum: TICKET_STATUSES,
+    default: TICKET_STATUS.PENDING,
   },
   createdDate: {
     type: Date,
@@ -40,9 +65,26 @@ const ticketSchema = new mongoose.Schema({
   appointmentDateTime: {
     type: Date,
   },
+  // Back-to-back slots the appointment takes, starting at appointmentDateTime
+  slotCount: {
+    type: Number,
+    default: 1,
+  },
+  // Recurring series the appointment belongs to, and which visit it is
+  seriesID: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "TicketSeries",
+  },
+  seriesIndex: {
+    type: Number,
+  },
   closedDate: {
     type: Date,
   },
+  // When the citizen arrived for their appointment
+  checkedInAt: {
+    type: Date,
+  },
   notes: {
     type: String,
   },
@@ -52,13 +94,26 @@ const ticketSchema = new mongoose.Schema({
   rejectionReason: {
     type: String,
   },
+  cancellationReason: {
+    type: String,
+  },
+  // Times the appointment has been moved, limited for customers by the
+  // department's changeRules
+  rescheduleCount: {
+    type: Number,
+    default: 0,
+  },
 });
 
 // Add indexes for better query performance
+// Sparse until scripts/backfillTicketReferences.js has run on older tickets
+ticketSchema.index({ reference: 1 }, { unique: true, sparse: true });
 ticketSchema.index({ appointmentDate: 1, appointmentTime: 1, status: 1 });
 ticketSchema.index({ appointmentDateTime: 1, status: 1 });
+ticketSchema.index({ departmentID: 1, appointmentDateTime: 1, status: 1 });
 ticketSchema.index({ customerID: 1, appointmentDate: 1 });
 ticketSchema.index({ staffID: 1, status: 1 });
+ticketSchema.index({ seriesID: 1, seriesIndex: 1 }, { sparse: true });
 
 const Ticket = mongoose.model("Ticket", ticketSchema);
 
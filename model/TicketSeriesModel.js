@@ -0,0 +1,50 @@
+// models/TicketSeriesModel.js
+
+const mongoose = require("mongoose");
+
+// A run of recurring appointments, e.g. follow-up inspections. Each visit
+// is its own ticket pointing back here with seriesID and seriesIndex.
+const ticketSeriesSchema = new mongoose.Schema({
+  customerID: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Customer",
+    required: true,
+  },
+  departmentID: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Department",
+    required: true,
+  },
+  frequency: {
+    type: String,
+    enum: ["weekly", "monthly"],
+    required: true,
+  },
+  // Every how many weeks or months
+  interval: {
+    type: Number,
+    default: 1,
+  },
+  occurrences: {
+    type: Number,
+    required: true,
+  },
+  // Back-to-back slots each visit takes
+  slotCount: {
+    type: Number,
+    default: 1,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+  },
+  createdDate: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+ticketSeriesSchema.index({ customerID: 1, createdDate: -1 });
+
+const TicketSeries = mongoose.model("TicketSeries", ticketSeriesSchema);
+
+module.exports = { TicketSeries };
@@ -0,0 +1,72 @@
+// models/WaitlistEntryModel.js
+
+const mongoose = require("mongoose");
+
+// A customer waiting for room in a fully booked department, on a day or at
+// one slot. When a seat frees up the longest waiting customer is offered
+// it: the seat is held for them until offerExpiresAt.
+const waitlistEntrySchema = new mongoose.Schema({
+  departmentID: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Department",
+    required: true,
+  },
+  customerID: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Customer",
+    required: true,
+  },
+  // Local date wanted, YYYY-MM-DD
+  date: {
+    type: String,
+    required: true,
+  },
+  // A specific slot on that date; any slot of the day when left out
+  slot: {
+    type: Date,
+  },
+  issueDescription: {
+    type: String,
+  },
+  status: {
+    type: String,
+    enum: ["waiting", "offered", "booked", "expired", "left"],
+    default: "waiting",
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  // The seat on offer, held under holdID until the offer runs out
+  offeredSlot: {
+    type: Date,
+  },
+  holdID: {
+    type: String,
+  },
+  offeredAt: {
+    type: Date,
+  },
+  offerExpiresAt: {
+    type: Date,
+  },
+  // Ticket booked with the offer
+  ticketID: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Ticket",
+  },
+});
+
+waitlistEntrySchema.index({
+  departmentID: 1,
+  date: 1,
+  status: 1,
+  createdAt: 1,
+});
+waitlistEntrySchema.index({ status: 1, offerExpiresAt: 1 });
+waitlistEntrySchema.index({ customerID: 1, status: 1 });
+waitlistEntrySchema.index({ holdID: 1 }, { sparse: true });
+
+const WaitlistEntry = mongoose.model("WaitlistEntry", waitlistEntrySchema);
+
+module.exports = { WaitlistEntry };
@@ -1,6 +1,12 @@
 const express = require("express");
 const router = express.Router();
 const customerController = require("../controller/CustomerController");
+const sessionController = require("../controller/SessionController");
+const { authenticate } = require("../middleware/authMiddleware");
+const { authorize } = require("../middleware/authorize");
+const policies = require("../middleware/policies");
+const { validate } = require("../validation/validator");
+const schemas = require("../validation/schemas");
 
 /**
  * @swagger
@@ -8,37 +14,24 @@ const customerController = require("../controller/CustomerController");
  *   post:
  *     summary: Add a new customer
  *     tags: [Customers]
+ *     security: []
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required:
- *               - emailAddress
- *               - password
- *               - firstName
- *               - lastName
- *             properties:
- *               emailAddress:
- *                 type: string
- *               password:
- *                 type: string
- *               firstName:
- *                 type: string
- *               lastName:
- *                 type: string
- *               phoneNumber:
- *                 type: string
- *               address:
- *                 type: string
+ *             $ref: '#/components/schemas/CustomerInput'
  *     responses:
  *       201:
  *         description: Customer added successfully
  *       400:
  *         description: Error adding customer
  */
-router.post("/", customerController.addCustomer);
+router.post(
+  "/",
+  validate(schemas.customerCreate),
+  customerController.addCustomer
+);
 
 /**
  * @swagger
@@ -46,6 +39,35 @@ router.post("/", customerController.addCustomer);
  *   post:
  *     summary: Customer login
  *     tags: [Customers]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CustomerLoginInput'
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *       400:
+ *         description: Invalid email or password
+ *       429:
+ *         description: Too many failed attempts
+ */
+router.post(
+  "/login",
+  validate(schemas.customerLogin),
+  customerController.login
+);
+
+/**
+ * @swagger
+ * /api/customers/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new access token
+ *     description: The refresh token is rotated; the one presented can not be used again.
+ *     tags: [Customers]
+ *     security: []
  *     requestBody:
  *       required: true
  *       content:
@@ -53,22 +75,83 @@ router.post("/", customerController.addCustomer);
  *           schema:
  *             type: object
  *             required:
- *               - email
- *               - password
+ *               - refreshToken
  *             properties:
- *               email:
- *                 type: string
- *               password:
+ *               refreshToken:
  *                 type: string
  *     responses:
  *       200:
- *         description: Login successful
+ *         description: New access token and refresh token
  *       400:
- *         description: Invalid credentials
- *       404:
- *         description: Customer not found
+ *         description: Refresh token missing
+ *       401:
+ *         description: Invalid, expired or revoked refresh token
+ */
+router.post(
+  "/refresh",
+  validate(schemas.refreshToken),
+  sessionController.refresh
+);
+
+/**
+ * @swagger
+ * /api/customers/logout:
+ *   post:
+ *     summary: Log out of the current session
+ *     tags: [Customers]
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       401:
+ *         description: Not authenticated
  */
-router.post("/login", customerController.login);
+router.post("/logout", authenticate, sessionController.logout);
+
+/**
+ * @swagger
+ * /api/customers/logout-all:
+ *   post:
+ *     summary: Log out of every session on all devices
+ *     tags: [Customers]
+ *     responses:
+ *       200:
+ *         description: All sessions revoked
+ *       401:
+ *         description: Not authenticated
+ */
+router.post("/logout-all", authenticate, sessionController.logoutAll);
+
+// Email verification (documented in CustomerController)
+router.post(
+  "/verify-email",
+  validate(schemas.verifyEmail),
+  customerController.verifyEmail
+);
+router.post(
+  "/verify-email/resend",
+  authenticate,
+  authorize(policies.resendVerification),
+  customerController.resendVerification
+);
+
+// Password reset by email (public) and change-password (documented in CustomerController)
+router.post(
+  "/password/forgot",
+  validate(schemas.passwordForgot),
+  customerController.requestPasswordReset
+);
+router.post(
+  "/password/reset",
+  validate(schemas.passwordReset),
+  customerController.resetPassword
+);
+router.post(
+  "/password/change",
+  authenticate,
+  authorize(policies.changeCustomerPassword),
+  validate(schemas.passwordChange),
+  customerController.changePassword
+);
 
 /**
  * @swagger
@@ -82,7 +165,12 @@ router.post("/login", customerController.login);
  *       500:
  *         description: Server error
  */
-router.get("/", customerController.getCustomers);
+router.get(
+  "/",
+  authenticate,
+  authorize(policies.listCustomers),
+  customerController.getCustomers
+);
 
 /**
  * @swagger
@@ -104,7 +192,12 @@ router.get("/", customerController.getCustomers);
  *       500:
  *         description: Server error
  */
-router.get("/:id", customerController.getCustomerById);
+router.get(
+  "/:id",
+  authenticate,
+  authorize(policies.readCustomer),
+  customerController.getCustomerById
+);
 
 /**
  * @swagger
@@ -126,7 +219,12 @@ router.get("/:id", customerController.getCustomerById);
  *       400:
  *         description: Bad request
  */
-router.get("/email/:email", customerController.getCustomerByEmail);
+router.get(
+  "/email/:email",
+  authenticate,
+  authorize(policies.readCustomerByEmail),
+  customerController.getCustomerByEmail
+);
 
 /**
  * @swagger
@@ -145,7 +243,7 @@ router.get("/email/:email", customerController.getCustomerByEmail);
  *       content:
  *         application/json:
  *           schema:
- *             type: object
+ *             $ref: '#/components/schemas/CustomerUpdateInput'
  *     responses:
  *       200:
  *         description: Customer updated successfully
@@ -154,7 +252,13 @@ router.get("/email/:email", customerController.getCustomerByEmail);
  *       500:
  *         description: Server error
  */
-router.put("/:id", customerController.updateCustomer);
+router.put(
+  "/:id",
+  authenticate,
+  authorize(policies.manageCustomer),
+  validate(schemas.customerUpdate),
+  customerController.updateCustomer
+);
 
 /**
  * @swagger
@@ -176,6 +280,11 @@ router.put("/:id", customerController.updateCustomer);
  *       500:
  *         description: Server error
  */
-router.delete("/:id", customerController.deleteCustomer);
+router.delete(
+  "/:id",
+  authenticate,
+  authorize(policies.manageCustomer),
+  customerController.deleteCustomer
+);
 
 module.exports = router;
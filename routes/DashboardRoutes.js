@@ -1,6 +1,12 @@
 const express = require("express");
 const router = express.Router();
 const dashboardController = require("../controller/DashboardController");
+const { authenticate } = require("../middleware/authMiddleware");
+const { authorize } = require("../middleware/authorize");
+const policies = require("../middleware/policies");
+
+// Every dashboard endpoint is staff-only
+router.use(authenticate, authorize(policies.viewDashboard));
 
 // Get count of Departments
 router.get("/departments/count", dashboardController.getDepartmentCount);
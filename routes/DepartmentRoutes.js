@@ -1,20 +1,75 @@
 const express = require("express");
 const router = express.Router();
 const departmentController = require("../controller/DepartmentController");
+const { authenticate } = require("../middleware/authMiddleware");
+const { authorize } = require("../middleware/authorize");
+const policies = require("../middleware/policies");
+const { validate } = require("../validation/validator");
+const schemas = require("../validation/schemas");
 
 // Add a new department
-router.post("/", departmentController.addDepartment);
+router.post(
+  "/",
+  authenticate,
+  authorize(policies.manageDepartments),
+  validate(schemas.departmentCreate),
+  departmentController.addDepartment
+);
 
 // Get all departments
-router.get("/", departmentController.getDepartments);
+router.get(
+  "/",
+  authenticate,
+  authorize(policies.readDepartments),
+  departmentController.getDepartments
+);
+
+// Public holidays, when every department is closed
+router.get(
+  "/holidays",
+  authenticate,
+  authorize(policies.readDepartments),
+  departmentController.getPublicHolidays
+);
+router.put(
+  "/holidays",
+  authenticate,
+  authorize(policies.manageDepartments),
+  validate(schemas.publicHolidays),
+  departmentController.updatePublicHolidays
+);
+
+// Free appointment slots of a department over a date range
+router.get(
+  "/:id/slots",
+  authenticate,
+  authorize(policies.readDepartments),
+  departmentController.getFreeSlots
+);
 
 // Get a single department by ID
-router.get("/:id", departmentController.getDepartmentById);
+router.get(
+  "/:id",
+  authenticate,
+  authorize(policies.readDepartments),
+  departmentController.getDepartmentById
+);
 
 // Update a department
-router.put("/:id", departmentController.updateDepartment);
+router.put(
+  "/:id",
+  authenticate,
+  authorize(policies.manageDepartments),
+  validate(schemas.departmentUpdate),
+  departmentController.updateDepartment
+);
 
 // Delete a department
-router.delete("/:id", departmentController.deleteDepartment);
+router.delete(
+  "/:id",
+  authenticate,
+  authorize(policies.manageDepartments),
+  departmentController.deleteDepartment
+);
 
 module.exports = router;
@@ -0,0 +1,213 @@
+// routes/QueueRoutes.js
+
+const express = require("express");
+const router = express.Router();
+const queueController = require("../controller/QueueController");
+const { authenticate } = require("../middleware/authMiddleware");
+const { authorize } = require("../middleware/authorize");
+const policies = require("../middleware/policies");
+const { validate } = require("../validation/validator");
+const schemas = require("../validation/schemas");
+
+/**
+ * @swagger
+ * tags:
+ *   name: Queue
+ *   description: >
+ *     Walk-in queue per department. Numbers restart every day, are called in
+ *     order and end up served or skipped. Served walk-ins are recorded as
+ *     completed tickets.
+ */
+
+/**
+ * @swagger
+ * /api/queue/{departmentID}/status:
+ *   get:
+ *     summary: Live queue status for a lobby display
+ *     description: >
+ *       Shows tokens only, never names. The estimated wait for a new arrival
+ *       uses the department's recent service times, spread over the staff
+ *       calling from the queue in the last hour.
+ *     tags: [Queue]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: departmentID
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Queue status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 departmentName:
+ *                   type: string
+ *                 date:
+ *                   type: string
+ *                   format: date
+ *                 nowServing:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       token:
+ *                         type: string
+ *                       counter:
+ *                         type: string
+ *                       calledAt:
+ *                         type: string
+ *                         format: date-time
+ *                 nextUp:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 waiting:
+ *                   type: integer
+ *                 estimatedWaitMinutes:
+ *                   type: integer
+ *                 averageServiceMinutes:
+ *                   type: integer
+ *                 servers:
+ *                   type: integer
+ *       404:
+ *         description: Department not found
+ */
+router.get("/:departmentID/status", queueController.getStatus);
+
+/**
+ * @swagger
+ * /api/queue/{departmentID}/entries:
+ *   post:
+ *     summary: Give a walk-in a queue number
+ *     description: >
+ *       Reception staff issue numbers for the department; citizens can take
+ *       one for themselves.
+ *     tags: [Queue]
+ *     parameters:
+ *       - in: path
+ *         name: departmentID
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/QueueEntryInput'
+ *     responses:
+ *       201:
+ *         description: Number issued, with the people ahead and the estimated wait
+ *       400:
+ *         description: Customer not found
+ *       404:
+ *         description: Department not found
+ *       409:
+ *         description: The customer already has a number waiting or being served today
+ */
+router.post(
+  "/:departmentID/entries",
+  authenticate,
+  authorize(policies.joinQueue),
+  validate(schemas.queueEntryCreate),
+  queueController.issueNumber
+);
+
+/**
+ * @swagger
+ * /api/queue/{departmentID}/call-next:
+ *   post:
+ *     summary: Call the longest-waiting walk-in
+ *     tags: [Queue]
+ *     parameters:
+ *       - in: path
+ *         name: departmentID
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/QueueCallInput'
+ *     responses:
+ *       200:
+ *         description: The walk-in called
+ *       400:
+ *         description: Counter not found in the department
+ *       404:
+ *         description: Department not found, or nobody is waiting
+ */
+router.post(
+  "/:departmentID/call-next",
+  authenticate,
+  authorize(policies.serveQueue),
+  validate(schemas.queueCall),
+  queueController.callNext
+);
+
+/**
+ * @swagger
+ * /api/queue/{departmentID}/entries/{entryId}/served:
+ *   post:
+ *     summary: Record that a called walk-in has been served
+ *     description: Files a completed walk-in ticket for them.
+ *     tags: [Queue]
+ *     parameters:
+ *       - in: path
+ *         name: departmentID
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: entryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Walk-in served, with the reference of their ticket
+ *       404:
+ *         description: Department not found, or the walk-in has not been called
+ */
+router.post(
+  "/:departmentID/entries/:entryId/served",
+  authenticate,
+  authorize(policies.serveQueue),
+  queueController.markServed
+);
+
+/**
+ * @swagger
+ * /api/queue/{departmentID}/entries/{entryId}/skipped:
+ *   post:
+ *     summary: Take a walk-in who did not come forward out of the queue
+ *     tags: [Queue]
+ *     parameters:
+ *       - in: path
+ *         name: departmentID
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: entryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Walk-in skipped
+ *       404:
+ *         description: Department not found, or the walk-in was already served or skipped
+ */
+router.post(
+  "/:departmentID/entries/:entryId/skipped",
+  authenticate,
+  authorize(policies.serveQueue),
+  queueController.markSkipped
+);
+
+module.exports = router;
@@ -1,23 +1,186 @@
 const express = require("express");
 const router = express.Router();
 const staffController = require("../controller/StaffController");
+const sessionController = require("../controller/SessionController");
+const twoFactorController = require("../controller/TwoFactorController");
+const { authenticate } = require("../middleware/authMiddleware");
+const { authorize } = require("../middleware/authorize");
+const policies = require("../middleware/policies");
+const { validate } = require("../validation/validator");
+const schemas = require("../validation/schemas");
 
 // Add a new staff member
-router.post("/", staffController.addStaff);
+router.post(
+  "/",
+  authenticate,
+  authorize(policies.createStaff),
+  validate(schemas.staffCreate),
+  staffController.addStaff
+);
 
 // Get all staff members
-router.get("/", staffController.getStaff);
+router.get(
+  "/",
+  authenticate,
+  authorize(policies.listStaff),
+  staffController.getStaff
+);
 
-// staff members login
-router.post("/login", staffController.login);
+// staff members login (public)
+router.post("/login", validate(schemas.staffLogin), staffController.login);
+
+// Finish a login with a two-factor code or recovery code (public)
+router.post(
+  "/login/2fa",
+  validate(schemas.twoFactorLogin),
+  twoFactorController.verifyLogin
+);
+
+// Enrol in two-factor authentication when a login requires it (public)
+router.post(
+  "/login/2fa/setup",
+  validate(schemas.twoFactorChallenge),
+  twoFactorController.setupDuringLogin
+);
+router.post(
+  "/login/2fa/confirm",
+  validate(schemas.twoFactorLoginConfirm),
+  twoFactorController.confirmDuringLogin
+);
+
+// Exchange a refresh token for a new access token (public)
+router.post(
+  "/refresh",
+  validate(schemas.refreshToken),
+  sessionController.refresh
+);
+
+// Log out of the current session
+router.post("/logout", authenticate, sessionController.logout);
+
+// Log out of every session on all devices
+router.post("/logout-all", authenticate, sessionController.logoutAll);
+
+// Request a password reset email (public)
+router.post(
+  "/password/forgot",
+  validate(schemas.passwordForgot),
+  staffController.requestPasswordReset
+);
+
+// Set a new password with an emailed reset token (public)
+router.post(
+  "/password/reset",
+  validate(schemas.passwordReset),
+  staffController.resetPassword
+);
+
+// Change the signed-in staff member's password
+router.post(
+  "/password/change",
+  authenticate,
+  authorize(policies.changeStaffPassword),
+  validate(schemas.passwordChange),
+  staffController.changePassword
+);
+
+// List the signed-in staff member's active sessions
+router.get(
+  "/sessions",
+  authenticate,
+  authorize(policies.ownStaffSessions),
+  sessionController.getSessions
+);
+
+// Revoke one of the signed-in staff member's sessions
+router.delete(
+  "/sessions/:sessionId",
+  authenticate,
+  authorize(policies.ownStaffSessions),
+  sessionController.endSession
+);
+
+// Start two-factor enrolment for the signed-in staff member
+router.post(
+  "/2fa/setup",
+  authenticate,
+  authorize(policies.manageOwnTwoFactor),
+  twoFactorController.setup
+);
+
+// Confirm two-factor enrolment with a code from the authenticator app
+router.post(
+  "/2fa/confirm",
+  authenticate,
+  authorize(policies.manageOwnTwoFactor),
+  validate(schemas.twoFactorConfirm),
+  twoFactorController.confirm
+);
+
+// Turn off two-factor authentication
+router.post(
+  "/2fa/disable",
+  authenticate,
+  authorize(policies.manageOwnTwoFactor),
+  validate(schemas.twoFactorDisable),
+  twoFactorController.disable
+);
+
+// Replace the recovery codes
+router.post(
+  "/2fa/recovery-codes",
+  authenticate,
+  authorize(policies.manageOwnTwoFactor),
+  validate(schemas.twoFactorCode),
+  twoFactorController.regenerateRecoveryCodes
+);
+
+// Roles that must use two-factor authentication (admin only)
+router.get(
+  "/2fa/policy",
+  authenticate,
+  authorize(policies.manageTwoFactor),
+  twoFactorController.getPolicy
+);
+router.put(
+  "/2fa/policy",
+  authenticate,
+  authorize(policies.manageTwoFactor),
+  validate(schemas.twoFactorPolicy),
+  twoFactorController.updatePolicy
+);
 
 // Get a single staff member by ID
-router.get("/:id", staffController.getStaffById);
+router.get(
+  "/:id",
+  authenticate,
+  authorize(policies.readStaff),
+  staffController.getStaffById
+);
 
 // Update a staff member
-router.put("/:id", staffController.updateStaff);
+router.put(
+  "/:id",
+  authenticate,
+  authorize(policies.updateStaff),
+  validate(schemas.staffUpdate),
+  staffController.updateStaff
+);
 
 // Delete a staff member
-router.delete("/:id", staffController.deleteStaff);
+router.delete(
+  "/:id",
+  authenticate,
+  authorize(policies.deleteStaff),
+  staffController.deleteStaff
+);
+
+// Reset a staff member's two-factor authentication (admin only)
+router.delete(
+  "/:id/2fa",
+  authenticate,
+  authorize(policies.manageTwoFactor),
+  twoFactorController.resetForStaff
+);
 
 module.exports = router;
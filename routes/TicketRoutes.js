@@ -3,37 +3,44 @@
 const express = require("express");
 const router = express.Router();
 const ticketController = require("../controller/TicketController");
+const { authenticate } = require("../middleware/authMiddleware");
+const { authorize } = require("../middleware/authorize");
+const policies = require("../middleware/policies");
+const { validate } = require("../validation/validator");
+const schemas = require("../validation/schemas");
+const { uploadAttachments } = require("../middleware/upload");
+const { resolveTicketReference } = require("../middleware/ticketReference");
 
 /**
  * @swagger
  * tags:
  *   name: Tickets
- *   description: Ticket management
+ *   description: >
+ *     Ticket management. Wherever a route takes a ticket {id}, the ticket's
+ *     reference (e.g. REG-2026-000123) may be given instead.
  */
 
+router.param("id", resolveTicketReference);
+
 /**
  * @swagger
  * /api/tickets/check-availability:
  *   post:
- *     summary: Check availability of a specific time slot within a 15-minute window
+ *     summary: Check how many more appointments a department can take in a time slot
+ *     description: >
+ *       The department's slotCapacity always applies. When counterID or
+ *       staffID is given, that counter's or staff member's capacity applies
+ *       too, and the tightest limit is reported. With slotCount every slot of
+ *       the block must be free; with recurrence every visit of the series is
+ *       checked and listed under occurrences.
  *     tags: [Tickets]
+ *     security: []
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required:
- *               - date
- *               - time
- *             properties:
- *               date:
- *                 type: string
- *                 format: date
- *                 description: Date in YYYY-MM-DD format
- *               time:
- *                 type: string
- *                 description: Time in HH:mm format
+ *             $ref: '#/components/schemas/CheckAvailabilityInput'
  *     responses:
  *       200:
  *         description: Availability status of the slot
@@ -44,18 +51,126 @@ const ticketController = require("../controller/TicketController");
  *               properties:
  *                 available:
  *                   type: boolean
+ *                 capacity:
+ *                   type: integer
+ *                 booked:
+ *                   type: integer
+ *                 remaining:
+ *                   type: integer
+ *                 limitedBy:
+ *                   type: string
+ *                   enum: [department, counter, staff]
  *                 message:
  *                   type: string
+ *                 occurrences:
+ *                   type: array
+ *                   description: Only when recurrence is given, one per visit
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       appointmentDateTime:
+ *                         type: string
+ *                         format: date-time
+ *                       available:
+ *                         type: boolean
+ *                       remaining:
+ *                         type: integer
+ *                       message:
+ *                         type: string
+ *       400:
+ *         description: Unknown department, counter or staff member
  *       500:
  *         description: Internal server error
  */
-router.post("/check-availability", ticketController.checkAvailability);
+router.post(
+  "/check-availability",
+  validate(schemas.checkAvailability),
+  ticketController.checkAvailability
+);
+
+/**
+ * @swagger
+ * /api/tickets/holds:
+ *   post:
+ *     summary: Hold a slot for a few minutes while the booking form is filled in
+ *     description: >
+ *       Pass the returned holdID when creating the ticket. Holds that are not
+ *       used expire on their own (SLOT_HOLD_MINUTES, 10 by default).
+ *       Customers must be able to book with the department, and an account
+ *       may hold MAX_ACTIVE_HOLDS slots at once (3 by default).
+ *     tags: [Tickets]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SlotHoldInput'
+ *     responses:
+ *       201:
+ *         description: Slot held
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 holdID:
+ *                   type: string
+ *                 expiresAt:
+ *                   type: string
+ *                   format: date-time
+ *       400:
+ *         description: The slot is full, outside opening hours or unknown
+ *       403:
+ *         description: The customer's email is not verified or their online booking is paused
+ *       429:
+ *         description: The caller already holds the maximum number of slots
+ */
+router.post(
+  "/holds",
+  authenticate,
+  authorize(policies.createTicket),
+  validate(schemas.slotHold),
+  ticketController.holdSlot
+);
+
+/**
+ * @swagger
+ * /api/tickets/holds/{holdId}:
+ *   delete:
+ *     summary: Release a slot hold
+ *     tags: [Tickets]
+ *     parameters:
+ *       - in: path
+ *         name: holdId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Hold released
+ *       404:
+ *         description: No such hold of the caller's
+ */
+router.delete(
+  "/holds/:holdId",
+  authenticate,
+  authorize(policies.releaseSlotHold),
+  ticketController.releaseHold
+);
 
 /**
  * @swagger
  * /api/tickets:
  *   post:
  *     summary: Add a new ticket
+ *     description: >
+ *       Without a staffID the ticket is handed to a staff member by the
+ *       department's assignmentStrategy: round-robin, least-open (fewest open
+ *       tickets, the default), reason-match (staff whose skills include the
+ *       appointmentReason first) or manual (left unassigned). Appointments
+ *       longer than one slot take slotCount back-to-back slots.
  *     tags: [Tickets]
  *     requestBody:
  *       required: true
@@ -67,11 +182,19 @@ router.post("/check-availability", ticketController.checkAvailability);
  *       201:
  *         description: Ticket created successfully
  *       400:
- *         description: Error creating ticket
+ *         description: Error creating ticket, or the slot is already booked
+ *       409:
+ *         description: The hold given in holdID has expired
  *       500:
  *         description: Internal server error
  */
-router.post("/", ticketController.addTicket);
+router.post(
+  "/",
+  authenticate,
+  authorize(policies.createTicket),
+  validate(schemas.ticketCreate),
+  ticketController.addTicket
+);
 
 /**
  * @swagger
@@ -85,7 +208,147 @@ router.post("/", ticketController.addTicket);
  *       500:
  *         description: Internal server error
  */
-router.get("/", ticketController.getTickets);
+router.get(
+  "/",
+  authenticate,
+  authorize(policies.listTickets),
+  ticketController.getTickets
+);
+
+/**
+ * @swagger
+ * /api/tickets/series:
+ *   post:
+ *     summary: Book a recurring series of appointments
+ *     description: >
+ *       One ticket is created per visit, starting at the given appointment
+ *       time and repeating weekly or monthly. Every visit must have room, or
+ *       nothing is booked and failedAt names the first visit that did not.
+ *       Visits go to the same staff member where possible.
+ *     tags: [Tickets]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TicketSeriesInput'
+ *     responses:
+ *       201:
+ *         description: Series created, with its tickets
+ *       400:
+ *         description: A visit is full or outside opening hours, or the request is invalid
+ *       403:
+ *         description: Email not verified, or online booking is paused
+ *       500:
+ *         description: Internal server error
+ */
+router.post(
+  "/series",
+  authenticate,
+  authorize(policies.createTicket),
+  validate(schemas.ticketSeriesCreate),
+  ticketController.createSeries
+);
+
+/**
+ * @swagger
+ * /api/tickets/series/{seriesId}:
+ *   get:
+ *     summary: Retrieve a recurring series and all of its visits
+ *     tags: [Tickets]
+ *     parameters:
+ *       - in: path
+ *         name: seriesId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Series details, with its tickets in visit order
+ *       404:
+ *         description: Series not found
+ */
+router.get(
+  "/series/:seriesId",
+  authenticate,
+  authorize(policies.manageTicketSeries),
+  ticketController.getSeries
+);
+
+/**
+ * @swagger
+ * /api/tickets/series/{seriesId}/reschedule:
+ *   post:
+ *     summary: Move every upcoming visit of a series
+ *     description: >
+ *       The next visit moves to appointmentDateTime and the ones after it
+ *       follow at the series' usual spacing. For customers the department's
+ *       change rules apply to each visit. All visits move or none do.
+ *     tags: [Tickets]
+ *     parameters:
+ *       - in: path
+ *         name: seriesId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TicketSeriesRescheduleInput'
+ *     responses:
+ *       200:
+ *         description: Series rescheduled
+ *       400:
+ *         description: A visit cannot be moved, or the new times are full
+ *       404:
+ *         description: Series not found
+ */
+router.post(
+  "/series/:seriesId/reschedule",
+  authenticate,
+  authorize(policies.manageTicketSeries),
+  validate(schemas.ticketSeriesReschedule),
+  ticketController.rescheduleSeries
+);
+
+/**
+ * @swagger
+ * /api/tickets/series/{seriesId}/cancel:
+ *   post:
+ *     summary: Cancel every upcoming visit of a series
+ *     description: >
+ *       Past and closed visits are left as they are. For customers the
+ *       department's notice rules apply to each visit; if one is too close
+ *       nothing is cancelled.
+ *     tags: [Tickets]
+ *     parameters:
+ *       - in: path
+ *         name: seriesId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TicketCancelInput'
+ *     responses:
+ *       200:
+ *         description: Series cancelled
+ *       400:
+ *         description: A visit can no longer be cancelled
+ *       404:
+ *         description: Series not found
+ */
+router.post(
+  "/series/:seriesId/cancel",
+  authenticate,
+  authorize(policies.manageTicketSeries),
+  validate(schemas.ticketCancel),
+  ticketController.cancelSeries
+);
 
 /**
  * @swagger
@@ -107,13 +370,419 @@ router.get("/", ticketController.getTickets);
  *       500:
  *         description: Internal server error
  */
-router.get("/:id", ticketController.getTicketById);
+router.get(
+  "/:id",
+  authenticate,
+  authorize(policies.manageTicket),
+  ticketController.getTicketById
+);
+
+/**
+ * @swagger
+ * /api/tickets/{id}/history:
+ *   get:
+ *     summary: Retrieve the change history of a ticket, oldest first
+ *     description: >
+ *       Every change is recorded with who made it, when, and the old and new
+ *       value of each field. Customers do not see changes to staff notes.
+ *     tags: [Tickets]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: History entries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   action:
+ *                     type: string
+ *                     enum: [created, updated, status-changed, rescheduled, deleted]
+ *                   actorID:
+ *                     type: string
+ *                   actorType:
+ *                     type: string
+ *                     enum: [customer, staff, system]
+ *                   changes:
+ *                     type: array
+ *                     items:
+ *                       type: object
+ *                       properties:
+ *                         field:
+ *                           type: string
+ *                         from: {}
+ *                         to: {}
+ *                   fromStatus:
+ *                     type: string
+ *                   toStatus:
+ *                     type: string
+ *                   reason:
+ *                     type: string
+ *                   createdAt:
+ *                     type: string
+ *                     format: date-time
+ *       404:
+ *         description: Ticket not found
+ */
+router.get(
+  "/:id/history",
+  authenticate,
+  authorize(policies.manageTicket),
+  ticketController.getHistory
+);
+
+/**
+ * @swagger
+ * /api/tickets/{id}/comments:
+ *   get:
+ *     summary: Retrieve the comment thread of a ticket, oldest first
+ *     description: Customers do not see internal comments.
+ *     tags: [Tickets]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Comments
+ *       404:
+ *         description: Ticket not found
+ */
+router.get(
+  "/:id/comments",
+  authenticate,
+  authorize(policies.manageTicket),
+  ticketController.getComments
+);
+
+/**
+ * @swagger
+ * /api/tickets/{id}/comments:
+ *   post:
+ *     summary: Post a comment on a ticket
+ *     description: >
+ *       Open to the ticket's customer, its assigned staff member, the
+ *       department head and admins. The other party is emailed about
+ *       replies; internal comments are staff-only and send no email.
+ *     tags: [Tickets]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TicketCommentInput'
+ *     responses:
+ *       201:
+ *         description: Comment posted
+ *       400:
+ *         description: The ticket is closed
+ *       403:
+ *         description: Not part of the conversation, or a customer posting an internal comment
+ *       404:
+ *         description: Ticket not found
+ */
+router.post(
+  "/:id/comments",
+  authenticate,
+  authorize(policies.commentOnTicket),
+  validate(schemas.ticketComment),
+  ticketController.addComment
+);
+
+/**
+ * @swagger
+ * /api/tickets/{id}/attachments:
+ *   get:
+ *     summary: List the documents attached to a ticket, oldest first
+ *     description: Customers do not see files attached to internal comments.
+ *     tags: [Tickets]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Attachments
+ *       404:
+ *         description: Ticket not found
+ */
+router.get(
+  "/:id/attachments",
+  authenticate,
+  authorize(policies.manageTicket),
+  ticketController.getAttachments
+);
+
+/**
+ * @swagger
+ * /api/tickets/{id}/attachments:
+ *   post:
+ *     summary: Upload documents to a ticket
+ *     description: >
+ *       Up to 5 PDF, JPEG or PNG files of at most MAX_ATTACHMENT_MB (5 by
+ *       default) each. Open to the ticket's customer and its department's
+ *       staff. Files given a commentID belong to that comment, which must be
+ *       the uploader's own, and are internal if the comment is.
+ *     tags: [Tickets]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [files]
+ *             properties:
+ *               files:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *               commentID:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Files uploaded
+ *       400:
+ *         description: No files, too many or too large files, an unsupported file type, or a comment that is not the uploader's
+ *       404:
+ *         description: Ticket not found
+ */
+router.post(
+  "/:id/attachments",
+  authenticate,
+  authorize(policies.manageTicket),
+  uploadAttachments,
+  validate(schemas.ticketAttachmentUpload),
+  ticketController.uploadAttachments
+);
+
+/**
+ * @swagger
+ * /api/tickets/{id}/attachments/{attachmentId}:
+ *   get:
+ *     summary: Download a document attached to a ticket
+ *     tags: [Tickets]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: attachmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The file
+ *         content:
+ *           application/octet-stream:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: Ticket or attachment not found
+ */
+router.get(
+  "/:id/attachments/:attachmentId",
+  authenticate,
+  authorize(policies.manageTicket),
+  ticketController.downloadAttachment
+);
+
+/**
+ * @swagger
+ * /api/tickets/{id}/reschedule:
+ *   post:
+ *     summary: Move an appointment to a new time
+ *     description: >
+ *       Pending and approved appointments can be moved. Customers must do so
+ *       at least changeRules.minNoticeHours before the current appointment
+ *       and at most changeRules.maxReschedules times; staff are not bound by
+ *       the department's rules. If the assigned staff member is busy at the
+ *       new time, the ticket is handed to someone free. The customer is
+ *       emailed a confirmation.
+ *     tags: [Tickets]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TicketRescheduleInput'
+ *     responses:
+ *       200:
+ *         description: Appointment rescheduled
+ *       400:
+ *         description: >
+ *           The change rules or ticket status do not allow it, or the new slot
+ *           is full, in the past or outside opening hours
+ *       404:
+ *         description: Ticket not found
+ */
+router.post(
+  "/:id/reschedule",
+  authenticate,
+  authorize(policies.manageTicket),
+  validate(schemas.ticketReschedule),
+  ticketController.rescheduleTicket
+);
+
+/**
+ * @swagger
+ * /api/tickets/{id}/cancel:
+ *   post:
+ *     summary: Cancel an appointment
+ *     description: >
+ *       The ticket is kept as Cancelled for reporting and its slot is freed.
+ *       Customers must cancel at least changeRules.minNoticeHours before the
+ *       appointment; staff are not bound by the department's rules. The
+ *       customer is emailed a confirmation.
+ *     tags: [Tickets]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TicketCancelInput'
+ *     responses:
+ *       200:
+ *         description: Appointment cancelled
+ *       400:
+ *         description: Too close to the appointment, or the ticket cannot be cancelled in its status
+ *       404:
+ *         description: Ticket not found
+ */
+router.post(
+  "/:id/cancel",
+  authenticate,
+  authorize(policies.manageTicket),
+  validate(schemas.ticketCancel),
+  ticketController.cancelTicket
+);
+
+/**
+ * @swagger
+ * /api/tickets/{id}/check-in:
+ *   post:
+ *     summary: Record that the citizen has arrived for an approved appointment
+ *     description: >
+ *       Staff of the ticket's department check the citizen in when they
+ *       arrive. Approved appointments nobody checked in for are marked NoShow
+ *       once the department's noShowRules.graceMinutes have passed.
+ *     tags: [Tickets]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: Ticket ID or reference
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Checked in
+ *       400:
+ *         description: Not approved or already checked in
+ *       403:
+ *         description: Only staff of the ticket's department can check it in
+ *       404:
+ *         description: Ticket not found
+ */
+router.post(
+  "/:id/check-in",
+  authenticate,
+  authorize(policies.checkInTicket),
+  ticketController.checkInTicket
+);
+
+/**
+ * @swagger
+ * /api/tickets/{id}/reassign:
+ *   post:
+ *     summary: Hand a ticket to another staff member
+ *     description: >
+ *       For department heads and admins. Without a staffID the department's
+ *       assignment strategy picks someone other than the current assignee
+ *       (least open tickets if the department assigns by hand). The new
+ *       assignee needs room at the ticket's time. The reassignment and its
+ *       reason are kept in the ticket history.
+ *     tags: [Tickets]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TicketReassignInput'
+ *     responses:
+ *       200:
+ *         description: Ticket reassigned
+ *       400:
+ *         description: >
+ *           The ticket is closed or already with that staff member, the staff
+ *           member is not in the department or has no room, or nobody else is free
+ *       404:
+ *         description: Ticket not found
+ */
+router.post(
+  "/:id/reassign",
+  authenticate,
+  authorize(policies.reassignTicket),
+  validate(schemas.ticketReassign),
+  ticketController.reassignTicket
+);
 
 /**
  * @swagger
  * /api/tickets/{id}:
  *   put:
  *     summary: Update an existing ticket
+ *     description: >
+ *       Status changes follow the ticket lifecycle: Pending -> Approved,
+ *       Rejected or Cancelled; Approved -> InProgress, Cancelled or NoShow;
+ *       InProgress -> Completed. Completed, Cancelled, NoShow and Rejected
+ *       are final. Customers may only change the issueDescription of a
+ *       pending ticket; they move or cancel appointments through reschedule
+ *       and cancel.
  *     tags: [Tickets]
  *     parameters:
  *       - in: path
@@ -130,18 +799,34 @@ router.get("/:id", ticketController.getTicketById);
  *     responses:
  *       200:
  *         description: Ticket updated successfully
+ *       400:
+ *         description: >
+ *           Status change not allowed by the lifecycle, closed ticket
+ *           rescheduled, or a customer changing a ticket that is not pending
+ *       403:
+ *         description: Customers cannot update staff-only fields
  *       404:
  *         description: Ticket not found
  *       500:
  *         description: Internal server error
  */
-router.put("/:id", ticketController.updateTicket);
+router.put(
+  "/:id",
+  authenticate,
+  authorize(policies.manageTicket),
+  validate(schemas.ticketUpdate),
+  ticketController.updateTicket
+);
 
 /**
  * @swagger
  * /api/tickets/{id}:
  *   delete:
  *     summary: Delete a ticket by ID
+ *     description: >
+ *       Staff only. Erases the ticket, e.g. one entered by mistake, and
+ *       records the deletion in the audit log. To cancel an appointment and
+ *       keep the record for reporting, use POST /api/tickets/{id}/cancel.
  *     tags: [Tickets]
  *     parameters:
  *       - in: path
@@ -152,12 +837,19 @@ router.put("/:id", ticketController.updateTicket);
  *     responses:
  *       200:
  *         description: Ticket deleted successfully
+ *       403:
+ *         description: Only staff of the ticket's department can delete it
  *       404:
  *         description: Ticket not found
  *       500:
  *         description: Internal server error
  */
-router.delete("/:id", ticketController.deleteTicket);
+router.delete(
+  "/:id",
+  authenticate,
+  authorize(policies.deleteTicket),
+  ticketController.deleteTicket
+);
 
 /**
  * @swagger
@@ -179,6 +871,8 @@ router.delete("/:id", ticketController.deleteTicket);
  */
 router.get(
   "/recentRejected/:staffId",
+  authenticate,
+  authorize(policies.readStaffTickets),
   ticketController.getRecentRejectedTickets
 );
 
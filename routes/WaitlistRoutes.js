@@ -0,0 +1,103 @@
+// routes/WaitlistRoutes.js
+
+const express = require("express");
+const router = express.Router();
+const waitlistController = require("../controller/WaitlistController");
+const { authenticate } = require("../middleware/authMiddleware");
+const { authorize } = require("../middleware/authorize");
+const policies = require("../middleware/policies");
+const { validate } = require("../validation/validator");
+const schemas = require("../validation/schemas");
+
+/**
+ * @swagger
+ * tags:
+ *   name: Waitlist
+ *   description: >
+ *     Waiting for a fully booked day or slot. When a booking is rejected,
+ *     cancelled, deleted or moved, the freed seat is held for the longest
+ *     waiting customer and offered by email. The offer is taken up by
+ *     creating a ticket for that slot with the entry's holdID; offers not
+ *     taken up within WAITLIST_OFFER_MINUTES (30 by default) go to the next
+ *     in line.
+ */
+
+/**
+ * @swagger
+ * /api/waitlist:
+ *   post:
+ *     summary: Join the waitlist for a fully booked day or slot
+ *     tags: [Waitlist]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/WaitlistJoinInput'
+ *     responses:
+ *       201:
+ *         description: Added to the waitlist, with the number of people ahead
+ *       400:
+ *         description: Unknown customer or department, closed, or in the past
+ *       403:
+ *         description: Email not verified, or online booking is paused
+ *       409:
+ *         description: The day or slot still has room, or already waiting for it
+ */
+router.post(
+  "/",
+  authenticate,
+  authorize(policies.joinWaitlist),
+  validate(schemas.waitlistJoin),
+  waitlistController.joinWaitlist
+);
+
+/**
+ * @swagger
+ * /api/waitlist:
+ *   get:
+ *     summary: List waitlist entries still waiting or holding an offer
+ *     description: >
+ *       Customers see their own entries, staff their department's. Offered
+ *       entries carry offeredSlot, offerExpiresAt and the holdID to book with.
+ *     tags: [Waitlist]
+ *     responses:
+ *       200:
+ *         description: Waitlist entries
+ */
+router.get(
+  "/",
+  authenticate,
+  authorize(policies.listWaitlist),
+  waitlistController.getWaitlist
+);
+
+/**
+ * @swagger
+ * /api/waitlist/{entryId}:
+ *   delete:
+ *     summary: Leave the waitlist
+ *     description: A seat on offer to the entry goes to the next in line.
+ *     tags: [Waitlist]
+ *     parameters:
+ *       - in: path
+ *         name: entryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Removed from the waitlist
+ *       400:
+ *         description: The entry was already booked, expired or removed
+ *       404:
+ *         description: Waitlist entry not found
+ */
+router.delete(
+  "/:entryId",
+  authenticate,
+  authorize(policies.leaveWaitlist),
+  waitlistController.leaveWaitlist
+);
+
+module.exports = router;
@@ -1,17 +1,35 @@
 const express = require("express");
 const router = express.Router();
 const announcementController = require("../controller/announcementController");
+const { authenticate } = require("../middleware/authMiddleware");
+const { authorize } = require("../middleware/authorize");
+const policies = require("../middleware/policies");
+const { validate } = require("../validation/validator");
+const schemas = require("../validation/schemas");
 
 // Get announcements for a specific department
 router.get(
   "/:departmentID",
+  authenticate,
+  authorize(policies.readAnnouncements),
   announcementController.getAnnouncementsByDepartment
 );
 
 // Post a new announcement
-router.post("/", announcementController.createAnnouncement);
+router.post(
+  "/",
+  authenticate,
+  authorize(policies.createAnnouncement),
+  validate(schemas.announcementCreate),
+  announcementController.createAnnouncement
+);
 
 // Delete an announcement
-router.delete("/:id", announcementController.deleteAnnouncement);
+router.delete(
+  "/:id",
+  authenticate,
+  authorize(policies.deleteAnnouncement),
+  announcementController.deleteAnnouncement
+);
 
 module.exports = router;
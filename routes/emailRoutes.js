@@ -1,14 +1,20 @@
 const express = require("express");
+const mongoose = require("mongoose");
 const router = express.Router();
+const { Ticket } = require("../model/TicketModel");
 const {
   sendAppointmentConfirmationEmail,
 } = require("../services/emailService");
+const { authenticate } = require("../middleware/authMiddleware");
+const { authorize } = require("../middleware/authorize");
+const policies = require("../middleware/policies");
 
 /**
  * @swagger
  * /api/email/appointment-confirmation:
  *   post:
  *     summary: Send appointment confirmation email
+ *     description: Staff only, so the mail account cannot be used to email arbitrary addresses.
  *     tags: [Email]
  *     requestBody:
  *       required: true
@@ -26,6 +32,9 @@ const {
  *               appointmentDetails:
  *                 type: object
  *                 properties:
+ *                   id:
+ *                     type: string
+ *                     description: Ticket ID; its reference is shown in the email
  *                   date:
  *                     type: string
  *                     description: Appointment date
@@ -41,18 +50,30 @@ const {
  *     responses:
  *       200:
  *         description: Email sent successfully
+ *       403:
+ *         description: Not a staff member
  *       500:
  *         description: Error sending email
  */
-router.post("/appointment-confirmation", async (req, res) => {
-  try {
-    const { to, appointmentDetails } = req.body;
-    await sendAppointmentConfirmationEmail(to, appointmentDetails);
-    res.status(200).json({ message: "Confirmation email sent successfully" });
-  } catch (error) {
-    console.error("Error sending confirmation email:", error);
-    res.status(500).json({ error: "Failed to send confirmation email" });
+router.post(
+  "/appointment-confirmation",
+  authenticate,
+  authorize(policies.sendEmail),
+  async (req, res) => {
+    try {
+      const { to, appointmentDetails } = req.body;
+      const details = { ...appointmentDetails };
+      if (!details.reference && mongoose.isValidObjectId(details.id)) {
+        const ticket = await Ticket.findById(details.id).select("reference");
+        if (ticket) details.reference = ticket.reference;
+      }
+      await sendAppointmentConfirmationEmail(to, details);
+      res.status(200).json({ message: "Confirmation email sent successfully" });
+    } catch (error) {
+      console.error("Error sending confirmation email:", error);
+      res.status(500).json({ error: "Failed to send confirmation email" });
+    }
   }
-});
+);
 
 module.exports = router;
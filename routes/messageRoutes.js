@@ -1,9 +1,21 @@
 const express = require("express");
 const router = express.Router();
 const messageController = require("../controller/messageController");
+const { authenticate } = require("../middleware/authMiddleware");
+const { authorize } = require("../middleware/authorize");
+const policies = require("../middleware/policies");
+const { validate } = require("../validation/validator");
+const schemas = require("../validation/schemas");
+
+// Messages are exchanged between departments and are staff-only
+router.use(authenticate, authorize(policies.messaging));
 
 // Create a new message
-router.post("/", messageController.createMessage);
+router.post(
+  "/",
+  validate(schemas.messageCreate),
+  messageController.createMessage
+);
 
 // Get all messages
 router.get("/", messageController.getAllMessages);
@@ -0,0 +1,66 @@
+// scripts/backfillSlotReservations.js
+//
+// Give tickets booked before slot reservations existed their seats, so the
+// new availability checks count them. Only upcoming tickets matter. Safe to
+// run more than once: tickets that already have seats are skipped.
+//
+// Usage: npm run backfill:reservations
+
+const mongoose = require("mongoose");
+const dotenv = require("dotenv");
+const { Ticket } = require("../model/TicketModel");
+const { SlotReservation } = require("../model/SlotReservationModel");
+const { SLOT_RELEASING_STATUSES } = require("../services/ticketLifecycle");
+
+dotenv.config();
+
+const MONGODB_URI = process.env.MONGODB_URI;
+const CUSTOM_DB_NAME = process.env.CUSTOM_DB_NAME || "govDb";
+
+// Take the lowest free seat, even past the resource's capacity: slots that
+// were overbooked before stay visibly full instead of being dropped
+const addSeat = async (resource, slot, ticketID) => {
+  for (let seat = 0; ; seat++) {
+    try {
+      return await SlotReservation.create({ resource, slot, seat, ticketID });
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+    }
+  }
+};
+
+const run = async () => {
+  await mongoose.connect(`${MONGODB_URI}/${CUSTOM_DB_NAME}`);
+  await SlotReservation.init();
+
+  const tickets = await Ticket.find({
+    status: { $nin: SLOT_RELEASING_STATUSES },
+    appointmentDateTime: { $gte: new Date() },
+  })
+    .select("departmentID counterID staffID appointmentDateTime")
+    .lean();
+
+  let backfilled = 0;
+  for (const ticket of tickets) {
+    if (await SlotReservation.exists({ ticketID: ticket._id })) continue;
+
+    const resources = [
+      `department:${ticket.departmentID}`,
+      ticket.counterID && `counter:${ticket.counterID}`,
+      ticket.staffID && `staff:${ticket.staffID}`,
+    ].filter(Boolean);
+    for (const resource of resources) {
+      await addSeat(resource, ticket.appointmentDateTime, ticket._id);
+    }
+    backfilled++;
+  }
+
+  console.log(`Backfilled ${backfilled} of ${tickets.length} upcoming tickets`);
+};
+
+run()
+  .catch((err) => {
+    console.error("Backfill failed:", err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,53 @@
+// scripts/backfillTicketReferences.js
+//
+// Give tickets created before references existed their reference, numbered
+// in the order they were created. Safe to run more than once: tickets that
+// already have a reference are skipped.
+//
+// Usage: npm run backfill:references
+
+const mongoose = require("mongoose");
+const dotenv = require("dotenv");
+const { Ticket } = require("../model/TicketModel");
+const { Department } = require("../model/DepartmentModel");
+const { nextTicketReference } = require("../services/ticketReferenceService");
+
+dotenv.config();
+
+const MONGODB_URI = process.env.MONGODB_URI;
+const CUSTOM_DB_NAME = process.env.CUSTOM_DB_NAME || "govDb";
+
+const run = async () => {
+  await mongoose.connect(`${MONGODB_URI}/${CUSTOM_DB_NAME}`);
+  await Ticket.init();
+
+  const departments = new Map(
+    (await Department.find().select("departmentName referencePrefix")).map(
+      (department) => [String(department._id), department]
+    )
+  );
+  const tickets = await Ticket.find({ reference: null })
+    .sort({ createdDate: 1, _id: 1 })
+    .select("departmentID createdDate")
+    .lean();
+
+  let backfilled = 0;
+  for (const ticket of tickets) {
+    const department = departments.get(String(ticket.departmentID)) || {};
+    const reference = await nextTicketReference(
+      department,
+      ticket.createdDate || ticket._id.getTimestamp()
+    );
+    await Ticket.updateOne({ _id: ticket._id }, { $set: { reference } });
+    backfilled++;
+  }
+
+  console.log(`Backfilled references for ${backfilled} tickets`);
+};
+
+run()
+  .catch((err) => {
+    console.error("Backfill failed:", err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
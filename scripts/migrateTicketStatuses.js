@@ -0,0 +1,138 @@
+// scripts/migrateTicketStatuses.js
+//
+// Move tickets to the lifecycle statuses. Before it, "Approved" (with a
+// closedDate) was used to mean solved, and some records may still carry
+// "Solved". Approved tickets whose appointment is still ahead stay Approved
+// and are reopened; the rest become Completed. Tickets booked before
+// appointmentDateTime was stored get it from appointmentDate and
+// appointmentTime first. Safe to run more than once.
+//
+// Usage: npm run migrate:ticket-statuses [-- --dry-run]
+
+const mongoose = require("mongoose");
+const moment = require("moment");
+const dotenv = require("dotenv");
+const { Ticket } = require("../model/TicketModel");
+const { TICKET_STATUS } = require("../services/ticketLifecycle");
+
+dotenv.config();
+
+const MONGODB_URI = process.env.MONGODB_URI;
+const CUSTOM_DB_NAME = process.env.CUSTOM_DB_NAME || "govDb";
+const DRY_RUN = process.argv.includes("--dry-run");
+
+const missingAppointment = {
+  appointmentDateTime: null,
+  appointmentDate: { $ne: null },
+};
+
+const TIME_FORMATS = ["HH:mm:ss", "HH:mm", "H:mm:ss", "H:mm"].map(
+  (time) => `YYYY-MM-DD ${time}`
+);
+
+// Read in local time, as the app does for tickets without appointmentDateTime
+const appointmentOf = ({ appointmentDate, appointmentTime }) =>
+  moment(
+    `${moment(appointmentDate).format("YYYY-MM-DD")} ${
+      appointmentTime || "00:00"
+    }`,
+    TIME_FORMATS,
+    true
+  );
+
+const backfillAppointments = async () => {
+  const description = "No appointmentDateTime -> set from date and time";
+  if (DRY_RUN) {
+    const count = await Ticket.collection.countDocuments(missingAppointment);
+    console.log(`${description}: ${count} ticket(s) would change`);
+    return;
+  }
+
+  const cursor = Ticket.collection.find(missingAppointment, {
+    projection: { appointmentDate: 1, appointmentTime: 1 },
+  });
+  let changed = 0;
+  for await (const ticket of cursor) {
+    const appointment = appointmentOf(ticket);
+    if (!appointment.isValid()) {
+      console.warn(
+        `Ticket ${ticket._id}: unreadable appointment time "${ticket.appointmentTime}", left as is`
+      );
+      continue;
+    }
+    await Ticket.collection.updateOne(
+      { _id: ticket._id },
+      { $set: { appointmentDateTime: appointment.toDate() } }
+    );
+    changed++;
+  }
+  console.log(`${description}: ${changed} ticket(s) changed`);
+};
+
+// Tickets with no usable appointment time at all count as passed
+const steps = (now) => [
+  {
+    description: "Solved -> Completed",
+    filter: { status: "Solved" },
+    update: { $set: { status: TICKET_STATUS.COMPLETED } },
+  },
+  {
+    description: "Approved, appointment passed -> Completed",
+    filter: {
+      status: TICKET_STATUS.APPROVED,
+      closedDate: { $ne: null },
+      $or: [
+        { appointmentDateTime: { $lte: now } },
+        { appointmentDateTime: null },
+      ],
+    },
+    update: { $set: { status: TICKET_STATUS.COMPLETED } },
+  },
+  {
+    description: "Approved, appointment ahead -> reopened",
+    filter: {
+      status: TICKET_STATUS.APPROVED,
+      closedDate: { $ne: null },
+      appointmentDateTime: { $gt: now },
+    },
+    update: { $unset: { closedDate: "" } },
+  },
+  {
+    description: "Completed without closedDate -> closedDate set",
+    filter: { status: TICKET_STATUS.COMPLETED, closedDate: null },
+    update: [
+      {
+        $set: {
+          closedDate: { $ifNull: ["$appointmentDateTime", "$createdDate"] },
+        },
+      },
+    ],
+  },
+];
+
+const run = async () => {
+  await mongoose.connect(`${MONGODB_URI}/${CUSTOM_DB_NAME}`);
+  const now = new Date();
+  await backfillAppointments();
+
+  // Step order matters: later filters rely on earlier updates
+  for (const { description, filter, update } of steps(now)) {
+    if (DRY_RUN) {
+      const count = await Ticket.collection.countDocuments(filter);
+      console.log(`${description}: ${count} ticket(s) would change`);
+    } else {
+      const { modifiedCount } = await Ticket.collection.updateMany(
+        filter,
+        update
+      );
+      console.log(`${description}: ${modifiedCount} ticket(s) changed`);
+    }
+  }
+};
+
+run()
+  .catch((err) => {
+    console.error("Migration failed:", err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
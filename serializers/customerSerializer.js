@@ -0,0 +1,27 @@
+const { pick } = require("./utils");
+
+// Fields a customer record may expose; everything else (password included)
+// is never sent
+const CUSTOMER_FIELDS = [
+  "_id",
+  "NIC",
+  "firstName",
+  "lastName",
+  "dateOfBirth",
+  "gender",
+  "phoneNumber",
+  "emailAddress",
+  "address",
+  "registeredDate",
+  "emailVerified",
+  "noShowCount",
+];
+
+/**
+ * Serialize a customer for an API response
+ * @param {Object} customer - Customer document or lean object
+ * @returns {Object}
+ */
+const serializeCustomer = (customer) => pick(customer, CUSTOMER_FIELDS);
+
+module.exports = { serializeCustomer };
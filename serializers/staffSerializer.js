@@ -0,0 +1,67 @@
+const { pick, omit } = require("./utils");
+const { ROLES } = require("../middleware/authorize");
+
+// Never sent to anyone, whatever the audience
+const SECRET_FIELDS = [
+  "password",
+  "twoFactorSecret",
+  "twoFactorPendingSecret",
+  "twoFactorRecoveryCodes",
+  "twoFactorLastStep",
+];
+
+// What any signed-in user may see about a staff member
+const CARD_FIELDS = ["_id", "firstName", "lastName", "departmentID", "role"];
+
+// What staff members see about themselves, and department heads about their team
+const PROFILE_FIELDS = [
+  ...CARD_FIELDS,
+  "dateOfBirth",
+  "gender",
+  "phoneNumber",
+  "emailAddress",
+  "address",
+  "employeeID",
+  "hireDate",
+  "permission",
+  "slotCapacity",
+  "skills",
+];
+
+const views = {
+  card: (staff) => pick(staff, CARD_FIELDS),
+  profile: (staff) => pick(staff, PROFILE_FIELDS),
+  admin: (staff) => omit(staff, SECRET_FIELDS),
+};
+
+/**
+ * Decide which view of a staff member the caller is entitled to
+ * @param {Object} staff - Staff document or lean object
+ * @param {Object} viewer - req.user of the caller
+ * @returns {"card"|"profile"|"admin"}
+ */
+const staffViewFor = (staff, viewer) => {
+  if (viewer.role === ROLES.ADMIN) return "admin";
+  if (viewer.type === "staff" && staff._id.toString() === viewer.id) {
+    return "profile";
+  }
+  if (
+    viewer.role === ROLES.DHEAD &&
+    staff.departmentID &&
+    staff.departmentID.toString() === viewer.departmentID
+  ) {
+    return "profile";
+  }
+  return "card";
+};
+
+/**
+ * Serialize a staff member for an API response
+ * @param {Object} staff - Staff document or lean object
+ * @param {Object} viewer - req.user of the caller
+ * @returns {Object}
+ */
+const serializeStaff = (staff, viewer) =>
+  views[staffViewFor(staff, viewer)](staff);
+
+module.exports = { SECRET_FIELDS, serializeStaff, staffViewFor };
@@ -0,0 +1,40 @@
+// Ticket fields only staff may see, in ticket responses and in the ticket's
+// history alike
+const STAFF_ONLY_FIELDS = ["notes"];
+
+/**
+ * Serialize a ticket for an API response
+ * @param {Object} ticket - Ticket document or lean object
+ * @param {Object} viewer - req.user of the caller; customers don't get
+ *   staff-only fields
+ * @returns {Object}
+ */
+const serializeTicket = (ticket, viewer) => ({
+  _id: ticket._id,
+  reference: ticket.reference,
+  source: ticket.source || "appointment",
+  customerID: ticket.customerID,
+  departmentID: ticket.departmentID,
+  issueDescription: ticket.issueDescription,
+  status: ticket.status,
+  createdDate: ticket.createdDate,
+  appointmentDate: ticket.appointmentDate,
+  appointmentTime: ticket.appointmentTime,
+  appointmentDateTime: ticket.appointmentDateTime,
+  ...(viewer.type !== "customer" && { notes: ticket.notes }),
+  __v: ticket.__v,
+  ...(ticket.closedDate && { closedDate: ticket.closedDate }),
+  ...(ticket.feedback && { feedback: ticket.feedback }),
+  ...(ticket.staffID && { staffID: ticket.staffID }),
+  ...(ticket.counterID && { counterID: ticket.counterID }),
+  ...(ticket.appointmentReason && {
+    appointmentReason: ticket.appointmentReason,
+  }),
+  ...(ticket.slotCount > 1 && { slotCount: ticket.slotCount }),
+  ...(ticket.seriesID && {
+    seriesID: ticket.seriesID,
+    seriesIndex: ticket.seriesIndex,
+  }),
+});
+
+module.exports = { STAFF_ONLY_FIELDS, serializeTicket };
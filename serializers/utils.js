@@ -0,0 +1,35 @@
+/**
+ * Convert a Mongoose document or lean object to a plain object
+ * @param {Object} record - Document or plain object
+ * @returns {Object}
+ */
+const toPlain = (record) =>
+  typeof record.toObject === "function" ? record.toObject() : { ...record };
+
+/**
+ * Copy only the listed fields that are present on a record
+ * @param {Object} record - Document or plain object
+ * @param {string[]} fields - Fields to keep
+ * @returns {Object}
+ */
+const pick = (record, fields) => {
+  const plain = toPlain(record);
+  return fields.reduce((result, field) => {
+    if (plain[field] !== undefined) result[field] = plain[field];
+    return result;
+  }, {});
+};
+
+/**
+ * Copy every field of a record except the listed ones
+ * @param {Object} record - Document or plain object
+ * @param {string[]} fields - Fields to drop
+ * @returns {Object}
+ */
+const omit = (record, fields) => {
+  const plain = toPlain(record);
+  fields.forEach((field) => delete plain[field]);
+  return plain;
+};
+
+module.exports = { pick, omit };
@@ -7,6 +7,9 @@ const dotenv = require("dotenv");
 const cors = require("cors");
 const swaggerUi = require("swagger-ui-express");
 const swaggerJsDoc = require("swagger-jsdoc");
+const { toOpenApi } = require("./validation/validator");
+const validationSchemas = require("./validation/schemas");
+const { TICKET_STATUSES } = require("./services/ticketLifecycle");
 
 dotenv.config();
 
@@ -34,9 +37,35 @@ mongoose
     console.error("Error connecting to MongoDB Atlas:", err);
   });
 
+// Background jobs, loaded after dotenv since they read their settings from
+// the environment
+const { jobRunner } = require("./services/jobRunner");
+const {
+  REMINDER_INTERVAL_MS,
+  sendDueReminders,
+} = require("./services/reminderService");
+const {
+  NO_SHOW_INTERVAL_MS,
+  markNoShows,
+} = require("./services/attendanceService");
+const {
+  WAITLIST_INTERVAL_MS,
+  expireWaitlist,
+} = require("./services/waitlistService");
+
+jobRunner.register("appointment-reminders", REMINDER_INTERVAL_MS, (now) =>
+  sendDueReminders(now)
+);
+jobRunner.register("no-shows", NO_SHOW_INTERVAL_MS, (now) => markNoShows(now));
+jobRunner.register("waitlist-offers", WAITLIST_INTERVAL_MS, (now) =>
+  expireWaitlist(now)
+);
+
 // Confirm database connection
 mongoose.connection.once("open", () => {
   console.log("Database Synced");
+  // Jobs need the database, and can be turned off for extra instances
+  if (process.env.BACKGROUND_JOBS !== "off") jobRunner.start();
 });
 
 // Swagger configuration
@@ -79,7 +108,7 @@ const swaggerOptions = {
             },
             status: {
               type: "string",
-              enum: ["Pending", "Approved", "Rejected"],
+              enum: TICKET_STATUSES,
               description: "Current status of the ticket",
             },
             createdDate: {
@@ -106,97 +135,21 @@ const swaggerOptions = {
             // Add other example properties as needed
           },
         },
-        TicketInput: {
-          type: "object",
-          properties: {
-            title: { type: "string", description: "Title of the issue" },
-            description: {
-              type: "string",
-              description: "Detailed description of the issue",
-            },
-            staffID: {
-              type: "string",
-              description: "ID of the staff assigned to the ticket",
-            },
-            departmentID: {
-              type: "string",
-              description: "ID of the department related to the ticket",
-            },
-            status: {
-              type: "string",
-              enum: ["Pending", "Approved", "Rejected"],
-              description: "Current status of the ticket",
-            },
-            createdDate: {
-              type: "string",
-              format: "date-time",
-              description: "Date and time when the ticket was created",
-            },
-            closedDate: {
-              type: "string",
-              format: "date-time",
-              description: "Date and time when the ticket was closed",
-            },
-            // Add other relevant properties as needed
-          },
-          required: [
-            "title",
-            "description",
-            "staffID",
-            "departmentID",
-            "status",
-            "createdDate",
-          ],
-          example: {
-            title: "Issue with login",
-            description: "Cannot log into the system with valid credentials.",
-            staffID: "60c72b2f9b1e8c001f5f7c6f",
-            departmentID: "60c72b2f9b1e8c001f5f7c70",
-            status: "Pending",
-            createdDate: "2024-10-01T09:00:00Z",
-            closedDate: null,
-            // Add other example properties as needed
-          },
-        },
-        TicketUpdateInput: {
-          type: "object",
-          properties: {
-            title: { type: "string", description: "Title of the issue" },
-            description: {
-              type: "string",
-              description: "Detailed description of the issue",
-            },
-            staffID: {
-              type: "string",
-              description: "ID of the staff assigned to the ticket",
-            },
-            departmentID: {
-              type: "string",
-              description: "ID of the department related to the ticket",
-            },
-            status: {
-              type: "string",
-              enum: ["Pending", "Approved", "Rejected"],
-              description: "Current status of the ticket",
-            },
-            createdDate: {
-              type: "string",
-              format: "date-time",
-              description: "Date and time when the ticket was created",
-            },
-            closedDate: {
-              type: "string",
-              format: "date-time",
-              description: "Date and time when the ticket was closed",
-            },
-            // Add other relevant properties as needed
-          },
-          example: {
-            status: "Approved",
-            closedDate: "2024-10-02T15:30:00Z",
-            // Add other example properties as needed
-          },
-        },
+        TicketInput: toOpenApi(validationSchemas.ticketCreate),
+        TicketUpdateInput: toOpenApi(validationSchemas.ticketUpdate),
+        CheckAvailabilityInput: toOpenApi(validationSchemas.checkAvailability),
+        SlotHoldInput: toOpenApi(validationSchemas.slotHold),
+        TicketCommentInput: toOpenApi(validationSchemas.ticketComment),
+        TicketReassignInput: toOpenApi(validationSchemas.ticketReassign),
+        TicketRescheduleInput: toOpenApi(validationSchemas.ticketReschedule),
+        TicketCancelInput: toOpenApi(validationSchemas.ticketCancel),
+        TicketSeriesInput: toOpenApi(validationSchemas.ticketSeriesCreate),
+        TicketSeriesRescheduleInput: toOpenApi(
+          validationSchemas.ticketSeriesReschedule
+        ),
+        WaitlistJoinInput: toOpenApi(validationSchemas.waitlistJoin),
+        QueueEntryInput: toOpenApi(validationSchemas.queueEntryCreate),
+        QueueCallInput: toOpenApi(validationSchemas.queueCall),
         // Staff Schemas (Assuming already defined)
         Staff: {
           type: "object",
@@ -211,7 +164,6 @@ const swaggerOptions = {
             address: { type: "string" },
             employeeID: { type: "string" },
             departmentID: { type: "string" },
-            password: { type: "string" },
             role: { type: "string" },
             hireDate: { type: "string", format: "date" },
             permission: { type: "string" },
@@ -228,13 +180,26 @@ const swaggerOptions = {
             address: "456 Elm St, Othertown, USA",
             employeeID: "EMP002",
             departmentID: "60c72b2f9b1e8c001f5f7c70",
-            password: "hashed_password",
             role: "Support Engineer",
             hireDate: "2021-01-15",
             permission: "full",
             // Add other example properties as needed
           },
         },
+        StaffInput: toOpenApi(validationSchemas.staffCreate),
+        StaffUpdateInput: toOpenApi(validationSchemas.staffUpdate),
+        StaffLoginInput: toOpenApi(validationSchemas.staffLogin),
+        TwoFactorLoginInput: toOpenApi(validationSchemas.twoFactorLogin),
+        TwoFactorChallengeInput: toOpenApi(
+          validationSchemas.twoFactorChallenge
+        ),
+        TwoFactorLoginConfirmInput: toOpenApi(
+          validationSchemas.twoFactorLoginConfirm
+        ),
+        TwoFactorCodeInput: toOpenApi(validationSchemas.twoFactorCode),
+        TwoFactorConfirmInput: toOpenApi(validationSchemas.twoFactorConfirm),
+        TwoFactorDisableInput: toOpenApi(validationSchemas.twoFactorDisable),
+        TwoFactorPolicyInput: toOpenApi(validationSchemas.twoFactorPolicy),
         // Department Schemas (Assuming already defined)
         Department: {
           type: "object",
@@ -249,25 +214,15 @@ const swaggerOptions = {
             // Add other example properties as needed
           },
         },
-        DepartmentInput: {
-          type: "object",
-          properties: {
-            departmentName: { type: "string" },
-            // Add other properties if needed
-          },
-          required: ["departmentName"],
-          example: {
-            departmentName: "Finance",
-            // Add other example properties as needed
-          },
-        },
+        DepartmentInput: toOpenApi(validationSchemas.departmentCreate),
+        DepartmentUpdateInput: toOpenApi(validationSchemas.departmentUpdate),
+        PublicHolidaysInput: toOpenApi(validationSchemas.publicHolidays),
         // Customer Schemas (Assuming already defined)
         Customer: {
           type: "object",
           properties: {
             id: { type: "string" },
             emailAddress: { type: "string", format: "email" },
-            password: { type: "string" },
             name: { type: "string" },
             phoneNumber: { type: "string" },
             // Add other relevant properties as needed
@@ -275,12 +230,14 @@ const swaggerOptions = {
           example: {
             id: "60c72b2f9b1e8c001f5f7c6e",
             emailAddress: "customer@example.com",
-            password: "hashed_password",
             name: "John Doe",
             phoneNumber: "+123456789",
             // Add other example properties as needed
           },
         },
+        CustomerInput: toOpenApi(validationSchemas.customerCreate),
+        CustomerUpdateInput: toOpenApi(validationSchemas.customerUpdate),
+        CustomerLoginInput: toOpenApi(validationSchemas.customerLogin),
         // Error Response Schema
         ErrorResponse: {
           type: "object",
@@ -293,6 +250,34 @@ const swaggerOptions = {
             error: "No ticket exists with the provided ID.",
           },
         },
+        // Validation Error Response Schema
+        ValidationErrorResponse: {
+          type: "object",
+          properties: {
+            success: { type: "boolean" },
+            message: { type: "string" },
+            errors: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  field: { type: "string" },
+                  message: { type: "string" },
+                },
+              },
+            },
+          },
+          example: {
+            success: false,
+            message: "Validation failed",
+            errors: [
+              {
+                field: "emailAddress",
+                message: "must be a valid email address",
+              },
+            ],
+          },
+        },
         // Success Response Schema
         SuccessResponse: {
           type: "object",
@@ -316,7 +301,7 @@ const swaggerOptions = {
             departmentID: { type: "string" },
             status: {
               type: "string",
-              enum: ["Pending", "Approved", "Rejected"],
+              enum: TICKET_STATUSES,
             },
             createdDate: { type: "string", format: "date-time" },
             closedDate: { type: "string", format: "date-time" },
@@ -363,6 +348,8 @@ const customerRoutes = require("./routes/CustomerRoutes");
 const staffRoutes = require("./routes/StaffRoutes");
 const ticketRoutes = require("./routes/TicketRoutes");
 const departmentRoutes = require("./routes/DepartmentRoutes");
+const queueRoutes = require("./routes/QueueRoutes");
+const waitlistRoutes = require("./routes/WaitlistRoutes");
 const DashboardRoutes = require("./routes/DashboardRoutes");
 const announcementsRouter = require("./routes/announcementsRoutes");
 const messageRoutes = require("./routes/messageRoutes");
@@ -372,6 +359,8 @@ app.use("/api/customers", customerRoutes);
 app.use("/api/staff", staffRoutes);
 app.use("/api/tickets", ticketRoutes);
 app.use("/api/departments", departmentRoutes);
+app.use("/api/queue", queueRoutes);
+app.use("/api/waitlist", waitlistRoutes);
 app.use("/api/Dashboard", DashboardRoutes);
 app.use("/api/announcements", announcementsRouter);
 app.use("/api/messages", messageRoutes);
@@ -399,6 +388,8 @@ app.listen(PORT, () => {
   console.log("\t-> /api/staff");
   console.log("\t-> /api/tickets");
   console.log("\t-> /api/departments");
+  console.log("\t-> /api/queue");
+  console.log("\t-> /api/waitlist");
   console.log("\t-> /api/Dashboard");
   console.log("\t-> /api/announcements");
   console.log("\t-> /api/messages");
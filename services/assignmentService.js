@@ -0,0 +1,100 @@
+const mongoose = require("mongoose");
+const { Ticket } = require("../model/TicketModel");
+const { Staff } = require("../model/StaffModel");
+const { Department } = require("../model/DepartmentModel");
+const { ROLES } = require("../middleware/authorize");
+const { CLOSED_STATUSES } = require("./ticketLifecycle");
+const {
+  ASSIGNMENT_STRATEGY,
+  DEFAULT_ASSIGNMENT_STRATEGY,
+  rankStaff,
+} = require("./assignmentStrategies");
+const { reserveForTicket } = require("./reservationService");
+
+/**
+ * Count each staff member's open tickets
+ * @param {Object[]} staffIDs
+ * @returns {Promise<Object>} - Count by staff _id
+ */
+const countOpenTickets = async (staffIDs) => {
+  const counts = await Ticket.aggregate([
+    {
+      $match: {
+        staffID: { $in: staffIDs.map((id) => new mongoose.Types.ObjectId(id)) },
+        status: { $nin: CLOSED_STATUSES },
+      },
+    },
+    { $group: { _id: "$staffID", count: { $sum: 1 } } },
+  ]);
+  return Object.fromEntries(counts.map(({ _id, count }) => [_id, count]));
+};
+
+/**
+ * The department's staff in the order its assignment strategy would try them
+ * @param {Object} department - Department document
+ * @param {Object} ticket - Ticket being assigned
+ * @param {Object} [options]
+ * @param {string} [options.strategy] - Overrides the department's strategy
+ * @returns {Promise<Object[]>} - Staff, each with _id and skills
+ */
+const rankCandidates = async (department, ticket, { strategy } = {}) => {
+  strategy =
+    strategy || department.assignmentStrategy || DEFAULT_ASSIGNMENT_STRATEGY;
+  if (strategy === ASSIGNMENT_STRATEGY.MANUAL) return [];
+
+  const staff = await Staff.find({
+    departmentID: department._id,
+    role: ROLES.STAFF,
+    ...(ticket.staffID && { _id: { $ne: ticket.staffID } }),
+  })
+    .select("_id skills")
+    .lean();
+  if (!staff.length) return [];
+
+  const context = {
+    openTickets: {},
+    turn: 0,
+    reason: ticket.appointmentReason,
+  };
+  if (strategy === ASSIGNMENT_STRATEGY.ROUND_ROBIN) {
+    // Taking the turn atomically keeps simultaneous bookings from landing
+    // on the same person
+    const previous = await Department.findByIdAndUpdate(department._id, {
+      $inc: { assignmentTurn: 1 },
+    }).select("assignmentTurn");
+    context.turn = (previous && previous.assignmentTurn) || 0;
+  } else {
+    context.openTickets = await countOpenTickets(staff.map(({ _id }) => _id));
+  }
+
+  return rankStaff(strategy, staff, context);
+};
+
+/**
+ * Hand a ticket to the first ranked staff member with room in its slot, and
+ * take their seat for it. The ticket's other seats must already be held.
+ * @param {Object} ticket - Ticket document; staffID is set but not saved
+ * @param {Object} department - The ticket's department
+ * @param {Object} booking - { departmentID, counterID, slot } of the ticket
+ * @param {Object} [options] - As for rankCandidates
+ * @returns {Promise<Object|null>} - The staff _id, or null if nobody is free
+ */
+const assignTicket = async (ticket, department, booking, options) => {
+  const candidates = await rankCandidates(department, ticket, options);
+
+  for (const { _id } of candidates) {
+    const result = await reserveForTicket(
+      { ...booking, staffID: _id },
+      ticket._id
+    );
+    if (result.reservations) {
+      ticket.staffID = _id;
+      return _id;
+    }
+    // Only a full diary is worth trying the next person for
+    if (!result.full) return null;
+  }
+  return null;
+};
+
+module.exports = { rankCandidates, assignTicket };
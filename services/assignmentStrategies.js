@@ -0,0 +1,65 @@
+// How a department hands new tickets to its staff. Each strategy puts the
+// eligible staff in the order they should be tried; the first one with room
+// in the appointment slot gets the ticket.
+//
+//   manual       nobody is picked, tickets wait to be assigned by hand
+//   round-robin  staff take turns, in a fixed order
+//   least-open   whoever has the fewest open tickets
+//   reason-match staff whose skills include the ticket's appointment reason
+//                first, each group by fewest open tickets
+
+const ASSIGNMENT_STRATEGY = {
+  MANUAL: "manual",
+  ROUND_ROBIN: "round-robin",
+  LEAST_OPEN: "least-open",
+  REASON_MATCH: "reason-match",
+};
+
+const ASSIGNMENT_STRATEGIES = Object.values(ASSIGNMENT_STRATEGY);
+
+const DEFAULT_ASSIGNMENT_STRATEGY = ASSIGNMENT_STRATEGY.LEAST_OPEN;
+
+const byID = (a, b) => String(a._id).localeCompare(String(b._id));
+
+const byOpenTickets = (openTickets) => (a, b) =>
+  (openTickets[a._id] || 0) - (openTickets[b._id] || 0) || byID(a, b);
+
+/**
+ * Put candidate staff in the order a strategy would try them
+ * @param {string} strategy - One of ASSIGNMENT_STRATEGIES
+ * @param {Object[]} staff - Candidates, each with _id and skills
+ * @param {Object} context
+ * @param {Object} context.openTickets - Open ticket count by staff _id
+ * @param {number} context.turn - Round-robin counter for the department
+ * @param {string} [context.reason] - The ticket's appointment reason
+ * @returns {Object[]}
+ */
+const rankStaff = (strategy, staff, { openTickets, turn, reason }) => {
+  switch (strategy) {
+    case ASSIGNMENT_STRATEGY.ROUND_ROBIN: {
+      const ordered = [...staff].sort(byID);
+      const start = ordered.length ? turn % ordered.length : 0;
+      return [...ordered.slice(start), ...ordered.slice(0, start)];
+    }
+    case ASSIGNMENT_STRATEGY.LEAST_OPEN:
+      return [...staff].sort(byOpenTickets(openTickets));
+    case ASSIGNMENT_STRATEGY.REASON_MATCH: {
+      const skilled = (member) =>
+        Boolean(reason) && (member.skills || []).includes(reason);
+      const ordered = [...staff].sort(byOpenTickets(openTickets));
+      return [
+        ...ordered.filter(skilled),
+        ...ordered.filter((member) => !skilled(member)),
+      ];
+    }
+    default:
+      return [];
+  }
+};
+
+module.exports = {
+  ASSIGNMENT_STRATEGY,
+  ASSIGNMENT_STRATEGIES,
+  DEFAULT_ASSIGNMENT_STRATEGY,
+  rankStaff,
+};
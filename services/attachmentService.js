@@ -0,0 +1,151 @@
+const crypto = require("crypto");
+const { Attachment } = require("../model/AttachmentModel");
+const { TicketComment } = require("../model/TicketCommentModel");
+const { getStorage } = require("./attachmentStorage");
+
+const MAX_ATTACHMENT_MB = Number(process.env.MAX_ATTACHMENT_MB) || 5;
+const MAX_ATTACHMENT_BYTES = MAX_ATTACHMENT_MB * 1024 * 1024;
+const MAX_FILES_PER_UPLOAD = 5;
+
+// Accepted documents, recognised by their first bytes rather than by the
+// name or type the client claims
+const ALLOWED_TYPES = [
+  {
+    mimeType: "application/pdf",
+    extension: "pdf",
+    magic: [0x25, 0x50, 0x44, 0x46],
+  },
+  { mimeType: "image/jpeg", extension: "jpg", magic: [0xff, 0xd8, 0xff] },
+  {
+    mimeType: "image/png",
+    extension: "png",
+    magic: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a],
+  },
+];
+
+const detectType = (buffer) =>
+  ALLOWED_TYPES.find(({ magic }) =>
+    magic.every((byte, index) => buffer[index] === byte)
+  );
+
+// What callers get back about an attachment; the storage key stays inside
+const describe = (attachment) => ({
+  _id: attachment._id,
+  ticketID: attachment.ticketID,
+  commentID: attachment.commentID,
+  uploaderType: attachment.uploaderType,
+  originalName: attachment.originalName,
+  mimeType: attachment.mimeType,
+  size: attachment.size,
+  internal: attachment.internal,
+  createdAt: attachment.createdAt,
+});
+
+/**
+ * Store uploaded files and attach them to a ticket. Every file is checked
+ * before any is stored, so an upload is accepted or refused as a whole.
+ * @param {Object} ticket - Ticket document
+ * @param {Object} uploader - req.user of the uploader
+ * @param {Object[]} files - Multer files held in memory
+ * @param {string} [commentID] - The uploader's own comment on the ticket the
+ *   files belong to; they are internal if the comment is
+ * @returns {Promise<Object>} - { attachments } or { error }
+ */
+const saveAttachments = async (ticket, uploader, files, commentID) => {
+  let comment;
+  if (commentID) {
+    comment = await TicketComment.findOne({
+      _id: commentID,
+      ticketID: ticket._id,
+      authorID: uploader.id,
+    }).lean();
+    if (!comment) {
+      return {
+        error: "Files can only be added to your own comments on this ticket",
+      };
+    }
+  }
+
+  const typed = [];
+  for (const file of files) {
+    const type = detectType(file.buffer);
+    if (!type) {
+      return { error: `${file.originalname} is not a PDF, JPEG or PNG file` };
+    }
+    typed.push({ file, type });
+  }
+
+  const storage = getStorage();
+  const attachments = [];
+  for (const { file, type } of typed) {
+    const sha256 = crypto
+      .createHash("sha256")
+      .update(file.buffer)
+      .digest("hex");
+    const storageKey = `${sha256}.${type.extension}`;
+    await storage.save(storageKey, file.buffer);
+
+    attachments.push(
+      await Attachment.create({
+        ticketID: ticket._id,
+        commentID: comment && comment._id,
+        uploaderID: uploader.id,
+        uploaderType: uploader.type,
+        originalName: file.originalname,
+        mimeType: type.mimeType,
+        size: file.size,
+        sha256,
+        storageKey,
+        internal: Boolean(comment && comment.internal),
+      })
+    );
+  }
+
+  return { attachments: attachments.map(describe) };
+};
+
+/**
+ * A ticket's attachments, oldest first
+ * @param {string} ticketID - Ticket
+ * @param {Object} viewer - req.user; customers do not see internal files
+ * @returns {Promise<Object[]>}
+ */
+const listAttachments = async (ticketID, viewer) => {
+  const attachments = await Attachment.find({
+    ticketID,
+    ...(viewer.type === "customer" && { internal: false }),
+  })
+    .sort({ createdAt: 1 })
+    .lean();
+  return attachments.map(describe);
+};
+
+/**
+ * Open an attachment for download
+ * @param {string} ticketID - Ticket the attachment must belong to
+ * @param {string} attachmentID - Attachment
+ * @param {Object} viewer - req.user; customers cannot open internal files
+ * @returns {Promise<Object|null>} - { attachment, stream }, or null if not found
+ */
+const openAttachment = async (ticketID, attachmentID, viewer) => {
+  const attachment = await Attachment.findOne({
+    _id: attachmentID,
+    ticketID,
+    ...(viewer.type === "customer" && { internal: false }),
+  }).lean();
+  if (!attachment) return null;
+
+  return {
+    attachment: describe(attachment),
+    stream: getStorage().createReadStream(attachment.storageKey),
+  };
+};
+
+module.exports = {
+  MAX_ATTACHMENT_MB,
+  MAX_ATTACHMENT_BYTES,
+  MAX_FILES_PER_UPLOAD,
+  saveAttachments,
+  listAttachments,
+  openAttachment,
+};
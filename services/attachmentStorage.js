@@ -0,0 +1,99 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+// Storage drivers keep attachment contents by key. A key is the SHA-256 of
+// the contents plus an extension, so identical uploads share one file.
+// Any object with the same async save/exists/remove methods and a
+// createReadStream method can be registered as a driver.
+
+const KEY_PATTERN = /^[a-f0-9]{64}\.[a-z0-9]+$/;
+
+const assertKey = (key) => {
+  if (!KEY_PATTERN.test(key)) throw new Error(`Invalid storage key: ${key}`);
+};
+
+/**
+ * Files on the local disk, sharded by the first characters of the hash
+ */
+class LocalStorageDriver {
+  constructor({ root = path.join(__dirname, "..", "uploads") } = {}) {
+    this.root = root;
+  }
+
+  pathFor(key) {
+    assertKey(key);
+    return path.join(this.root, key.slice(0, 2), key.slice(2, 4), key);
+  }
+
+  async save(key, buffer) {
+    const target = this.pathFor(key);
+    if (await this.exists(key)) return;
+
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+    // Write under a temporary name first so readers never see half a file
+    const temp = `${target}.${crypto.randomBytes(6).toString("hex")}.tmp`;
+    await fs.promises.writeFile(temp, buffer);
+    await fs.promises.rename(temp, target);
+  }
+
+  async exists(key) {
+    try {
+      await fs.promises.access(this.pathFor(key));
+      return true;
+    } catch (err) {
+      return false;
+    }
+  }
+
+  createReadStream(key) {
+    return fs.createReadStream(this.pathFor(key));
+  }
+
+  async remove(key) {
+    await fs.promises.rm(this.pathFor(key), { force: true });
+  }
+}
+
+const drivers = {
+  local: () => new LocalStorageDriver({ root: process.env.ATTACHMENT_DIR }),
+};
+
+/**
+ * Make a storage driver available under a name, for ATTACHMENT_STORAGE
+ * @param {string} name - Driver name
+ * @param {Function} factory - () => driver
+ */
+const registerStorageDriver = (name, factory) => {
+  drivers[name] = factory;
+};
+
+let storage;
+
+/**
+ * The configured storage driver, "local" unless ATTACHMENT_STORAGE says otherwise
+ * @returns {Object}
+ */
+const getStorage = () => {
+  if (!storage) {
+    const name = process.env.ATTACHMENT_STORAGE || "local";
+    if (!drivers[name]) throw new Error(`Unknown attachment storage: ${name}`);
+    storage = drivers[name]();
+  }
+  return storage;
+};
+
+/**
+ * Replace the storage driver, e.g. with an in-memory one in tests
+ * @param {Object} driver
+ */
+const setStorage = (driver) => {
+  storage = driver;
+};
+
+module.exports = {
+  LocalStorageDriver,
+  registerStorageDriver,
+  getStorage,
+  setStorage,
+};
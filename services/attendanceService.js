@@ -0,0 +1,146 @@
+const { Ticket } = require("../model/TicketModel");
+const { Customer } = require("../model/CustomerModel");
+const { Department } = require("../model/DepartmentModel");
+const { TICKET_STATUS } = require("./ticketLifecycle");
+const { recordTicketHistory } = require("./ticketHistoryService");
+
+// Attendance: staff check citizens in for approved appointments when they
+// arrive at the desk, and those who do not turn up within the department's
+// grace period are marked NoShow. Repeated no-shows can stop a citizen
+// booking with the department.
+
+const DEFAULT_GRACE_MINUTES = 15;
+// Only recent appointments are swept, so tickets left Approved long ago
+// are not suddenly counted against their customers
+const NO_SHOW_LOOKBACK_HOURS = 48;
+const NO_SHOW_INTERVAL_MS =
+  (Number(process.env.NO_SHOW_INTERVAL_SECONDS) || 300) * 1000;
+
+/**
+ * A department's no-show rules, with defaults for anything it has not set
+ * @param {Object} department - Department document
+ * @returns {Object} - { graceMinutes, maxNoShows, restrictionDays }
+ */
+const noShowRulesOf = (department) => {
+  const rules = (department && department.noShowRules) || {};
+  return {
+    graceMinutes:
+      typeof rules.graceMinutes === "number"
+        ? rules.graceMinutes
+        : DEFAULT_GRACE_MINUTES,
+    // 0 leaves bookings unrestricted
+    maxNoShows: rules.maxNoShows || 0,
+    restrictionDays: rules.restrictionDays || 0,
+  };
+};
+
+/**
+ * Why a ticket cannot be checked in, or null if it can
+ * @param {Object} ticket - Ticket document
+ * @returns {string|null}
+ */
+const checkInProblem = (ticket) => {
+  if (ticket.status !== TICKET_STATUS.APPROVED) {
+    return `A ${ticket.status} ticket cannot be checked in`;
+  }
+  if (ticket.checkedInAt) return "This appointment is already checked in";
+  return null;
+};
+
+/**
+ * Add to a customer's no-show count
+ * @param {string} customerID
+ * @param {Date} [now]
+ * @returns {Promise<void>}
+ */
+const recordNoShow = async (customerID, now = new Date()) => {
+  if (!customerID) return;
+  await Customer.updateOne(
+    { _id: customerID },
+    { $inc: { noShowCount: 1 }, $set: { lastNoShowAt: now } }
+  );
+};
+
+/**
+ * Mark approved appointments nobody checked in for as NoShow, once each
+ * department's grace period has passed
+ * @param {Date} [now]
+ * @returns {Promise<number>} - Tickets marked
+ */
+const markNoShows = async (now = new Date()) => {
+  const departments = await Department.find().select("noShowRules").lean();
+  const lookback = new Date(now - NO_SHOW_LOOKBACK_HOURS * 60 * 60000);
+
+  let marked = 0;
+  for (const department of departments) {
+    const { graceMinutes } = noShowRulesOf(department);
+    const missed = {
+      departmentID: department._id,
+      status: TICKET_STATUS.APPROVED,
+      checkedInAt: null,
+      appointmentDateTime: {
+        $gte: lookback,
+        $lt: new Date(now - graceMinutes * 60000),
+      },
+    };
+
+    const tickets = await Ticket.find(missed).select("_id").lean();
+    for (const { _id } of tickets) {
+      // A check-in may land between the find and the update
+      const ticket = await Ticket.findOneAndUpdate(
+        { _id, ...missed },
+        { $set: { status: TICKET_STATUS.NO_SHOW, closedDate: now } }
+      );
+      if (!ticket) continue;
+
+      await recordTicketHistory({
+        ticketID: _id,
+        action: "status-changed",
+        changes: [
+          {
+            field: "status",
+            from: TICKET_STATUS.APPROVED,
+            to: TICKET_STATUS.NO_SHOW,
+          },
+          { field: "closedDate", from: null, to: now.toISOString() },
+        ],
+        reason: `Not checked in within ${graceMinutes} minutes of the appointment`,
+      });
+      await recordNoShow(ticket.customerID, now);
+      marked++;
+    }
+  }
+  return marked;
+};
+
+/**
+ * Why a customer may not book with a department because of past no-shows,
+ * or null if they may
+ * @param {Object} customer - Customer document
+ * @param {Object} department - Department document
+ * @param {Date} [now]
+ * @returns {string|null}
+ */
+const bookingRestriction = (customer, department, now = new Date()) => {
+  const { maxNoShows, restrictionDays } = noShowRulesOf(department);
+  if (!maxNoShows || (customer.noShowCount || 0) < maxNoShows) return null;
+  if (!customer.lastNoShowAt) return null;
+
+  const until = new Date(
+    customer.lastNoShowAt.getTime() + restrictionDays * 24 * 60 * 60000
+  );
+  if (now >= until) return null;
+  return `Online booking with this department is paused until ${until.toDateString()} after ${
+    customer.noShowCount
+  } missed appointments. Please contact the office.`;
+};
+
+module.exports = {
+  DEFAULT_GRACE_MINUTES,
+  NO_SHOW_INTERVAL_MS,
+  noShowRulesOf,
+  checkInProblem,
+  recordNoShow,
+  markNoShows,
+  bookingRestriction,
+};
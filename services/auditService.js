@@ -0,0 +1,24 @@
+const { AuditLog } = require("../model/AuditLogModel");
+
+/**
+ * Append an entry to the audit log. Failures are logged, never thrown, so
+ * an audit problem cannot undo an action that has already completed.
+ * @param {Object} entry - Audit entry
+ * @param {string} entry.action - What happened, e.g. "password.reset"
+ * @param {string} entry.actorType - "customer", "staff" or "system"
+ * @param {string} [entry.actorID] - Who did it
+ * @param {string} [entry.targetType] - Kind of record affected
+ * @param {string} [entry.targetID] - Record affected
+ * @param {Object} [entry.details] - Extra context
+ * @param {string} [entry.ipAddress] - Client IP address
+ * @returns {Promise<void>}
+ */
+const recordAudit = async (entry) => {
+  try {
+    await AuditLog.create(entry);
+  } catch (error) {
+    console.error("Error writing audit log:", error);
+  }
+};
+
+module.exports = { recordAudit };
@@ -0,0 +1,154 @@
+const jwt = require("jsonwebtoken");
+const { createSession } = require("./sessionService");
+
+// Access tokens are short-lived; clients renew them with the refresh token
+const ACCESS_TOKEN_EXPIRY = "15m";
+// Challenge tokens bridge the password step and the two-factor step of a login
+const CHALLENGE_TOKEN_EXPIRY = "5m";
+
+/**
+ * Build the principal stored in the access token for a customer
+ * @param {Object} customer - Customer document
+ * @returns {Object} - Token principal
+ */
+const customerPrincipal = (customer) => ({
+  id: customer._id.toString(),
+  email: customer.emailAddress,
+  type: "customer",
+  role: "customer",
+});
+
+/**
+ * Build the principal stored in the access token for a staff member
+ * @param {Object} staff - Staff document
+ * @returns {Object} - Token principal
+ */
+const staffPrincipal = (staff) => ({
+  id: staff._id.toString(),
+  email: staff.emailAddress,
+  type: "staff",
+  role: staff.role,
+  departmentID: staff.departmentID ? staff.departmentID.toString() : null,
+});
+
+/**
+ * Sign an access token for a principal
+ * @param {Object} principal - Principal built by customerPrincipal or staffPrincipal
+ * @param {string} sessionID - Session the token belongs to
+ * @returns {string} - Signed JWT
+ */
+const signAccessToken = (principal, sessionID) => {
+  return jwt.sign(
+    { ...principal, sid: sessionID.toString() },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRY }
+  );
+};
+
+/**
+ * Start a session for a principal and issue its access and refresh tokens
+ * @param {Object} principal - Principal built by customerPrincipal or staffPrincipal
+ * @param {Object} req - Express request of the login
+ * @returns {Promise<{token: string, refreshToken: string}>}
+ */
+const issueTokens = async (principal, req) => {
+  const { session, refreshToken } = await createSession(principal, req);
+  return { token: signAccessToken(principal, session._id), refreshToken };
+};
+
+/**
+ * Sign a challenge token for a staff member who passed the password step
+ * but still has to complete two-factor authentication
+ * @param {Object} staff - Staff document
+ * @param {"2fa-login"|"2fa-setup"} purpose - Verify a code, or enrol first
+ * @returns {string} - Signed JWT, not usable as an access token
+ */
+const signChallengeToken = (staff, purpose) => {
+  return jwt.sign(
+    { challenge: purpose, staffID: staff._id.toString() },
+    process.env.JWT_SECRET,
+    { expiresIn: CHALLENGE_TOKEN_EXPIRY }
+  );
+};
+
+/**
+ * Verify a challenge token
+ * @param {string} token - Token from signChallengeToken
+ * @param {string} purpose - Purpose the token must have been issued for
+ * @returns {string|null} - Staff ID, or null if the token is not usable
+ */
+const verifyChallengeToken = (token, purpose) => {
+  try {
+    const payload = jwt.verify(token, process.env.JWT_SECRET);
+    return payload.challenge === purpose ? payload.staffID : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+/**
+ * Start a staff session and build the login response body
+ * @param {Object} staff - Staff document that passed every login step
+ * @param {Object} req - Express request of the login
+ * @returns {Promise<Object>}
+ */
+const completeStaffLogin = async (staff, req) => {
+  const { token, refreshToken } = await issueTokens(staffPrincipal(staff), req);
+
+  return {
+    success: true,
+    message: "Login successful",
+    token,
+    refreshToken,
+    staff: {
+      id: staff._id,
+      firstName: staff.firstName,
+      lastName: staff.lastName,
+      email: staff.emailAddress,
+      phoneNumber: staff.phoneNumber,
+      departmentID: staff.departmentID,
+      role: staff.role,
+      hireDate: staff.hireDate,
+      permission: staff.permission,
+      twoFactorEnabled: Boolean(staff.twoFactorEnabled),
+    },
+  };
+};
+
+/**
+ * Verify an access token and return its principal
+ * @param {string} token - Signed JWT
+ * @returns {Object} - Principal with id, email, type, role, departmentID and sessionID
+ * @throws {Error} - If the token is invalid, expired or not one of ours
+ */
+const verifyAccessToken = (token) => {
+  const payload = jwt.verify(token, process.env.JWT_SECRET);
+
+  if (
+    !payload.id ||
+    !payload.sid ||
+    !["customer", "staff"].includes(payload.type)
+  ) {
+    throw new Error("Malformed token");
+  }
+
+  return {
+    id: payload.id,
+    email: payload.email,
+    type: payload.type,
+    role: payload.role,
+    departmentID: payload.departmentID || null,
+    sessionID: payload.sid,
+  };
+};
+
+module.exports = {
+  customerPrincipal,
+  staffPrincipal,
+  signAccessToken,
+  issueTokens,
+  signChallengeToken,
+  verifyChallengeToken,
+  completeStaffLogin,
+  verifyAccessToken,
+};
@@ -0,0 +1,200 @@
+const moment = require("moment");
+const { SlotReservation } = require("../model/SlotReservationModel");
+const { Department } = require("../model/DepartmentModel");
+const { Staff } = require("../model/StaffModel");
+const {
+  checkOpeningHours,
+  consecutiveSlots,
+  listSlotTimes,
+} = require("./scheduleService");
+
+// Reservations that still take up a seat: confirmed ones, and holds that
+// have not expired
+const activeReservation = () => ({
+  $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+});
+
+/**
+ * Work out how many more appointments a slot can take. The department's
+ * slotCapacity always applies; a counter's or staff member's own capacity
+ * applies as well when the booking names one. Seats are counted from slot
+ * reservations, see reservationService.
+ * @param {Object} options
+ * @param {string} options.departmentID - Department being booked
+ * @param {string} [options.counterID] - Counter within the department
+ * @param {string} [options.staffID] - Staff member serving the appointment
+ * @param {Date} options.slot - Start of the slot
+ * @param {string} [options.excludeTicketID] - Ticket being rescheduled, not counted against itself
+ * @returns {Promise<Object>} - { capacity, booked, remaining, limitedBy, limits }
+ *   where each limit is { scope, resource, capacity, booked, remaining },
+ *   { outsideHours } if the department is closed at that time, or { error }
+ *   if the department, counter or staff member does not exist
+ */
+const getSlotAvailability = async ({
+  departmentID,
+  counterID,
+  staffID,
+  slot,
+  excludeTicketID,
+}) => {
+  const department = await Department.findById(departmentID).select(
+    "slotCapacity counters schedule"
+  );
+  if (!department) return { error: "Department not found" };
+
+  const outsideHours = await checkOpeningHours(department, slot);
+  if (outsideHours) return { outsideHours };
+
+  const limits = [
+    {
+      scope: "department",
+      resource: `department:${department._id}`,
+      capacity: department.slotCapacity || 1,
+    },
+  ];
+
+  if (counterID) {
+    const counter = department.counters.id(counterID);
+    if (!counter) return { error: "Counter not found in this department" };
+    limits.push({
+      scope: "counter",
+      resource: `counter:${counter._id}`,
+      capacity: counter.slotCapacity || 1,
+    });
+  }
+
+  if (staffID) {
+    const staff = await Staff.findById(staffID).select(
+      "departmentID slotCapacity"
+    );
+    if (!staff || String(staff.departmentID) !== String(department._id)) {
+      return { error: "Staff member not found in this department" };
+    }
+    limits.push({
+      scope: "staff",
+      resource: `staff:${staff._id}`,
+      capacity: staff.slotCapacity || 1,
+    });
+  }
+
+  const counted = await Promise.all(
+    limits.map(async (limit) => {
+      const booked = await SlotReservation.countDocuments({
+        resource: limit.resource,
+        slot,
+        ...activeReservation(),
+        ...(excludeTicketID && { ticketID: { $ne: excludeTicketID } }),
+      });
+      return {
+        ...limit,
+        booked,
+        remaining: Math.max(limit.capacity - booked, 0),
+      };
+    })
+  );
+
+  // The tightest limit decides
+  const tightest = counted.reduce((least, limit) =>
+    limit.remaining < least.remaining ? limit : least
+  );
+
+  return {
+    capacity: tightest.capacity,
+    booked: tightest.booked,
+    remaining: tightest.remaining,
+    limitedBy: tightest.scope,
+    limits: counted,
+  };
+};
+
+/**
+ * Start times of every slot a booking covers: one, or a block of
+ * booking.slotCount back-to-back slots
+ * @param {Object} booking - { departmentID, slot, slotCount }
+ * @returns {Promise<Date[]>}
+ */
+const bookingSlots = async (booking) => {
+  if (!booking.slotCount || booking.slotCount === 1) return [booking.slot];
+
+  const department = await Department.findById(booking.departmentID).select(
+    "schedule"
+  );
+  // An unknown department is reported by the availability check
+  if (!department) return [booking.slot];
+  return consecutiveSlots(department, booking.slot, booking.slotCount);
+};
+
+/**
+ * Availability of a booking that may cover several back-to-back slots. Every
+ * slot must be open; the slot with the least room is reported.
+ * @param {Object} booking - As getSlotAvailability, plus slotCount
+ * @returns {Promise<Object>} - As getSlotAvailability
+ */
+const getBookingAvailability = async (booking) => {
+  let tightest;
+  for (const slot of await bookingSlots(booking)) {
+    const availability = await getSlotAvailability({ ...booking, slot });
+    if (availability.error || availability.outsideHours) return availability;
+    if (!tightest || availability.remaining < tightest.remaining) {
+      tightest = availability;
+    }
+  }
+  return tightest;
+};
+
+/**
+ * List the slots of a department that still have room, between two dates
+ * inclusive. Only the department's own capacity is considered; slots that
+ * have already started are left out.
+ * @param {Object} department - Department document with a schedule
+ * @param {string} from - YYYY-MM-DD
+ * @param {string} to - YYYY-MM-DD
+ * @returns {Promise<Object[]>} - [{ date, closed?, slots: [{ time, startsAt, remaining }] }]
+ */
+const listFreeSlots = async (department, from, to) => {
+  const days = await listSlotTimes(department, from, to);
+  const start = moment(from, "YYYY-MM-DD").startOf("day").toDate();
+  const end = moment(to, "YYYY-MM-DD").endOf("day").toDate();
+
+  const reservations = await SlotReservation.find({
+    resource: `department:${department._id}`,
+    slot: { $gte: start, $lte: end },
+    ...activeReservation(),
+  })
+    .select("slot")
+    .lean();
+
+  const booked = {};
+  reservations.forEach(({ slot }) => {
+    const key = moment(slot).format("YYYY-MM-DD HH:mm");
+    booked[key] = (booked[key] || 0) + 1;
+  });
+
+  const capacity = department.slotCapacity || 1;
+  const now = moment();
+
+  return days.map(({ date, closed, times }) => ({
+    date,
+    ...(closed && { closed }),
+    slots: times
+      .map((time) => {
+        const startsAt = moment(`${date} ${time}`, "YYYY-MM-DD HH:mm");
+        return {
+          time,
+          startsAt: startsAt.toDate(),
+          remaining: capacity - (booked[`${date} ${time}`] || 0),
+        };
+      })
+      .filter(
+        ({ startsAt, remaining }) => remaining > 0 && now.isBefore(startsAt)
+      ),
+  }));
+};
+
+module.exports = {
+  activeReservation,
+  bookingSlots,
+  getSlotAvailability,
+  getBookingAvailability,
+  listFreeSlots,
+};
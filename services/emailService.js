@@ -1,7 +1,7 @@
 const nodemailer = require("nodemailer");
 
 // Create a transporter using Gmail
-const transporter = nodemailer.createTransport({
+let transporter = nodemailer.createTransport({
   service: "gmail",
   auth: {
     user: process.env.EMAIL_USER,
@@ -34,6 +34,24 @@ const sendEmail = async (options) => {
   }
 };
 
+/**
+ * Replace the mail transport, e.g. with a stub or
+ * nodemailer.createTransport({ jsonTransport: true }) in tests
+ * @param {Object} transport - Anything with an async sendMail(options)
+ */
+const setTransporter = (transport) => {
+  transporter = transport;
+};
+
+// Comments are typed by users, so they must not be sent as markup
+const escapeHtml = (text) =>
+  String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
 /**
  * Generate the base HTML template for emails
  * @param {string} content - The main content of the email
@@ -120,11 +138,13 @@ const sendWelcomeEmail = async (to, name) => {
  * @param {string} to - Customer's email address
  * @param {Object} ticketDetails - Details of the ticket
  * @param {string} ticketDetails.ticketId - Ticket ID
+ * @param {string} ticketDetails.reference - Ticket reference, e.g. REG-2026-000123
  * @param {string} ticketDetails.status - New status of the ticket
  * @param {string} ticketDetails.department - Department name
  * @param {string} ticketDetails.issueDescription - Description of the issue
  * @param {string} [ticketDetails.feedback] - Feedback from staff (for resolved tickets)
  * @param {string} [ticketDetails.rejectionReason] - Reason for rejection (for rejected tickets)
+ * @param {string} [ticketDetails.cancellationReason] - Reason for cancellation (for cancelled tickets)
  * @param {Date} [ticketDetails.appointmentDate] - Appointment date (if applicable)
  * @returns {Promise<void>}
  */
@@ -132,12 +152,20 @@ const sendTicketStatusUpdateEmail = async (to, ticketDetails) => {
   const statusColors = {
     Pending: "#f0ad4e", // Orange
     Approved: "#5cb85c", // Green
+    InProgress: "#5bc0de", // Blue
+    Completed: "#5cb85c", // Green
+    Cancelled: "#777777", // Grey
+    NoShow: "#777777", // Grey
     Rejected: "#d9534f", // Red
   };
 
   const statusMessages = {
     Pending: "Your ticket is currently under review.",
     Approved: "Your ticket has been approved.",
+    InProgress: "Your request is being handled.",
+    Completed: "Your request has been completed.",
+    Cancelled: "Your appointment has been cancelled.",
+    NoShow: "You were marked as not attending your appointment.",
     Rejected: "Your ticket has been rejected.",
   };
 
@@ -172,19 +200,35 @@ const sendTicketStatusUpdateEmail = async (to, ticketDetails) => {
             : ""
         }
         <p>If you believe this was done in error or need to submit additional information, 
-           please create a new ticket with reference to this ticket ID.</p>
+           please create a new ticket quoting reference ${
+             ticketDetails.reference
+           }.</p>
+      </div>
+    `;
+  } else if (ticketDetails.status === "Cancelled") {
+    statusSpecificContent = `
+      <div style="margin-top: 20px; padding: 15px; background-color: #f8f9fa; border-radius: 5px;">
+        <h3 style="color: #777777; margin-bottom: 15px;">Cancellation Details</h3>
+        ${
+          ticketDetails.cancellationReason
+            ? `<p style="margin-bottom: 10px;"><strong>Reason:</strong> ${escapeHtml(
+                ticketDetails.cancellationReason
+              )}</p>`
+            : ""
+        }
+        <p>Your appointment slot has been released. You are welcome to book a new appointment at any time.</p>
       </div>
     `;
   }
 
-  const subject = `Gov Hub - Ticket Status Update [${ticketDetails.ticketId}]`;
+  const subject = `Gov Hub - Ticket Status Update [${ticketDetails.reference}]`;
   const content = `
     <h1 style="color: #4a90e2; margin-bottom: 20px;">Ticket Status Update</h1>
     <div style="margin-bottom: 30px;">
       <p style="margin-bottom: 15px;">Your ticket status has been updated.</p>
       <div style="background-color: #f8f8f8; padding: 20px; border-radius: 5px; margin-bottom: 20px;">
         <h2 style="color: #333; margin-bottom: 15px;">Ticket Details</h2>
-        <p><strong>Ticket ID:</strong> ${ticketDetails.ticketId}</p>
+        <p><strong>Reference:</strong> ${ticketDetails.reference}</p>
         <p><strong>Department:</strong> ${ticketDetails.department}</p>
         <p><strong>Issue Description:</strong> ${
           ticketDetails.issueDescription
@@ -226,6 +270,7 @@ const sendTicketStatusUpdateEmail = async (to, ticketDetails) => {
  * Send an appointment confirmation email
  * @param {string} to - Recipient email address
  * @param {Object} appointmentDetails - Details of the appointment
+ * @param {string} [appointmentDetails.reference] - Ticket reference, e.g. REG-2026-000123; left out of the email when absent
  * @returns {Promise<void>}
  */
 const sendAppointmentConfirmationEmail = async (to, appointmentDetails) => {
@@ -235,6 +280,11 @@ const sendAppointmentConfirmationEmail = async (to, appointmentDetails) => {
     <p style="margin-bottom: 15px;">Your appointment has been successfully scheduled with Gov Hub.</p>
     <h2 style="color: #4a90e2; margin-top: 20px;">Appointment Details:</h2>
     <ul style="padding-left: 20px; margin-bottom: 20px;">
+      ${
+        appointmentDetails.reference
+          ? `<li><strong>Reference:</strong> ${appointmentDetails.reference}</li>`
+          : ""
+      }
       <li><strong>Date:</strong> ${appointmentDetails.date}</li>
       <li><strong>Time:</strong> ${appointmentDetails.time}</li>
       <li><strong>Department:</strong> ${appointmentDetails.department}</li>
@@ -260,9 +310,285 @@ const sendAppointmentConfirmationEmail = async (to, appointmentDetails) => {
   }
 };
 
+/**
+ * Remind a citizen of an upcoming appointment
+ * @param {string} to - Recipient email address
+ * @param {Object} appointmentDetails - Details of the appointment
+ * @param {string} appointmentDetails.id - Ticket ID
+ * @param {string} appointmentDetails.reference - Ticket reference, e.g. REG-2026-000123
+ * @param {string} appointmentDetails.name - Citizen's name
+ * @param {string} appointmentDetails.department - Department name
+ * @param {string} appointmentDetails.date - Appointment date
+ * @param {string} appointmentDetails.time - Appointment time
+ * @returns {Promise<void>}
+ */
+const sendAppointmentReminderEmail = async (to, appointmentDetails) => {
+  const subject = `Gov Hub - Appointment Reminder [${appointmentDetails.reference}]`;
+  const content = `
+    <h1 style="color: #4a90e2; margin-bottom: 20px;">Appointment Reminder</h1>
+    <p style="margin-bottom: 15px;">Hello ${appointmentDetails.name || ""},</p>
+    <p style="margin-bottom: 15px;">This is a reminder of your upcoming appointment with Gov Hub.</p>
+    <ul style="padding-left: 20px; margin-bottom: 20px;">
+      <li><strong>Reference:</strong> ${appointmentDetails.reference}</li>
+      <li><strong>Department:</strong> ${appointmentDetails.department}</li>
+      <li><strong>Date:</strong> ${appointmentDetails.date}</li>
+      <li><strong>Time:</strong> ${appointmentDetails.time}</li>
+    </ul>
+    <p style="margin-bottom: 20px;">Please arrive 10 minutes before your scheduled time. Don't forget to bring any necessary documents.</p>
+    <a href="https://user.tharuksha.com/tickets/${appointmentDetails.id}" 
+       style="display: inline-block; padding: 12px 20px; background-color: #4a90e2; color: #ffffff; text-decoration: none; border-radius: 5px; font-weight: bold;">
+      View, Reschedule or Cancel
+    </a>
+    <p style="margin-top: 30px; margin-bottom: 0;">If you can no longer attend, please cancel so the slot can go to someone else.</p>
+  `;
+
+  const html = generateEmailTemplate(content, to);
+
+  try {
+    await sendEmail({ to, subject, html });
+    console.log("Appointment reminder email sent successfully");
+  } catch (error) {
+    console.error("Error sending appointment reminder email:", error);
+    throw new Error("Failed to send appointment reminder email");
+  }
+};
+
+/**
+ * Confirm that an appointment has moved to a new time
+ * @param {string} to - Recipient email address
+ * @param {Object} appointmentDetails - Details of the appointment
+ * @param {string} appointmentDetails.id - Ticket ID
+ * @param {string} appointmentDetails.reference - Ticket reference, e.g. REG-2026-000123
+ * @param {string} appointmentDetails.date - New date
+ * @param {string} appointmentDetails.time - New time
+ * @param {string} appointmentDetails.previousDate - Date it was moved from
+ * @param {string} appointmentDetails.previousTime - Time it was moved from
+ * @param {string} appointmentDetails.department - Department name
+ * @returns {Promise<void>}
+ */
+const sendAppointmentRescheduledEmail = async (to, appointmentDetails) => {
+  const subject = `Gov Hub - Appointment Rescheduled [${appointmentDetails.reference}]`;
+  const content = `
+    <h1 style="color: #4a90e2; margin-bottom: 20px;">Appointment Rescheduled</h1>
+    <p style="margin-bottom: 15px;">Your appointment has been moved to a new time.</p>
+    <ul style="padding-left: 20px; margin-bottom: 20px;">
+      <li><strong>Reference:</strong> ${appointmentDetails.reference}</li>
+      <li><strong>Department:</strong> ${appointmentDetails.department}</li>
+      <li><strong>New date:</strong> ${appointmentDetails.date}</li>
+      <li><strong>New time:</strong> ${appointmentDetails.time}</li>
+      <li><strong>Previously:</strong> ${appointmentDetails.previousDate} at ${appointmentDetails.previousTime}</li>
+    </ul>
+    <p style="margin-bottom: 20px;">Please arrive 10 minutes before your scheduled time. Don't forget to bring any necessary documents.</p>
+    <a href="https://user.tharuksha.com/tickets/${appointmentDetails.id}" 
+       style="display: inline-block; padding: 12px 20px; background-color: #4a90e2; color: #ffffff; text-decoration: none; border-radius: 5px; font-weight: bold;">
+      View Appointment Details
+    </a>
+    <p style="margin-top: 30px; margin-bottom: 0;">Thank you for using Gov Hub!</p>
+  `;
+
+  const html = generateEmailTemplate(content, to);
+
+  try {
+    await sendEmail({ to, subject, html });
+    console.log("Appointment rescheduled email sent successfully");
+  } catch (error) {
+    console.error("Error sending appointment rescheduled email:", error);
+    throw new Error("Failed to send appointment rescheduled email");
+  }
+};
+
+/**
+ * Offer a waitlisted citizen a seat that has come free
+ * @param {string} to - Recipient email address
+ * @param {Object} offerDetails - Details of the offer
+ * @param {string} offerDetails.id - Waitlist entry ID
+ * @param {string} offerDetails.name - Citizen's name
+ * @param {string} offerDetails.department - Department name
+ * @param {string} offerDetails.date - Date of the free slot
+ * @param {string} offerDetails.time - Time of the free slot
+ * @param {string} offerDetails.expiresAt - When the offer runs out
+ * @returns {Promise<void>}
+ */
+const sendWaitlistOfferEmail = async (to, offerDetails) => {
+  const subject = "Gov Hub - An Appointment Slot Is Available";
+  const content = `
+    <h1 style="color: #4a90e2; margin-bottom: 20px;">A Slot Is Available</h1>
+    <p style="margin-bottom: 15px;">Hello ${offerDetails.name || ""},</p>
+    <p style="margin-bottom: 15px;">A slot you were waiting for has come free and is being held for you.</p>
+    <ul style="padding-left: 20px; margin-bottom: 20px;">
+      <li><strong>Department:</strong> ${offerDetails.department}</li>
+      <li><strong>Date:</strong> ${offerDetails.date}</li>
+      <li><strong>Time:</strong> ${offerDetails.time}</li>
+      <li><strong>Held until:</strong> ${offerDetails.expiresAt}</li>
+    </ul>
+    <p style="margin-bottom: 20px;">If you do not book it by then, the slot will be offered to the next person on the waitlist.</p>
+    <a href="https://user.tharuksha.com/waitlist/${offerDetails.id}" 
+       style="display: inline-block; padding: 12px 20px; background-color: #4a90e2; color: #ffffff; text-decoration: none; border-radius: 5px; font-weight: bold;">
+      Book This Slot
+    </a>
+    <p style="margin-top: 30px; margin-bottom: 0;">Thank you for using Gov Hub!</p>
+  `;
+
+  const html = generateEmailTemplate(content, to);
+
+  try {
+    await sendEmail({ to, subject, html });
+    console.log("Waitlist offer email sent successfully");
+  } catch (error) {
+    console.error("Error sending waitlist offer email:", error);
+    throw new Error("Failed to send waitlist offer email");
+  }
+};
+
+/**
+ * Send a password reset link
+ * @param {string} to - Recipient email address
+ * @param {string} name - Recipient's name
+ * @param {string} resetUrl - Link to the reset page, including the token
+ * @param {number} expiresInMinutes - How long the link stays valid
+ * @returns {Promise<void>}
+ */
+const sendPasswordResetEmail = async (to, name, resetUrl, expiresInMinutes) => {
+  const subject = "Gov Hub - Reset Your Password";
+  const content = `
+    <h1 style="color: #4a90e2; margin-bottom: 20px;">Reset Your Password</h1>
+    <p style="margin-bottom: 15px;">Hello ${name || ""},</p>
+    <p style="margin-bottom: 15px;">We received a request to reset the password for your Gov Hub account. Click the button below to choose a new password.</p>
+    <a href="${resetUrl}" style="display: inline-block; padding: 12px 20px; background-color: #4a90e2; color: #ffffff; text-decoration: none; border-radius: 5px; font-weight: bold;">Reset Password</a>
+    <p style="margin-top: 30px;">This link can be used once and expires in ${expiresInMinutes} minutes.</p>
+    <p style="margin-bottom: 15px;">If you did not request a password reset, you can safely ignore this email. Your password will not change.</p>
+    <p style="margin-bottom: 0;">Best regards,<br>The Gov Hub Team</p>
+  `;
+
+  const html = generateEmailTemplate(content, to);
+
+  try {
+    await sendEmail({ to, subject, html });
+    console.log("Password reset email sent successfully");
+  } catch (error) {
+    console.error("Error sending password reset email:", error);
+    throw new Error("Failed to send password reset email");
+  }
+};
+
+/**
+ * Send an email address verification link
+ * @param {string} to - Recipient email address
+ * @param {string} name - Recipient's name
+ * @param {string} verifyUrl - Link to the verification page, including the token
+ * @param {number} expiresInHours - How long the link stays valid
+ * @returns {Promise<void>}
+ */
+const sendEmailVerificationEmail = async (
+  to,
+  name,
+  verifyUrl,
+  expiresInHours
+) => {
+  const subject = "Gov Hub - Verify Your Email Address";
+  const content = `
+    <h1 style="color: #4a90e2; margin-bottom: 20px;">Verify Your Email Address</h1>
+    <p style="margin-bottom: 15px;">Hello ${name || ""},</p>
+    <p style="margin-bottom: 15px;">Please confirm that this email address belongs to you. You will be able to book appointments once it is verified.</p>
+    <a href="${verifyUrl}" style="display: inline-block; padding: 12px 20px; background-color: #4a90e2; color: #ffffff; text-decoration: none; border-radius: 5px; font-weight: bold;">Verify Email Address</a>
+    <p style="margin-top: 30px;">This link expires in ${expiresInHours} hours. You can request a new one from your account at any time.</p>
+    <p style="margin-bottom: 0;">Best regards,<br>The Gov Hub Team</p>
+  `;
+
+  const html = generateEmailTemplate(content, to);
+
+  try {
+    await sendEmail({ to, subject, html });
+    console.log("Email verification email sent successfully");
+  } catch (error) {
+    console.error("Error sending email verification email:", error);
+    throw new Error("Failed to send email verification email");
+  }
+};
+
+/**
+ * Tell an account owner that their account was locked after failed logins
+ * @param {string} to - Recipient email address
+ * @param {string} name - Recipient's name
+ * @param {Date} lockedUntil - When sign-in will be possible again
+ * @returns {Promise<void>}
+ */
+const sendAccountLockedEmail = async (to, name, lockedUntil) => {
+  const subject = "Gov Hub - Your Account Has Been Temporarily Locked";
+  const content = `
+    <h1 style="color: #d9534f; margin-bottom: 20px;">Account Temporarily Locked</h1>
+    <p style="margin-bottom: 15px;">Hello ${name || ""},</p>
+    <p style="margin-bottom: 15px;">We detected several failed sign-in attempts on your Gov Hub account, so we have temporarily locked it to keep it safe.</p>
+    <p style="margin-bottom: 15px;">You can sign in again after <strong>${new Date(
+      lockedUntil
+    ).toLocaleString()}</strong>.</p>
+    <p style="margin-bottom: 15px;">If these attempts were not made by you, we recommend resetting your password once the lock expires.</p>
+    <p style="margin-bottom: 0;">Best regards,<br>The Gov Hub Team</p>
+  `;
+
+  const html = generateEmailTemplate(content, to);
+
+  try {
+    await sendEmail({ to, subject, html });
+    console.log("Account locked email sent successfully");
+  } catch (error) {
+    console.error("Error sending account locked email:", error);
+    throw new Error("Failed to send account locked email");
+  }
+};
+
+/**
+ * Tell one side of a ticket conversation that the other side replied
+ * @param {string} to - Recipient email address
+ * @param {string} name - Recipient's name
+ * @param {Object} commentDetails - Details of the comment
+ * @param {string} commentDetails.reference - Ticket reference, e.g. REG-2026-000123
+ * @param {string} commentDetails.authorName - Who wrote the comment
+ * @param {string} commentDetails.body - The comment
+ * @param {string} commentDetails.ticketUrl - Where to read and reply
+ * @returns {Promise<void>}
+ */
+const sendTicketCommentEmail = async (to, name, commentDetails) => {
+  const subject = `Gov Hub - New Reply on Your Ticket [${commentDetails.reference}]`;
+  const content = `
+    <h1 style="color: #4a90e2; margin-bottom: 20px;">New Reply on Ticket ${
+      commentDetails.reference
+    }</h1>
+    <p style="margin-bottom: 15px;">Hello ${name || ""},</p>
+    <p style="margin-bottom: 15px;"><strong>${
+      commentDetails.authorName
+    }</strong> wrote:</p>
+    <div style="margin-bottom: 20px; padding: 15px; background-color: #ffffff; border-left: 4px solid #4a90e2; white-space: pre-wrap;">${escapeHtml(
+      commentDetails.body
+    )}</div>
+    <a href="${
+      commentDetails.ticketUrl
+    }" style="display: inline-block; padding: 12px 20px; background-color: #4a90e2; color: #ffffff; text-decoration: none; border-radius: 5px; font-weight: bold;">View and Reply</a>
+    <p style="margin-top: 30px; margin-bottom: 0;">Best regards,<br>The Gov Hub Team</p>
+  `;
+
+  const html = generateEmailTemplate(content, to);
+
+  try {
+    await sendEmail({ to, subject, html });
+    console.log("Ticket comment email sent successfully");
+  } catch (error) {
+    console.error("Error sending ticket comment email:", error);
+    throw new Error("Failed to send ticket comment email");
+  }
+};
+
 module.exports = {
+  setTransporter,
   sendEmail,
   sendWelcomeEmail,
   sendAppointmentConfirmationEmail,
+  sendAppointmentRescheduledEmail,
+  sendAppointmentReminderEmail,
+  sendWaitlistOfferEmail,
   sendTicketStatusUpdateEmail,
+  sendPasswordResetEmail,
+  sendEmailVerificationEmail,
+  sendAccountLockedEmail,
+  sendTicketCommentEmail,
 };
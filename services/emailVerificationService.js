@@ -0,0 +1,109 @@
+const { Customer } = require("../model/CustomerModel");
+const { OneTimeToken } = require("../model/OneTimeTokenModel");
+const { issueToken, consumeToken } = require("./oneTimeTokenService");
+const { sendEmailVerificationEmail } = require("./emailService");
+
+const VERIFICATION_TOKEN_TTL_HOURS = 24;
+const RESEND_COOLDOWN_SECONDS = 60;
+const MAX_SENDS_PER_DAY = 5;
+
+const APP_URL = process.env.CUSTOMER_APP_URL || "https://user.tharuksha.com";
+
+/**
+ * Check whether a customer may book appointments.
+ * Accounts created before verification existed have no flag and count as verified.
+ * @param {Object} customer - Customer document
+ * @returns {boolean}
+ */
+const isEmailVerified = (customer) => customer.emailVerified !== false;
+
+/**
+ * Issue a verification token and email it to the customer
+ * @param {Object} customer - Customer document
+ * @returns {Promise<void>}
+ */
+const sendVerification = async (customer) => {
+  const token = await issueToken(
+    "customer",
+    customer._id,
+    "email-verification",
+    VERIFICATION_TOKEN_TTL_HOURS * 60
+  );
+
+  try {
+    await sendEmailVerificationEmail(
+      customer.emailAddress,
+      customer.firstName,
+      `${APP_URL}/verify-email?token=${token}`,
+      VERIFICATION_TOKEN_TTL_HOURS
+    );
+  } catch (error) {
+    console.error("Error sending verification email:", error);
+  }
+};
+
+/**
+ * Mark a customer's email as verified using an emailed token
+ * @param {string} token - Verification token from the email
+ * @returns {Promise<Object|null>} - The verified customer, or null if the token is not usable
+ */
+const verifyEmail = async (token) => {
+  const record = await consumeToken(token, "email-verification");
+  if (!record) return null;
+
+  return Customer.findByIdAndUpdate(
+    record.userID,
+    { $set: { emailVerified: true, emailVerifiedAt: new Date() } },
+    { new: true }
+  );
+};
+
+/**
+ * Send a new verification email, throttled per customer
+ * @param {string} customerID - Customer asking for the email
+ * @returns {Promise<{status: "sent"|"already-verified"|"not-found"|"throttled", retryAfter?: number}>}
+ */
+const resendVerification = async (customerID) => {
+  const customer = await Customer.findById(customerID);
+  if (!customer) return { status: "not-found" };
+  if (isEmailVerified(customer)) return { status: "already-verified" };
+
+  const dayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
+  const recent = await OneTimeToken.find({
+    userType: "customer",
+    userID: customer._id,
+    purpose: "email-verification",
+    createdAt: { $gte: dayAgo },
+  })
+    .sort({ createdAt: -1 })
+    .select("createdAt")
+    .lean();
+
+  if (recent.length) {
+    const elapsed = (Date.now() - recent[0].createdAt.getTime()) / 1000;
+    if (elapsed < RESEND_COOLDOWN_SECONDS) {
+      return {
+        status: "throttled",
+        retryAfter: Math.ceil(RESEND_COOLDOWN_SECONDS - elapsed),
+      };
+    }
+  }
+  if (recent.length >= MAX_SENDS_PER_DAY) {
+    // Wait until the oldest send that counts against the cap is a day old
+    const oldest = recent[MAX_SENDS_PER_DAY - 1].createdAt.getTime();
+    return {
+      status: "throttled",
+      retryAfter: Math.ceil((oldest + 24 * 60 * 60 * 1000 - Date.now()) / 1000),
+    };
+  }
+
+  await sendVerification(customer);
+  return { status: "sent" };
+};
+
+module.exports = {
+  isEmailVerified,
+  sendVerification,
+  verifyEmail,
+  resendVerification,
+};
@@ -0,0 +1,75 @@
+// Runs background jobs inside the API process, each on its own interval.
+// The clock and timers can be swapped, so jobs can be driven step by step
+// in tests:
+//
+//   const runner = new JobRunner({ now: () => fakeNow });
+//   runner.register("reminders", 60000, (now) => sendDueReminders(now));
+//   await runner.runAll();
+
+class JobRunner {
+  constructor({ now = () => new Date(), timers = global } = {}) {
+    this.now = now;
+    this.timers = timers;
+    this.jobs = [];
+  }
+
+  /**
+   * Add a job
+   * @param {string} name - Used in logs
+   * @param {number} intervalMs - Time between runs
+   * @param {Function} run - async (now) => void
+   */
+  register(name, intervalMs, run) {
+    this.jobs.push({ name, intervalMs, run, running: false, timer: null });
+  }
+
+  // A run that is still going when the next one is due is not overlapped
+  async runJob(job) {
+    if (job.running) return;
+    job.running = true;
+    try {
+      await job.run(this.now());
+    } catch (err) {
+      console.error(`Background job ${job.name} failed:`, err);
+    } finally {
+      job.running = false;
+    }
+  }
+
+  /**
+   * Run every job once, now
+   * @returns {Promise<void>}
+   */
+  async runAll() {
+    for (const job of this.jobs) {
+      await this.runJob(job);
+    }
+  }
+
+  /**
+   * Run every job on its interval until stop()
+   */
+  start() {
+    for (const job of this.jobs) {
+      if (job.timer) continue;
+      job.timer = this.timers.setInterval(
+        () => this.runJob(job),
+        job.intervalMs
+      );
+      // Background jobs alone should not keep the process alive
+      if (job.timer && job.timer.unref) job.timer.unref();
+    }
+  }
+
+  stop() {
+    for (const job of this.jobs) {
+      if (job.timer) this.timers.clearInterval(job.timer);
+      job.timer = null;
+    }
+  }
+}
+
+// The runner the server starts
+const jobRunner = new JobRunner();
+
+module.exports = { JobRunner, jobRunner };
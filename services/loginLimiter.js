@@ -0,0 +1,189 @@
+const { MongoStore } = require("./loginLimiterStores");
+const { sendAccountLockedEmail } = require("./emailService");
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+const HOUR = 60 * MINUTE;
+
+// Limits per key kind. After freeAttempts failures each further attempt
+// must wait baseDelayMs, doubling per failure up to maxDelayMs. Reaching
+// lockoutThreshold locks the key for lockoutMs, doubling per repeated
+// lockout up to maxLockoutMs. Counters are forgotten windowMs after the
+// last failure.
+const DEFAULT_LIMITS = {
+  account: {
+    freeAttempts: 3,
+    baseDelayMs: SECOND,
+    maxDelayMs: 30 * SECOND,
+    lockoutThreshold: 10,
+    lockoutMs: 15 * MINUTE,
+    maxLockoutMs: 24 * HOUR,
+    windowMs: 24 * HOUR,
+  },
+  ip: {
+    freeAttempts: 20,
+    baseDelayMs: SECOND,
+    maxDelayMs: MINUTE,
+    lockoutThreshold: 100,
+    lockoutMs: 15 * MINUTE,
+    maxLockoutMs: 24 * HOUR,
+    windowMs: HOUR,
+  },
+};
+
+class LoginLimiter {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.store] - Record store, MongoStore by default
+   * @param {Function} [options.now] - Clock returning ms, for tests
+   * @param {Object} [options.limits] - Overrides for DEFAULT_LIMITS
+   */
+  constructor({
+    store = new MongoStore(),
+    now = () => Date.now(),
+    limits,
+  } = {}) {
+    this.store = store;
+    this.now = now;
+    this.limits = {
+      account: { ...DEFAULT_LIMITS.account, ...(limits && limits.account) },
+      ip: { ...DEFAULT_LIMITS.ip, ...(limits && limits.ip) },
+    };
+  }
+
+  /**
+   * Build the limiter keys of a login attempt
+   * @param {string} userType - "customer" or "staff"
+   * @param {string} email - Email the attempt is for
+   * @param {string} ip - Client IP address
+   * @returns {{account: string, ip: string}}
+   */
+  keysFor(userType, email, ip) {
+    return {
+      account: `account:${userType}:${String(email).toLowerCase()}`,
+      ip: `ip:${ip}`,
+    };
+  }
+
+  /**
+   * Check whether an attempt may proceed
+   * @param {{account: string, ip: string}} keys - From keysFor
+   * @returns {Promise<number>} - Seconds to wait, 0 if the attempt may proceed
+   */
+  async check(keys) {
+    const now = this.now();
+    let waitMs = 0;
+
+    for (const key of [keys.account, keys.ip]) {
+      const record = await this.store.get(key);
+      if (!record) continue;
+      const until = Math.max(
+        record.lockedUntil || 0,
+        record.nextAttemptAt || 0
+      );
+      waitMs = Math.max(waitMs, until - now);
+    }
+
+    return waitMs > 0 ? Math.ceil(waitMs / SECOND) : 0;
+  }
+
+  /**
+   * Count a failed attempt against the account and the IP
+   * @param {{account: string, ip: string}} keys - From keysFor
+   * @returns {Promise<{accountLockedUntil: Date|null}>} - Set when this failure locked the account
+   */
+  async recordFailure(keys) {
+    const accountLockedUntil = await this.fail(
+      keys.account,
+      this.limits.account
+    );
+    await this.fail(keys.ip, this.limits.ip);
+    return { accountLockedUntil };
+  }
+
+  /**
+   * Clear the account's failures after a successful login. The IP keeps its
+   * count so one valid account can't be used to reset an IP-wide attack.
+   * @param {{account: string, ip: string}} keys - From keysFor
+   * @returns {Promise<void>}
+   */
+  async recordSuccess(keys) {
+    await this.store.delete(keys.account);
+  }
+
+  /**
+   * Apply one failure to a key. Returns the lock expiry if this failure
+   * started a lockout, otherwise null.
+   */
+  async fail(key, limits) {
+    const now = this.now();
+    const { failures } = await this.store.increment(key, limits.windowMs);
+
+    if (failures >= limits.lockoutThreshold) {
+      // Of several failures crossing the threshold at once only one locks
+      const record = await this.store.startLockout(
+        key,
+        limits.lockoutThreshold
+      );
+      if (!record) return null;
+
+      const lockedUntil =
+        now +
+        Math.min(
+          limits.lockoutMs * 2 ** (record.lockouts - 1),
+          limits.maxLockoutMs
+        );
+      await this.store.update(
+        key,
+        { lockedUntil },
+        Math.max(limits.windowMs, lockedUntil - now)
+      );
+      return new Date(lockedUntil);
+    }
+
+    if (failures > limits.freeAttempts) {
+      const nextAttemptAt =
+        now +
+        Math.min(
+          limits.baseDelayMs * 2 ** (failures - limits.freeAttempts - 1),
+          limits.maxDelayMs
+        );
+      await this.store.update(key, { nextAttemptAt }, limits.windowMs);
+    }
+    return null;
+  }
+}
+
+const loginLimiter = new LoginLimiter();
+
+// The only failure message logins return, so accounts can't be enumerated
+const LOGIN_FAILED_MESSAGE = "Invalid email or password";
+
+/**
+ * Record a failed login and email the owner if it locked their account
+ * @param {{account: string, ip: string}} keys - From keysFor
+ * @param {Object|null} user - Account the attempt was for, if it exists
+ * @returns {Promise<void>}
+ */
+const registerFailedLogin = async (keys, user) => {
+  const { accountLockedUntil } = await loginLimiter.recordFailure(keys);
+  if (!accountLockedUntil || !user) return;
+
+  try {
+    await sendAccountLockedEmail(
+      user.emailAddress,
+      user.firstName,
+      accountLockedUntil
+    );
+  } catch (error) {
+    console.error("Error notifying account lockout:", error);
+  }
+};
+
+module.exports = {
+  LoginLimiter,
+  DEFAULT_LIMITS,
+  LOGIN_FAILED_MESSAGE,
+  loginLimiter,
+  registerFailedLogin,
+};
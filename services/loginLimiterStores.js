@@ -0,0 +1,148 @@
+const { LoginAttempt } = require("../model/LoginAttemptModel");
+
+// Stores hold one record per limiter key:
+// { failures, lockouts, nextAttemptAt, lockedUntil } with times in ms.
+// Any object with the same async get/increment/startLockout/update/delete
+// methods can be plugged in. Counting and locking are single atomic steps
+// so parallel failed logins can't overwrite each other's counts.
+
+/**
+ * Process-local store, for tests and single-instance development
+ */
+class MemoryStore {
+  constructor({ now = () => Date.now() } = {}) {
+    this.now = now;
+    this.records = new Map();
+  }
+
+  // Entry of a key that has not expired. Kept synchronous so each store
+  // call below runs whole, like one database update.
+  live(key) {
+    const entry = this.records.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= this.now()) {
+      this.records.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  async get(key) {
+    const entry = this.live(key);
+    return entry && { ...entry.record };
+  }
+
+  async increment(key, ttlMs) {
+    const entry = this.live(key) || {
+      record: { failures: 0, lockouts: 0 },
+      expiresAt: 0,
+    };
+    entry.record.failures += 1;
+    entry.expiresAt = Math.max(entry.expiresAt, this.now() + ttlMs);
+    this.records.set(key, entry);
+    return { ...entry.record };
+  }
+
+  async startLockout(key, threshold) {
+    const entry = this.live(key);
+    if (!entry || entry.record.failures < threshold) return null;
+    entry.record.failures = 0;
+    entry.record.lockouts += 1;
+    entry.record.nextAttemptAt = null;
+    return { ...entry.record };
+  }
+
+  async update(key, fields, ttlMs) {
+    const entry = this.live(key);
+    if (!entry) return;
+    Object.assign(entry.record, fields);
+    entry.expiresAt = Math.max(entry.expiresAt, this.now() + ttlMs);
+  }
+
+  async delete(key) {
+    this.records.delete(key);
+  }
+}
+
+const toRecord = (attempt) =>
+  attempt && {
+    failures: attempt.failures,
+    lockouts: attempt.lockouts,
+    nextAttemptAt: attempt.nextAttemptAt && attempt.nextAttemptAt.getTime(),
+    lockedUntil: attempt.lockedUntil && attempt.lockedUntil.getTime(),
+  };
+
+const toDate = (time) => (time ? new Date(time) : null);
+
+/**
+ * MongoDB-backed store, shared by every instance of the service
+ */
+class MongoStore {
+  async get(key) {
+    const attempt = await LoginAttempt.findOne({
+      key,
+      expiresAt: { $gt: new Date() },
+    }).lean();
+    return toRecord(attempt);
+  }
+
+  async increment(key, ttlMs) {
+    const now = new Date();
+    // The TTL index removes expired records only once a minute, so one that
+    // has run out starts over here instead of adding to its old count
+    const live = { $gt: ["$expiresAt", now] };
+    const attempt = await LoginAttempt.findOneAndUpdate(
+      { key },
+      [
+        {
+          $set: {
+            failures: { $cond: [live, { $add: ["$failures", 1] }, 1] },
+            lockouts: { $cond: [live, "$lockouts", 0] },
+            nextAttemptAt: { $cond: [live, "$nextAttemptAt", null] },
+            lockedUntil: { $cond: [live, "$lockedUntil", null] },
+            expiresAt: {
+              $max: [
+                { $cond: [live, "$expiresAt", now] },
+                new Date(now.getTime() + ttlMs),
+              ],
+            },
+          },
+        },
+      ],
+      { upsert: true, new: true }
+    ).lean();
+    return toRecord(attempt);
+  }
+
+  async startLockout(key, threshold) {
+    const attempt = await LoginAttempt.findOneAndUpdate(
+      { key, failures: { $gte: threshold }, expiresAt: { $gt: new Date() } },
+      {
+        $set: { failures: 0, nextAttemptAt: null },
+        $inc: { lockouts: 1 },
+      },
+      { new: true }
+    ).lean();
+    return toRecord(attempt);
+  }
+
+  async update(key, fields, ttlMs) {
+    const $set = {};
+    if ("nextAttemptAt" in fields) {
+      $set.nextAttemptAt = toDate(fields.nextAttemptAt);
+    }
+    if ("lockedUntil" in fields) {
+      $set.lockedUntil = toDate(fields.lockedUntil);
+    }
+    await LoginAttempt.updateOne(
+      { key },
+      { $set, $max: { expiresAt: new Date(Date.now() + ttlMs) } }
+    );
+  }
+
+  async delete(key) {
+    await LoginAttempt.deleteOne({ key });
+  }
+}
+
+module.exports = { MemoryStore, MongoStore };
@@ -0,0 +1,56 @@
+const crypto = require("crypto");
+const { OneTimeToken } = require("../model/OneTimeTokenModel");
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+/**
+ * Issue a single-use token, invalidating any unused token the user already
+ * holds for the same purpose
+ * @param {string} userType - "customer" or "staff"
+ * @param {string} userID - Owner of the token
+ * @param {string} purpose - What the token may be used for
+ * @param {number} ttlMinutes - Minutes until the token expires
+ * @returns {Promise<string>} - The plain token, to be sent to the user
+ */
+const issueToken = async (userType, userID, purpose, ttlMinutes) => {
+  const now = new Date();
+  await OneTimeToken.updateMany(
+    { userType, userID, purpose, usedAt: null },
+    { $set: { usedAt: now } }
+  );
+
+  const token = crypto.randomBytes(32).toString("hex");
+  await OneTimeToken.create({
+    userType,
+    userID,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(now.getTime() + ttlMinutes * 60 * 1000),
+  });
+
+  return token;
+};
+
+/**
+ * Use up a token. Marking it used is atomic, so a token can only succeed once.
+ * @param {string} token - Plain token received from the user
+ * @param {string} purpose - Purpose the token must have been issued for
+ * @param {string} [userType] - Kind of account the token must belong to;
+ *   a token for another kind is left unused
+ * @returns {Promise<Object|null>} - The token record, or null if invalid, expired or used
+ */
+const consumeToken = (token, purpose, userType) =>
+  OneTimeToken.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token || ""),
+      purpose,
+      ...(userType && { userType }),
+      usedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+
+module.exports = { issueToken, consumeToken };
@@ -0,0 +1,156 @@
+const bcrypt = require("bcryptjs");
+const { Customer } = require("../model/CustomerModel");
+const { Staff } = require("../model/StaffModel");
+const { issueToken, consumeToken } = require("./oneTimeTokenService");
+const { revokeAllSessions } = require("./sessionService");
+const { recordAudit } = require("./auditService");
+const { sendPasswordResetEmail } = require("./emailService");
+
+const RESET_TOKEN_TTL_MINUTES = 30;
+const MIN_PASSWORD_LENGTH = 8;
+
+// Account models and the front-end that hosts each reset page
+const accounts = {
+  customer: {
+    Model: Customer,
+    appUrl: process.env.CUSTOMER_APP_URL || "https://user.tharuksha.com",
+  },
+  staff: {
+    Model: Staff,
+    appUrl: process.env.STAFF_APP_URL || "https://admin.tharuksha.com",
+  },
+};
+
+/**
+ * Hash a plain-text password for storage
+ * @param {string} password - Plain-text password
+ * @returns {Promise<string>} - bcrypt hash
+ */
+const hashPassword = async (password) => {
+  const salt = await bcrypt.genSalt(10);
+  return bcrypt.hash(password, salt);
+};
+
+/**
+ * Check that a new password meets the minimum requirements
+ * @param {string} password - Candidate password
+ * @returns {boolean}
+ */
+const isAcceptablePassword = (password) =>
+  typeof password === "string" && password.length >= MIN_PASSWORD_LENGTH;
+
+/**
+ * Email a password reset link if an account exists for the address.
+ * Never reveals whether the account exists.
+ * @param {string} userType - "customer" or "staff"
+ * @param {string} email - Address the reset was requested for
+ * @returns {Promise<void>}
+ */
+const requestPasswordReset = async (userType, email) => {
+  const { Model, appUrl } = accounts[userType];
+  const user = await Model.findOne({ emailAddress: email });
+  if (!user) return;
+
+  const token = await issueToken(
+    userType,
+    user._id,
+    "password-reset",
+    RESET_TOKEN_TTL_MINUTES
+  );
+
+  try {
+    await sendPasswordResetEmail(
+      user.emailAddress,
+      user.firstName,
+      `${appUrl}/reset-password?token=${token}`,
+      RESET_TOKEN_TTL_MINUTES
+    );
+  } catch (error) {
+    console.error("Error requesting password reset:", error);
+  }
+};
+
+/**
+ * Set a new password using an emailed reset token. Signs the user out
+ * everywhere and records an audit entry.
+ * @param {string} userType - "customer" or "staff"
+ * @param {string} token - Reset token from the email
+ * @param {string} newPassword - New plain-text password
+ * @param {string} ipAddress - Client IP address, for the audit entry
+ * @returns {Promise<boolean>} - false if the token is invalid, expired or already used
+ */
+const resetPassword = async (userType, token, newPassword, ipAddress) => {
+  const record = await consumeToken(token, "password-reset", userType);
+  if (!record) return false;
+
+  const { Model } = accounts[userType];
+  const user = await Model.findById(record.userID);
+  if (!user) return false;
+
+  user.password = await hashPassword(newPassword);
+  await user.save();
+
+  await revokeAllSessions(userType, user._id, "password-reset");
+  await recordAudit({
+    action: "password.reset",
+    actorType: userType,
+    actorID: user._id,
+    targetType: userType,
+    targetID: user._id,
+    ipAddress,
+  });
+
+  return true;
+};
+
+/**
+ * Change the signed-in user's password after checking the current one.
+ * Every other session of the user is revoked.
+ * @param {Object} principal - req.user of the caller
+ * @param {string} currentPassword - Current plain-text password
+ * @param {string} newPassword - New plain-text password
+ * @param {string} ipAddress - Client IP address, for the audit entry
+ * @returns {Promise<"changed"|"not-found"|"invalid-password">}
+ */
+const changePassword = async (
+  principal,
+  currentPassword,
+  newPassword,
+  ipAddress
+) => {
+  const { Model } = accounts[principal.type];
+  const user = await Model.findById(principal.id);
+  if (!user) return "not-found";
+
+  const isMatch = await bcrypt.compare(currentPassword, user.password || "");
+  if (!isMatch) return "invalid-password";
+
+  user.password = await hashPassword(newPassword);
+  await user.save();
+
+  await revokeAllSessions(
+    principal.type,
+    user._id,
+    "password-change",
+    principal.sessionID
+  );
+  await recordAudit({
+    action: "password.change",
+    actorType: principal.type,
+    actorID: user._id,
+    targetType: principal.type,
+    targetID: user._id,
+    ipAddress,
+  });
+
+  return "changed";
+};
+
+module.exports = {
+  MIN_PASSWORD_LENGTH,
+  hashPassword,
+  isAcceptablePassword,
+  requestPasswordReset,
+  resetPassword,
+  changePassword,
+};
@@ -0,0 +1,308 @@
+const moment = require("moment");
+const { QueueEntry } = require("../model/QueueEntryModel");
+const { Sequence } = require("../model/SequenceModel");
+const { Ticket } = require("../model/TicketModel");
+const { TICKET_STATUS } = require("./ticketLifecycle");
+const {
+  referencePrefixOf,
+  nextTicketReference,
+} = require("./ticketReferenceService");
+const { recordTicketHistory, diffTicket } = require("./ticketHistoryService");
+
+// Walk-in queue: numbers are issued per department per day, called in
+// order, and end up served or skipped. Served walk-ins are recorded as
+// completed tickets so reports and dashboards count them.
+
+const QUEUE_STATUS = {
+  WAITING: "waiting",
+  CALLED: "called",
+  SERVED: "served",
+  SKIPPED: "skipped",
+};
+
+// Used until a department has served anyone
+const DEFAULT_SERVICE_MINUTES = 10;
+// Recent walk-ins the average service time is taken over
+const SERVICE_TIME_SAMPLE = 50;
+// Staff who called someone this recently count as serving the queue
+const ACTIVE_SERVER_MINUTES = 60;
+
+const DUPLICATE_KEY = 11000;
+
+const queueDateOf = (now) => moment(now).format("YYYY-MM-DD");
+
+/**
+ * Average minutes from calling a walk-in to finishing with them
+ * @param {string} departmentID
+ * @returns {Promise<number>}
+ */
+const averageServiceMinutes = async (departmentID) => {
+  const served = await QueueEntry.find({
+    departmentID,
+    status: QUEUE_STATUS.SERVED,
+    calledAt: { $ne: null },
+  })
+    .sort({ finishedAt: -1 })
+    .limit(SERVICE_TIME_SAMPLE)
+    .select("calledAt finishedAt")
+    .lean();
+  if (!served.length) return DEFAULT_SERVICE_MINUTES;
+
+  const total = served.reduce(
+    (sum, entry) => sum + (entry.finishedAt - entry.calledAt),
+    0
+  );
+  return total / served.length / 60000;
+};
+
+/**
+ * Estimate how long someone with a number of people ahead will wait,
+ * spreading the queue over the staff currently calling from it
+ * @param {Object} department - Department document
+ * @param {number} ahead - People waiting in front
+ * @param {Date} now
+ * @returns {Promise<Object>} - { estimatedWaitMinutes, averageServiceMinutes, servers }
+ */
+const estimateWait = async (department, ahead, now) => {
+  const [average, servers] = await Promise.all([
+    averageServiceMinutes(department._id),
+    QueueEntry.distinct("staffID", {
+      departmentID: department._id,
+      calledAt: { $gte: new Date(now - ACTIVE_SERVER_MINUTES * 60000) },
+    }),
+  ]);
+  const serverCount = Math.max(servers.length, 1);
+  return {
+    estimatedWaitMinutes: Math.round((ahead * average) / serverCount),
+    averageServiceMinutes: Math.round(average),
+    servers: serverCount,
+  };
+};
+
+const waitingAhead = (entry) =>
+  QueueEntry.countDocuments({
+    departmentID: entry.departmentID,
+    queueDate: entry.queueDate,
+    status: QUEUE_STATUS.WAITING,
+    number: { $lt: entry.number },
+  });
+
+/**
+ * Give a walk-in the next number in a department's queue for today
+ * @param {Object} department - Department document
+ * @param {Object} walkIn - { customerID, name, issueDescription }
+ * @param {Date} [now]
+ * @returns {Promise<Object>} - { entry, ahead, estimatedWaitMinutes }, or
+ *   { duplicate } with the customer's number still in the queue
+ */
+const issueNumber = async (department, walkIn, now = new Date()) => {
+  const queueDate = queueDateOf(now);
+  // One place in line per customer, so nobody can crowd out the queue
+  const findDuplicate = () =>
+    QueueEntry.findOne({
+      departmentID: department._id,
+      queueDate,
+      customerID: walkIn.customerID,
+      status: { $in: [QUEUE_STATUS.WAITING, QUEUE_STATUS.CALLED] },
+    });
+  if (walkIn.customerID) {
+    const duplicate = await findDuplicate();
+    if (duplicate) return { duplicate };
+  }
+
+  const { value } = await Sequence.findOneAndUpdate(
+    { _id: `queue:${department._id}:${queueDate}` },
+    { $inc: { value: 1 } },
+    { upsert: true, new: true }
+  );
+
+  const padded = String(value).padStart(3, "0");
+  const token = `${referencePrefixOf(department)}-${padded}`;
+  let entry;
+  try {
+    entry = await QueueEntry.create({
+      ...walkIn,
+      departmentID: department._id,
+      queueDate,
+      number: value,
+      token,
+      issuedAt: now,
+    });
+  } catch (err) {
+    // A parallel request got the customer a number first; the one just
+    // drawn goes unused
+    if (err.code !== DUPLICATE_KEY || !walkIn.customerID) throw err;
+    const duplicate = await findDuplicate();
+    if (!duplicate) throw err;
+    return { duplicate };
+  }
+
+  const ahead = await waitingAhead(entry);
+  const { estimatedWaitMinutes } = await estimateWait(department, ahead, now);
+  return { entry, ahead, estimatedWaitMinutes };
+};
+
+/**
+ * Call the longest-waiting walk-in to a staff member
+ * @param {Object} department - Department document
+ * @param {Object} staff - req.user of the staff member
+ * @param {string} [counterID] - Counter the walk-in should go to
+ * @param {Date} [now]
+ * @returns {Promise<Object|null>} - The entry, or null if nobody is waiting
+ */
+const callNext = (department, staff, counterID, now = new Date()) =>
+  QueueEntry.findOneAndUpdate(
+    {
+      departmentID: department._id,
+      queueDate: queueDateOf(now),
+      status: QUEUE_STATUS.WAITING,
+    },
+    {
+      $set: {
+        status: QUEUE_STATUS.CALLED,
+        calledAt: now,
+        staffID: staff.id,
+        ...(counterID && { counterID }),
+      },
+    },
+    { sort: { number: 1 }, new: true }
+  );
+
+/**
+ * Record that a called walk-in has been served, and file a completed
+ * ticket for them
+ * @param {Object} department - Department document
+ * @param {string} entryID - Queue entry
+ * @param {Object} staff - req.user of the staff member
+ * @param {Date} [now]
+ * @returns {Promise<Object|null>} - { entry, ticket }, or null if the entry
+ *   is not waiting at a counter
+ */
+const markServed = async (department, entryID, staff, now = new Date()) => {
+  // Moving the entry on first means only one request files its ticket
+  const entry = await QueueEntry.findOneAndUpdate(
+    {
+      _id: entryID,
+      departmentID: department._id,
+      status: QUEUE_STATUS.CALLED,
+    },
+    { $set: { status: QUEUE_STATUS.SERVED, finishedAt: now } },
+    { new: true }
+  );
+  if (!entry) return null;
+
+  const served = moment(entry.calledAt);
+  const ticket = new Ticket({
+    source: "walk-in",
+    customerID: entry.customerID,
+    departmentID: department._id,
+    staffID: entry.staffID || staff.id,
+    counterID: entry.counterID,
+    issueDescription: entry.issueDescription || `Walk-in ${entry.token}`,
+    status: TICKET_STATUS.COMPLETED,
+    createdDate: entry.issuedAt,
+    appointmentDateTime: served.toDate(),
+    appointmentDate: served.clone().startOf("day").toDate(),
+    appointmentTime: served.format("HH:mm:ss"),
+    closedDate: now,
+  });
+  // Put the entry back if its ticket can't be filed, so serving it can be
+  // tried again
+  try {
+    ticket.reference = await nextTicketReference(department, entry.issuedAt);
+    await ticket.save();
+  } catch (err) {
+    await QueueEntry.updateOne(
+      { _id: entry._id },
+      { $set: { status: QUEUE_STATUS.CALLED }, $unset: { finishedAt: 1 } }
+    );
+    throw err;
+  }
+  await recordTicketHistory({
+    ticketID: ticket._id,
+    actor: staff,
+    action: "created",
+    changes: diffTicket(null, ticket),
+  });
+
+  entry.ticketID = ticket._id;
+  await entry.save();
+  return { entry, ticket };
+};
+
+/**
+ * Take a walk-in who did not come forward out of the queue
+ * @param {Object} department - Department document
+ * @param {string} entryID - Queue entry
+ * @param {Object} staff - req.user of the staff member
+ * @param {Date} [now]
+ * @returns {Promise<Object|null>} - The entry, or null if it was already finished
+ */
+const markSkipped = (department, entryID, staff, now = new Date()) =>
+  QueueEntry.findOneAndUpdate(
+    {
+      _id: entryID,
+      departmentID: department._id,
+      status: { $in: [QUEUE_STATUS.WAITING, QUEUE_STATUS.CALLED] },
+    },
+    {
+      $set: {
+        status: QUEUE_STATUS.SKIPPED,
+        finishedAt: now,
+        staffID: staff.id,
+      },
+    },
+    { new: true }
+  );
+
+/**
+ * What a lobby display shows: who is being served where, who is next, and
+ * how long a new arrival should expect to wait. Only tokens are shown.
+ * @param {Object} department - Department document
+ * @param {Date} [now]
+ * @returns {Promise<Object>}
+ */
+const getQueueStatus = async (department, now = new Date()) => {
+  const today = { departmentID: department._id, queueDate: queueDateOf(now) };
+  const [called, waiting, waitingCount] = await Promise.all([
+    QueueEntry.find({ ...today, status: QUEUE_STATUS.CALLED })
+      .sort({ calledAt: -1 })
+      .limit(10)
+      .select("token counterID calledAt")
+      .lean(),
+    QueueEntry.find({ ...today, status: QUEUE_STATUS.WAITING })
+      .sort({ number: 1 })
+      .limit(10)
+      .select("token")
+      .lean(),
+    QueueEntry.countDocuments({ ...today, status: QUEUE_STATUS.WAITING }),
+  ]);
+
+  const counterName = (counterID) => {
+    const counter = counterID && department.counters.id(counterID);
+    return counter ? counter.name : null;
+  };
+
+  return {
+    departmentID: department._id,
+    departmentName: department.departmentName,
+    date: today.queueDate,
+    nowServing: called.map(({ token, counterID, calledAt }) => ({
+      token,
+      counter: counterName(counterID),
+      calledAt,
+    })),
+    nextUp: waiting.map(({ token }) => token),
+    waiting: waitingCount,
+    ...(await estimateWait(department, waitingCount, now)),
+  };
+};
+
+module.exports = {
+  QUEUE_STATUS,
+  issueNumber,
+  callNext,
+  markServed,
+  markSkipped,
+  getQueueStatus,
+};
@@ -0,0 +1,119 @@
+const moment = require("moment");
+const { Ticket } = require("../model/TicketModel");
+const { SentReminder } = require("../model/SentReminderModel");
+// Registered for populate()
+require("../model/CustomerModel");
+require("../model/DepartmentModel");
+const { TICKET_STATUS } = require("./ticketLifecycle");
+const { sendAppointmentReminderEmail } = require("./emailService");
+
+const DUPLICATE_KEY = 11000;
+
+// How long before an appointment reminders go out, e.g. "24,2" for a day
+// and two hours before
+const parseOffsets = (hours) =>
+  String(hours)
+    .split(",")
+    .map(Number)
+    .filter((value) => value > 0)
+    .map((value) => Math.round(value * 60));
+
+const REMINDER_OFFSETS_MINUTES = parseOffsets(
+  process.env.REMINDER_OFFSETS_HOURS || "24,2"
+);
+const REMINDER_INTERVAL_MS =
+  (Number(process.env.REMINDER_INTERVAL_SECONDS) || 60) * 1000;
+
+// Appointments that are still going ahead
+const REMINDED_STATUSES = [TICKET_STATUS.PENDING, TICKET_STATUS.APPROVED];
+
+/**
+ * The reminder a ticket is due, if any: the one closest to the appointment
+ * whose time has come. Reminders due before the ticket was booked are
+ * skipped, so a late booking gets one reminder rather than several at once.
+ * @returns {number|null} - Offset in minutes
+ */
+const dueOffset = (ticket, offsets, now) => {
+  const appointment = ticket.appointmentDateTime.getTime();
+  const booked = ticket.createdDate ? ticket.createdDate.getTime() : 0;
+  const due = offsets.filter((offset) => {
+    const remindAt = appointment - offset * 60 * 1000;
+    return remindAt <= now.getTime() && remindAt >= booked;
+  });
+  return due.length ? Math.min(...due) : null;
+};
+
+/**
+ * Send the reminders that have come due. Each reminder is recorded before
+ * it is sent, so it goes out at most once; one that fails to send is
+ * forgotten again and retried on the next run.
+ * @param {Date} [now] - Current time
+ * @param {Object} [options]
+ * @param {number[]} [options.offsets] - Minutes before the appointment
+ * @param {Function} [options.sendReminder] - (to, details) => Promise
+ * @returns {Promise<number>} - Reminders sent
+ */
+const sendDueReminders = async (
+  now = new Date(),
+  {
+    offsets = REMINDER_OFFSETS_MINUTES,
+    sendReminder = sendAppointmentReminderEmail,
+  } = {}
+) => {
+  if (!offsets.length) return 0;
+
+  const horizon = new Date(now.getTime() + Math.max(...offsets) * 60 * 1000);
+  const tickets = await Ticket.find({
+    status: { $in: REMINDED_STATUSES },
+    appointmentDateTime: { $gt: now, $lte: horizon },
+  })
+    .select("customerID departmentID reference appointmentDateTime createdDate")
+    .populate("customerID", "firstName emailAddress")
+    .populate("departmentID", "departmentName")
+    .lean();
+
+  let sent = 0;
+  for (const ticket of tickets) {
+    const offset = dueOffset(ticket, offsets, now);
+    const customer = ticket.customerID;
+    if (offset === null || !customer || !customer.emailAddress) continue;
+
+    const reminder = {
+      ticketID: ticket._id,
+      appointmentDateTime: ticket.appointmentDateTime,
+      offsetMinutes: offset,
+    };
+    try {
+      await SentReminder.create(reminder);
+    } catch (err) {
+      if (err.code === DUPLICATE_KEY) continue;
+      throw err;
+    }
+
+    const appointment = moment(ticket.appointmentDateTime);
+    try {
+      await sendReminder(customer.emailAddress, {
+        id: String(ticket._id),
+        reference: ticket.reference || String(ticket._id),
+        name: customer.firstName,
+        department: ticket.departmentID
+          ? ticket.departmentID.departmentName
+          : "",
+        date: appointment.format("YYYY-MM-DD"),
+        time: appointment.format("HH:mm"),
+      });
+      sent++;
+    } catch (error) {
+      console.error("Error sending appointment reminder:", error);
+      await SentReminder.deleteOne(reminder);
+    }
+  }
+  return sent;
+};
+
+module.exports = {
+  REMINDER_OFFSETS_MINUTES,
+  REMINDER_INTERVAL_MS,
+  parseOffsets,
+  sendDueReminders,
+};
@@ -0,0 +1,290 @@
+const crypto = require("crypto");
+const { SlotReservation } = require("../model/SlotReservationModel");
+const { getSlotAvailability, bookingSlots } = require("./availabilityService");
+
+// How long a slot is held while a booking form is filled in
+const HOLD_MINUTES = Number(process.env.SLOT_HOLD_MINUTES) || 10;
+// Holds one account may have at once, so nobody can sit on a day's slots
+const MAX_ACTIVE_HOLDS = Number(process.env.MAX_ACTIVE_HOLDS) || 3;
+
+const DUPLICATE_KEY = 11000;
+
+/**
+ * Take one free seat of a resource's slot. Inserting relies on the unique
+ * index, so two requests can never take the same seat; a seat whose hold
+ * has expired is taken over in a single update.
+ * @returns {Promise<Object|null>} - The reservation, or null if every seat is taken
+ */
+const claimSeat = async (resource, slot, capacity, holder) => {
+  for (let seat = 0; seat < capacity; seat++) {
+    try {
+      return await SlotReservation.create({ resource, slot, seat, ...holder });
+    } catch (err) {
+      if (err.code !== DUPLICATE_KEY) throw err;
+    }
+
+    const takenOver = await SlotReservation.findOneAndUpdate(
+      { resource, slot, seat, expiresAt: { $lte: new Date() } },
+      {
+        $set: {
+          ticketID: null,
+          holdID: null,
+          ...holder,
+          createdAt: new Date(),
+        },
+      },
+      { new: true }
+    );
+    if (takenOver) return takenOver;
+  }
+  return null;
+};
+
+// Give back seats taken for a claim that did not go through
+const giveBack = (taken) =>
+  SlotReservation.deleteMany({ _id: { $in: taken.map(({ _id }) => _id) } });
+
+/**
+ * Check a slot and take a seat on every limit that applies to it, all or
+ * nothing. A ticket that already has a seat on a resource at this slot
+ * keeps it rather than taking a second one.
+ * @param {Object} booking - { departmentID, counterID, staffID, slot }
+ * @param {Object} holder - Fields stored on each reservation
+ * @returns {Promise<Object>} - { reservations, taken } where taken are the
+ *   newly claimed ones, { full }, { outsideHours } or { error }
+ */
+const claimSlot = async (booking, holder) => {
+  const availability = await getSlotAvailability({
+    ...booking,
+    excludeTicketID: holder.ticketID,
+  });
+  if (availability.error || availability.outsideHours) return availability;
+  if (availability.remaining === 0) return { full: true };
+
+  const reservations = [];
+  const taken = [];
+  for (const { resource, capacity } of availability.limits) {
+    const kept =
+      holder.ticketID &&
+      (await SlotReservation.findOne({
+        resource,
+        slot: booking.slot,
+        ticketID: holder.ticketID,
+        expiresAt: null,
+      }));
+    const reservation =
+      kept || (await claimSeat(resource, booking.slot, capacity, holder));
+
+    if (!reservation) {
+      // Give back the seats taken so far, but not ones the ticket already had
+      await giveBack(taken);
+      return { full: true };
+    }
+    if (!kept) taken.push(reservation);
+    reservations.push(reservation);
+  }
+
+  return { reservations, taken };
+};
+
+/**
+ * Take seats on every slot a booking covers, all or nothing
+ * @param {Object} booking - { departmentID, counterID, staffID, slot, slotCount }
+ * @param {Object} holder - Fields stored on each reservation
+ * @returns {Promise<Object>} - As claimSlot, with the slot that failed as
+ *   failedSlot
+ */
+const claimBooking = async (booking, holder) => {
+  const reservations = [];
+  const taken = [];
+  for (const slot of await bookingSlots(booking)) {
+    const claimed = await claimSlot({ ...booking, slot }, holder);
+    if (!claimed.reservations) {
+      await giveBack(taken);
+      return { ...claimed, failedSlot: slot };
+    }
+    reservations.push(...claimed.reservations);
+    taken.push(...claimed.taken);
+  }
+  return { reservations, taken };
+};
+
+// How many different holds a holder has that have not expired
+const activeHoldCount = async (holderID) => {
+  const held = await SlotReservation.find({
+    holderID,
+    ticketID: null,
+    expiresAt: { $gt: new Date() },
+  })
+    .select("holdID")
+    .lean();
+  return new Set(held.map(({ holdID }) => holdID)).size;
+};
+
+/**
+ * Hold a slot for a few minutes while a customer fills in the booking form
+ * @param {Object} booking - { departmentID, counterID, staffID, slot, slotCount }
+ * @param {string} holderID - Customer or staff member placing the hold
+ * @param {number} [minutes] - How long the hold lasts
+ * @param {number|null} [maxHolds] - Active holds the holder may have,
+ *   including this one; null for no limit
+ * @returns {Promise<Object>} - { holdID, expiresAt }, { full },
+ *   { outsideHours }, { error } or { holdLimit } with the limit reached
+ */
+const holdSlot = async (
+  booking,
+  holderID,
+  minutes = HOLD_MINUTES,
+  maxHolds = MAX_ACTIVE_HOLDS
+) => {
+  if (maxHolds && (await activeHoldCount(holderID)) >= maxHolds) {
+    return { holdLimit: maxHolds };
+  }
+
+  const holdID = crypto.randomBytes(16).toString("hex");
+  const expiresAt = new Date(Date.now() + minutes * 60 * 1000);
+
+  const claimed = await claimBooking(booking, { holdID, holderID, expiresAt });
+  if (!claimed.reservations) return claimed;
+
+  // Counted again once the seats are taken, so parallel requests can't slip
+  // past the limit together
+  if (maxHolds && (await activeHoldCount(holderID)) > maxHolds) {
+    await releaseHold(holdID, holderID);
+    return { holdLimit: maxHolds };
+  }
+  return { holdID, expiresAt };
+};
+
+// Resources a booking takes a seat on, as keyed by availabilityService
+const resourcesFor = ({ departmentID, counterID, staffID }) =>
+  [
+    `department:${departmentID}`,
+    counterID && `counter:${counterID}`,
+    staffID && `staff:${staffID}`,
+  ].filter(Boolean);
+
+/**
+ * Turn a hold into the seats of a ticket
+ * @param {string} holdID - Hold from holdSlot
+ * @param {string} holderID - Must be whoever placed the hold
+ * @param {Object} booking - { departmentID, counterID, staffID, slot, slotCount }; must match the hold
+ * @param {string} ticketID - Ticket the seats now belong to
+ * @returns {Promise<boolean>} - false if the hold is unknown, expired or for another booking
+ */
+const confirmHold = async (holdID, holderID, booking, ticketID) => {
+  const slots = await bookingSlots(booking);
+  const expected = new Set(
+    slots.flatMap((slot) =>
+      resourcesFor(booking).map((resource) => `${resource}@${slot.getTime()}`)
+    )
+  );
+  const filter = {
+    holdID,
+    holderID,
+    slot: { $in: slots },
+    ticketID: null,
+    expiresAt: { $gt: new Date() },
+  };
+  const held = await SlotReservation.find(filter)
+    .select("resource slot")
+    .lean();
+  const matches =
+    held.length === expected.size &&
+    held.every(({ resource, slot }) =>
+      expected.has(`${resource}@${slot.getTime()}`)
+    );
+  if (!matches) return false;
+
+  const { modifiedCount } = await SlotReservation.updateMany(filter, {
+    $set: { ticketID, expiresAt: null },
+  });
+  if (modifiedCount === held.length) return true;
+
+  // Part of the hold expired and was taken over in between
+  await releaseTicket(ticketID);
+  return false;
+};
+
+/**
+ * Give up a hold before it expires
+ * @param {string} holdID - Hold from holdSlot
+ * @param {string} holderID - Must be whoever placed the hold
+ * @returns {Promise<boolean>} - false if there was no such hold
+ */
+const releaseHold = async (holdID, holderID) => {
+  const { deletedCount } = await SlotReservation.deleteMany({
+    holdID,
+    holderID,
+    ticketID: null,
+  });
+  return deletedCount > 0;
+};
+
+// Give back a ticket's seats other than the ones it has just secured
+const keepOnly = (ticketID, reservations) =>
+  SlotReservation.deleteMany({
+    ticketID,
+    _id: { $nin: reservations.map((reservation) => reservation._id) },
+  });
+
+/**
+ * Take the seats for a ticket's slot. When the ticket already had seats,
+ * for a reschedule or a change of counter or staff member, the seats it no
+ * longer needs are given back once the new ones are secured.
+ * @param {Object} booking - { departmentID, counterID, staffID, slot, slotCount }
+ * @param {string} ticketID - Ticket the seats belong to
+ * @returns {Promise<Object>} - { reservations }, { full }, { outsideHours } or { error }
+ */
+const reserveForTicket = async (booking, ticketID) => {
+  const claimed = await claimBooking(booking, { ticketID, expiresAt: null });
+  if (!claimed.reservations) return claimed;
+
+  await keepOnly(ticketID, claimed.reservations);
+  return claimed;
+};
+
+/**
+ * Take the seats for several tickets at once, all or nothing, e.g. every
+ * visit of a recurring series. Old seats are given back only once every
+ * ticket's new ones are secured.
+ * @param {Object[]} entries - [{ booking, ticketID }]
+ * @returns {Promise<Object>} - { reservations }, or the refusal of the first
+ *   booking that failed with its position as failedIndex
+ */
+const reserveForTickets = async (entries) => {
+  const claims = [];
+  for (const [index, { booking, ticketID }] of entries.entries()) {
+    const claimed = await claimBooking(booking, { ticketID, expiresAt: null });
+    if (!claimed.reservations) {
+      await giveBack(claims.flatMap(({ taken }) => taken));
+      return { ...claimed, failedIndex: index };
+    }
+    claims.push(claimed);
+  }
+
+  for (const [index, { ticketID }] of entries.entries()) {
+    await keepOnly(ticketID, claims[index].reservations);
+  }
+  return { reservations: claims.flatMap(({ reservations }) => reservations) };
+};
+
+/**
+ * Free every seat of a ticket, when it is rejected or deleted
+ * @param {string} ticketID - Ticket whose seats are freed
+ * @returns {Promise<void>}
+ */
+const releaseTicket = async (ticketID) => {
+  await SlotReservation.deleteMany({ ticketID });
+};
+
+module.exports = {
+  HOLD_MINUTES,
+  MAX_ACTIVE_HOLDS,
+  holdSlot,
+  confirmHold,
+  releaseHold,
+  reserveForTicket,
+  reserveForTickets,
+  releaseTicket,
+};
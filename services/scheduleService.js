@@ -0,0 +1,220 @@
+const moment = require("moment");
+const { getSetting, setSetting } = require("./settingsService");
+
+const WEEKDAYS = [
+  "sunday",
+  "monday",
+  "tuesday",
+  "wednesday",
+  "thursday",
+  "friday",
+  "saturday",
+];
+const DEFAULT_SLOT_MINUTES = 30;
+// Longest block of back-to-back slots one appointment may take
+const MAX_SLOTS_PER_BOOKING = 8;
+const PUBLIC_HOLIDAYS_SETTING = "calendar.publicHolidays";
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+};
+
+const fromMinutes = (total) =>
+  `${String(Math.floor(total / 60)).padStart(2, "0")}:${String(
+    total % 60
+  ).padStart(2, "0")}`;
+
+/**
+ * Whether a department has published structured opening hours. Departments
+ * without one still only have the free-text operatingHours and are not
+ * checked.
+ * @param {Object} department - Department document
+ * @returns {boolean}
+ */
+const hasSchedule = (department) =>
+  Boolean(
+    department.schedule &&
+      department.schedule.weekly &&
+      department.schedule.weekly.length
+  );
+
+/**
+ * Find what is wrong with a schedule
+ * @param {Object} schedule - Schedule as sent by the client
+ * @returns {string|null} - A message, or null if the schedule is consistent
+ */
+const scheduleProblem = (schedule) => {
+  const seen = new Set();
+  for (const { day, open, close, breaks = [] } of schedule.weekly || []) {
+    if (seen.has(day)) return `${day} is listed more than once`;
+    seen.add(day);
+    if (toMinutes(open) >= toMinutes(close)) {
+      return `${day} must open before it closes`;
+    }
+    for (const { start, end } of breaks) {
+      if (toMinutes(start) >= toMinutes(end)) {
+        return `breaks on ${day} must start before they end`;
+      }
+      if (
+        toMinutes(start) < toMinutes(open) ||
+        toMinutes(end) > toMinutes(close)
+      ) {
+        return `breaks on ${day} must fall within opening hours`;
+      }
+    }
+  }
+  return null;
+};
+
+/**
+ * Public holidays, when every department is closed
+ * @returns {Promise<Object[]>} - [{ date: "YYYY-MM-DD", name }]
+ */
+const getPublicHolidays = () => getSetting(PUBLIC_HOLIDAYS_SETTING, []);
+
+/**
+ * Replace the list of public holidays
+ * @param {Object[]} holidays - [{ date: "YYYY-MM-DD", name }]
+ * @param {string} updatedBy - Admin making the change
+ * @returns {Promise<Object[]>}
+ */
+const setPublicHolidays = (holidays, updatedBy) =>
+  setSetting(
+    PUBLIC_HOLIDAYS_SETTING,
+    [...holidays].sort((a, b) => a.date.localeCompare(b.date)),
+    updatedBy
+  );
+
+/**
+ * Why a department is closed for the whole of a date, if it is
+ * @param {Object} department - Department document with a schedule
+ * @param {string} date - YYYY-MM-DD
+ * @param {Object[]} holidays - From getPublicHolidays
+ * @returns {string|null}
+ */
+const closureReason = (department, date, holidays) => {
+  const holiday = holidays.find((entry) => entry.date === date);
+  if (holiday) return `Closed for ${holiday.name}`;
+
+  const closure = (department.schedule.closures || []).find(
+    (entry) => entry.date === date
+  );
+  if (closure) return `Closed${closure.reason ? `: ${closure.reason}` : ""}`;
+
+  return null;
+};
+
+/**
+ * Start times of every slot the department offers on a weekday, ignoring
+ * closures. A slot must fit before closing and must not overlap a break.
+ * @param {Object} department - Department document with a schedule
+ * @param {string} date - YYYY-MM-DD
+ * @returns {string[]} - HH:mm start times
+ */
+const slotTimes = (department, date) => {
+  const { weekly, slotMinutes = DEFAULT_SLOT_MINUTES } = department.schedule;
+  const day = WEEKDAYS[moment(date, "YYYY-MM-DD").day()];
+  const hours = weekly.find((entry) => entry.day === day);
+  if (!hours) return [];
+
+  const close = toMinutes(hours.close);
+  const breaks = (hours.breaks || []).map(({ start, end }) => [
+    toMinutes(start),
+    toMinutes(end),
+  ]);
+
+  const times = [];
+  for (
+    let start = toMinutes(hours.open);
+    start + slotMinutes <= close;
+    start += slotMinutes
+  ) {
+    const end = start + slotMinutes;
+    const inBreak = breaks.some(
+      ([breakStart, breakEnd]) => start < breakEnd && end > breakStart
+    );
+    if (!inBreak) times.push(fromMinutes(start));
+  }
+  return times;
+};
+
+/**
+ * Check that an appointment starts on one of the department's slots
+ * @param {Object} department - Department document
+ * @param {Date} slot - Requested start time
+ * @returns {Promise<string|null>} - Why the time cannot be booked, or null
+ */
+const checkOpeningHours = async (department, slot) => {
+  if (!hasSchedule(department)) return null;
+
+  const requested = moment(slot);
+  const date = requested.format("YYYY-MM-DD");
+
+  const closed = closureReason(department, date, await getPublicHolidays());
+  if (closed) return `The department is closed on this date (${closed})`;
+
+  if (!slotTimes(department, date).includes(requested.format("HH:mm"))) {
+    return "The requested time is outside the department's opening hours";
+  }
+  return null;
+};
+
+/**
+ * Start times of a block of back-to-back slots, for appointments longer
+ * than one slot
+ * @param {Object} department - Department document
+ * @param {Date} start - Start of the first slot
+ * @param {number} [count] - Slots in the block
+ * @returns {Date[]}
+ */
+const consecutiveSlots = (department, start, count = 1) => {
+  const slotMinutes =
+    (department.schedule && department.schedule.slotMinutes) ||
+    DEFAULT_SLOT_MINUTES;
+  return Array.from({ length: count }, (_, index) =>
+    moment(start)
+      .add(index * slotMinutes, "minutes")
+      .toDate()
+  );
+};
+
+/**
+ * Every slot a department offers between two dates, inclusive
+ * @param {Object} department - Department document with a schedule
+ * @param {string} from - YYYY-MM-DD
+ * @param {string} to - YYYY-MM-DD
+ * @returns {Promise<Object[]>} - [{ date, closed?, times: ["HH:mm"] }]
+ */
+const listSlotTimes = async (department, from, to) => {
+  const holidays = await getPublicHolidays();
+  const days = [];
+
+  for (
+    let day = moment(from, "YYYY-MM-DD");
+    !day.isAfter(moment(to, "YYYY-MM-DD"));
+    day.add(1, "day")
+  ) {
+    const date = day.format("YYYY-MM-DD");
+    const closed = closureReason(department, date, holidays);
+    days.push(
+      closed
+        ? { date, closed, times: [] }
+        : { date, times: slotTimes(department, date) }
+    );
+  }
+  return days;
+};
+
+module.exports = {
+  WEEKDAYS,
+  DEFAULT_SLOT_MINUTES,
+  MAX_SLOTS_PER_BOOKING,
+  hasSchedule,
+  scheduleProblem,
+  getPublicHolidays,
+  setPublicHolidays,
+  checkOpeningHours,
+  consecutiveSlots,
+  listSlotTimes,
+};
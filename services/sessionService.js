@@ -0,0 +1,140 @@
+const crypto = require("crypto");
+const { Session } = require("../model/SessionModel");
+
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 7;
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+const newRefreshToken = () => crypto.randomBytes(48).toString("hex");
+
+const refreshExpiry = () =>
+  new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+/**
+ * Start a new session for a principal
+ * @param {Object} principal - Principal built by authService
+ * @param {Object} req - Express request, used for the user agent and IP
+ * @returns {Promise<{session: Object, refreshToken: string}>}
+ */
+const createSession = async (principal, req) => {
+  const refreshToken = newRefreshToken();
+  const session = await Session.create({
+    userID: principal.id,
+    userType: principal.type,
+    tokenHash: hashToken(refreshToken),
+    userAgent: req.get("user-agent"),
+    ipAddress: req.ip,
+    expiresAt: refreshExpiry(),
+  });
+
+  return { session, refreshToken };
+};
+
+/**
+ * Exchange a refresh token for a new one. The presented token is consumed;
+ * presenting an already rotated token revokes the whole session, since it
+ * means the token was copied.
+ * @param {string} refreshToken - Refresh token issued by createSession or a previous rotation
+ * @returns {Promise<{session: Object, refreshToken: string} | null>} - null if the token is not usable
+ */
+const rotateSession = async (refreshToken) => {
+  const tokenHash = hashToken(refreshToken);
+  const nextToken = newRefreshToken();
+  const now = new Date();
+
+  const session = await Session.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      $set: {
+        tokenHash: hashToken(nextToken),
+        previousTokenHash: tokenHash,
+        lastUsedAt: now,
+        expiresAt: refreshExpiry(),
+      },
+    },
+    { new: true }
+  );
+
+  if (session) return { session, refreshToken: nextToken };
+
+  // Reuse of a rotated token: treat the session as compromised
+  await Session.updateOne(
+    { previousTokenHash: tokenHash, revokedAt: null },
+    { $set: { revokedAt: now, revokedReason: "reuse" } }
+  );
+  return null;
+};
+
+/**
+ * Check whether a session is still active
+ * @param {string} sessionID - Session ID
+ * @returns {Promise<boolean>}
+ */
+const isSessionActive = async (sessionID) => {
+  const session = await Session.exists({
+    _id: sessionID,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+  return Boolean(session);
+};
+
+/**
+ * Revoke one session belonging to a user
+ * @param {string} userType - "customer" or "staff"
+ * @param {string} userID - Owner of the session
+ * @param {string} sessionID - Session to revoke
+ * @returns {Promise<boolean>} - false if no such active session
+ */
+const revokeSession = async (userType, userID, sessionID) => {
+  const result = await Session.updateOne(
+    { _id: sessionID, userType, userID, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: "logout" } }
+  );
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Revoke every active session of a user
+ * @param {string} userType - "customer" or "staff"
+ * @param {string} userID - User whose sessions are revoked
+ * @param {string} reason - Recorded on each session, e.g. "logout-all" or "password-change"
+ * @param {string} [exceptSessionID] - Session to keep, usually the caller's own
+ * @returns {Promise<number>} - Number of sessions revoked
+ */
+const revokeAllSessions = async (userType, userID, reason, exceptSessionID) => {
+  const filter = { userType, userID, revokedAt: null };
+  if (exceptSessionID) filter._id = { $ne: exceptSessionID };
+
+  const result = await Session.updateMany(filter, {
+    $set: { revokedAt: new Date(), revokedReason: reason },
+  });
+  return result.modifiedCount;
+};
+
+/**
+ * List the active sessions of a user, most recently used first
+ * @param {string} userType - "customer" or "staff"
+ * @param {string} userID - Owner of the sessions
+ * @returns {Promise<Object[]>}
+ */
+const listActiveSessions = (userType, userID) =>
+  Session.find({
+    userType,
+    userID,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  })
+    .select("userAgent ipAddress createdAt lastUsedAt expiresAt")
+    .sort({ lastUsedAt: -1 })
+    .lean();
+
+module.exports = {
+  createSession,
+  rotateSession,
+  isSessionActive,
+  revokeSession,
+  revokeAllSessions,
+  listActiveSessions,
+};
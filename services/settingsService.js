@@ -0,0 +1,30 @@
+const { Setting } = require("../model/SettingModel");
+
+/**
+ * Read a setting
+ * @param {string} key - Setting key
+ * @param {*} defaultValue - Returned when the setting has never been saved
+ * @returns {Promise<*>}
+ */
+const getSetting = async (key, defaultValue) => {
+  const setting = await Setting.findOne({ key }).lean();
+  return setting ? setting.value : defaultValue;
+};
+
+/**
+ * Save a setting
+ * @param {string} key - Setting key
+ * @param {*} value - New value
+ * @param {string} updatedBy - Staff member making the change
+ * @returns {Promise<*>} - The saved value
+ */
+const setSetting = async (key, value, updatedBy) => {
+  await Setting.updateOne(
+    { key },
+    { $set: { value, updatedBy, updatedAt: new Date() } },
+    { upsert: true }
+  );
+  return value;
+};
+
+module.exports = { getSetting, setSetting };
@@ -0,0 +1,102 @@
+const { TICKET_STATUS, canTransition } = require("./ticketLifecycle");
+
+// A department's rules for customers moving or cancelling their own
+// appointments. Staff act for the office and are not held to them.
+const DEFAULT_MIN_NOTICE_HOURS = 24;
+const DEFAULT_MAX_RESCHEDULES = 2;
+
+// Only appointments that have not started can be moved
+const RESCHEDULABLE_STATUSES = [TICKET_STATUS.PENDING, TICKET_STATUS.APPROVED];
+
+/**
+ * A department's change rules, with defaults for anything it has not set
+ * @param {Object} department - Department document
+ * @returns {Object} - { minNoticeHours, maxReschedules }
+ */
+const changeRulesOf = (department) => {
+  const rules = (department && department.changeRules) || {};
+  return {
+    minNoticeHours:
+      typeof rules.minNoticeHours === "number"
+        ? rules.minNoticeHours
+        : DEFAULT_MIN_NOTICE_HOURS,
+    maxReschedules:
+      typeof rules.maxReschedules === "number"
+        ? rules.maxReschedules
+        : DEFAULT_MAX_RESCHEDULES,
+  };
+};
+
+const noticeProblem = (appointment, minNoticeHours, now, action) => {
+  const hoursLeft = (appointment - now) / (60 * 60 * 1000);
+  if (hoursLeft < minNoticeHours) {
+    return `Appointments can only be ${action} at least ${minNoticeHours} hours in advance`;
+  }
+  return null;
+};
+
+/**
+ * Why an appointment cannot be moved, or null if it can
+ * @param {Object} ticket - Ticket document
+ * @param {Date} appointment - The ticket's current appointment time
+ * @param {Date} newAppointment - Requested time
+ * @param {Object} department - The ticket's department
+ * @param {Object} user - req.user; the notice and count limits bind customers
+ * @param {Date} [now]
+ * @returns {string|null}
+ */
+const rescheduleProblem = (
+  ticket,
+  appointment,
+  newAppointment,
+  department,
+  user,
+  now = new Date()
+) => {
+  if (!RESCHEDULABLE_STATUSES.includes(ticket.status)) {
+    return `A ${ticket.status} ticket cannot be rescheduled`;
+  }
+  if (newAppointment <= now) {
+    return "The new appointment must be in the future";
+  }
+  if (user.type !== "customer") return null;
+
+  const { minNoticeHours, maxReschedules } = changeRulesOf(department);
+  if ((ticket.rescheduleCount || 0) >= maxReschedules) {
+    return `This appointment has already been rescheduled the maximum of ${maxReschedules} times`;
+  }
+  return noticeProblem(appointment, minNoticeHours, now, "rescheduled");
+};
+
+/**
+ * Why an appointment cannot be cancelled, or null if it can
+ * @param {Object} ticket - Ticket document
+ * @param {Date} appointment - The ticket's appointment time
+ * @param {Object} department - The ticket's department
+ * @param {Object} user - req.user; the notice limit binds customers
+ * @param {Date} [now]
+ * @returns {string|null}
+ */
+const cancellationProblem = (
+  ticket,
+  appointment,
+  department,
+  user,
+  now = new Date()
+) => {
+  if (!canTransition(ticket.status, TICKET_STATUS.CANCELLED)) {
+    return `A ${ticket.status} ticket cannot be cancelled`;
+  }
+  if (user.type !== "customer") return null;
+
+  const { minNoticeHours } = changeRulesOf(department);
+  return noticeProblem(appointment, minNoticeHours, now, "cancelled");
+};
+
+module.exports = {
+  DEFAULT_MIN_NOTICE_HOURS,
+  DEFAULT_MAX_RESCHEDULES,
+  changeRulesOf,
+  rescheduleProblem,
+  cancellationProblem,
+};
@@ -0,0 +1,124 @@
+const { TicketComment } = require("../model/TicketCommentModel");
+const { Customer } = require("../model/CustomerModel");
+const { Staff } = require("../model/StaffModel");
+const { Department } = require("../model/DepartmentModel");
+const { sendTicketCommentEmail } = require("./emailService");
+
+const CUSTOMER_APP_URL =
+  process.env.CUSTOMER_APP_URL || "https://user.tharuksha.com";
+const STAFF_APP_URL =
+  process.env.STAFF_APP_URL || "https://admin.tharuksha.com";
+
+const fullName = (person) =>
+  [person.firstName, person.lastName].filter(Boolean).join(" ");
+
+/**
+ * Who should hear about a new comment: the customer when staff reply
+ * publicly, and the assigned staff member (or the department, if nobody is
+ * assigned) when the customer writes. Internal comments notify nobody.
+ * @returns {Promise<Object|null>} - { email, name, appUrl }
+ */
+const recipientFor = async (ticket, comment) => {
+  if (comment.internal) return null;
+
+  if (comment.authorType === "staff") {
+    const customer = await Customer.findById(ticket.customerID).select(
+      "firstName lastName emailAddress"
+    );
+    return (
+      customer && {
+        email: customer.emailAddress,
+        name: customer.firstName,
+        appUrl: CUSTOMER_APP_URL,
+      }
+    );
+  }
+
+  if (ticket.staffID) {
+    const staff = await Staff.findById(ticket.staffID).select(
+      "firstName emailAddress"
+    );
+    if (staff) {
+      return {
+        email: staff.emailAddress,
+        name: staff.firstName,
+        appUrl: STAFF_APP_URL,
+      };
+    }
+  }
+
+  const department = await Department.findById(ticket.departmentID).select(
+    "departmentName emailAddress"
+  );
+  return (
+    department && {
+      email: department.emailAddress,
+      name: department.departmentName,
+      appUrl: STAFF_APP_URL,
+    }
+  );
+};
+
+/**
+ * Email the other party about a new comment. Failures are logged, never
+ * thrown, since the comment itself has already been saved.
+ */
+const notifyRecipient = async (ticket, comment, authorName) => {
+  try {
+    const recipient = await recipientFor(ticket, comment);
+    if (!recipient || !recipient.email) return;
+
+    await sendTicketCommentEmail(recipient.email, recipient.name, {
+      // Older tickets may predate references
+      reference: ticket.reference || String(ticket._id),
+      authorName,
+      body: comment.body,
+      ticketUrl: `${recipient.appUrl}/tickets/${ticket._id}`,
+    });
+  } catch (error) {
+    console.error("Error sending ticket comment notification:", error);
+  }
+};
+
+/**
+ * Add a comment to a ticket and notify the other party
+ * @param {Object} ticket - Ticket document
+ * @param {Object} author - req.user of the author
+ * @param {Object} input - { body, internal }
+ * @returns {Promise<Object>} - The comment
+ */
+const postComment = async (ticket, author, { body, internal = false }) => {
+  const comment = await TicketComment.create({
+    ticketID: ticket._id,
+    authorID: author.id,
+    authorType: author.type,
+    body,
+    internal: author.type === "staff" && internal,
+  });
+
+  const Model = author.type === "staff" ? Staff : Customer;
+  const person = await Model.findById(author.id).select("firstName lastName");
+  const authorName =
+    author.type === "staff"
+      ? `${person ? fullName(person) : "A staff member"} (Gov Hub)`
+      : (person && fullName(person)) || "The citizen";
+
+  await notifyRecipient(ticket, comment, authorName);
+  return comment;
+};
+
+/**
+ * A ticket's comments, oldest first
+ * @param {string} ticketID - Ticket
+ * @param {Object} viewer - req.user; customers do not see internal comments
+ * @returns {Promise<Object[]>}
+ */
+const listComments = (ticketID, viewer) =>
+  TicketComment.find({
+    ticketID,
+    ...(viewer.type === "customer" && { internal: false }),
+  })
+    .sort({ createdAt: 1 })
+    .lean();
+
+module.exports = { postComment, listComments };
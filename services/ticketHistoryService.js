@@ -0,0 +1,143 @@
+const { TicketHistory } = require("../model/TicketHistoryModel");
+const { STAFF_ONLY_FIELDS } = require("../serializers/ticketSerializer");
+
+// Ticket fields whose changes are recorded
+const TRACKED_FIELDS = [
+  "customerID",
+  "staffID",
+  "departmentID",
+  "counterID",
+  "issueDescription",
+  "appointmentReason",
+  "status",
+  "appointmentDateTime",
+  "notes",
+  "feedback",
+  "rejectionReason",
+  "cancellationReason",
+  "closedDate",
+  "checkedInAt",
+];
+
+const EMPTY_SNAPSHOT = Object.fromEntries(
+  TRACKED_FIELDS.map((field) => [field, null])
+);
+
+// Dates and ObjectIds are compared and stored by value
+const plain = (value) => {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === "object" && value.toHexString) return String(value);
+  return value;
+};
+
+/**
+ * Take a copy of a ticket's tracked fields, to compare against after a change
+ * @param {Object} ticket - Ticket document
+ * @returns {Object}
+ */
+const snapshotTicket = (ticket) =>
+  Object.fromEntries(
+    TRACKED_FIELDS.map((field) => [field, plain(ticket.get(field))])
+  );
+
+/**
+ * List the tracked fields that differ between a snapshot and a ticket
+ * @param {Object|null} before - From snapshotTicket, or null for a new ticket
+ * @param {Object} ticket - Ticket document after the change
+ * @returns {Object[]} - [{ field, from, to }]
+ */
+const diffTicket = (before, ticket) => {
+  before = before || EMPTY_SNAPSHOT;
+  const after = snapshotTicket(ticket);
+  return TRACKED_FIELDS.filter((field) => before[field] !== after[field]).map(
+    (field) => ({ field, from: before[field], to: after[field] })
+  );
+};
+
+/**
+ * Name the kind of change from what changed
+ */
+const actionFor = (changes) => {
+  const fields = changes.map(({ field }) => field);
+  if (fields.includes("status")) return "status-changed";
+  if (fields.includes("appointmentDateTime")) return "rescheduled";
+  return "updated";
+};
+
+/**
+ * Append an entry to a ticket's history
+ * @param {Object} entry
+ * @param {string} entry.ticketID - Ticket changed
+ * @param {Object} [entry.actor] - req.user of whoever made the change; omitted for the system
+ * @param {string} [entry.action] - Defaults to one derived from the changes
+ * @param {Object[]} [entry.changes] - From diffTicket
+ * @param {string} [entry.reason] - Why, for status changes
+ * @returns {Promise<Object|null>} - The entry, or null when nothing changed
+ */
+const recordTicketHistory = async ({
+  ticketID,
+  actor,
+  action,
+  changes = [],
+  reason,
+}) => {
+  if (!action && !changes.length) return null;
+
+  const status = changes.find(({ field }) => field === "status");
+  return TicketHistory.create({
+    ticketID,
+    action: action || actionFor(changes),
+    actorID: actor && actor.id,
+    actorType: actor ? actor.type : "system",
+    changes,
+    ...(status && { fromStatus: status.from, toStatus: status.to }),
+    reason,
+  });
+};
+
+/**
+ * Save a ticket and record what changed since the snapshot, in one step for
+ * every mutation path
+ * @param {Object} ticket - Ticket document with unsaved changes
+ * @param {Object} before - From snapshotTicket, taken before the changes
+ * @param {Object} [actor] - req.user of whoever made the change
+ * @param {string} [reason] - Why, for status changes
+ * @returns {Promise<Object[]>} - The recorded changes
+ */
+const saveWithHistory = async (ticket, before, actor, reason) => {
+  await ticket.save();
+  const changes = diffTicket(before, ticket);
+  await recordTicketHistory({ ticketID: ticket._id, actor, changes, reason });
+  return changes;
+};
+
+/**
+ * A ticket's history, oldest first
+ * @param {string} ticketID - Ticket
+ * @param {Object} viewer - req.user; customers do not see staff-only fields
+ * @returns {Promise<Object[]>}
+ */
+const getTicketHistory = async (ticketID, viewer) => {
+  const entries = await TicketHistory.find({ ticketID })
+    .sort({ createdAt: 1 })
+    .lean();
+  if (viewer.type !== "customer") return entries;
+
+  return entries
+    .map((entry) => ({
+      ...entry,
+      changes: entry.changes.filter(
+        ({ field }) => !STAFF_ONLY_FIELDS.includes(field)
+      ),
+    }))
+    .filter((entry) => entry.changes.length || entry.action !== "updated");
+};
+
+module.exports = {
+  snapshotTicket,
+  diffTicket,
+  recordTicketHistory,
+  saveWithHistory,
+  getTicketHistory,
+};
@@ -0,0 +1,84 @@
+// Ticket lifecycle: the statuses a ticket goes through and which changes
+// between them are allowed.
+//
+//   Pending ──> Approved ──> InProgress ──> Completed
+//      │           │
+//      │           ├──> NoShow
+//      ├───────────┴──> Cancelled
+//      └──> Rejected
+
+const TICKET_STATUS = {
+  PENDING: "Pending",
+  APPROVED: "Approved",
+  IN_PROGRESS: "InProgress",
+  COMPLETED: "Completed",
+  CANCELLED: "Cancelled",
+  NO_SHOW: "NoShow",
+  REJECTED: "Rejected",
+};
+
+const TICKET_STATUSES = Object.values(TICKET_STATUS);
+
+const TRANSITIONS = {
+  [TICKET_STATUS.PENDING]: [
+    TICKET_STATUS.APPROVED,
+    TICKET_STATUS.REJECTED,
+    TICKET_STATUS.CANCELLED,
+  ],
+  [TICKET_STATUS.APPROVED]: [
+    TICKET_STATUS.IN_PROGRESS,
+    TICKET_STATUS.CANCELLED,
+    TICKET_STATUS.NO_SHOW,
+  ],
+  [TICKET_STATUS.IN_PROGRESS]: [TICKET_STATUS.COMPLETED],
+  [TICKET_STATUS.COMPLETED]: [],
+  [TICKET_STATUS.CANCELLED]: [],
+  [TICKET_STATUS.NO_SHOW]: [],
+  [TICKET_STATUS.REJECTED]: [],
+};
+
+// Statuses a ticket never leaves; reaching one sets closedDate
+const CLOSED_STATUSES = [
+  TICKET_STATUS.COMPLETED,
+  TICKET_STATUS.CANCELLED,
+  TICKET_STATUS.NO_SHOW,
+  TICKET_STATUS.REJECTED,
+];
+
+// Tickets in these statuses no longer take up their appointment slot
+const SLOT_RELEASING_STATUSES = [
+  TICKET_STATUS.CANCELLED,
+  TICKET_STATUS.REJECTED,
+];
+
+/**
+ * Statuses a ticket may move to next
+ * @param {string} status - Current status
+ * @returns {string[]}
+ */
+const nextStatuses = (status) => TRANSITIONS[status] || [];
+
+/**
+ * Whether a ticket may move from one status to another
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean}
+ */
+const canTransition = (from, to) => nextStatuses(from).includes(to);
+
+/**
+ * Whether a status is final
+ * @param {string} status
+ * @returns {boolean}
+ */
+const isClosed = (status) => CLOSED_STATUSES.includes(status);
+
+module.exports = {
+  TICKET_STATUS,
+  TICKET_STATUSES,
+  CLOSED_STATUSES,
+  SLOT_RELEASING_STATUSES,
+  nextStatuses,
+  canTransition,
+  isClosed,
+};
@@ -0,0 +1,73 @@
+const moment = require("moment");
+const { Customer } = require("../model/CustomerModel");
+const { Department } = require("../model/DepartmentModel");
+const {
+  sendTicketStatusUpdateEmail,
+  sendAppointmentRescheduledEmail,
+} = require("./emailService");
+
+// Emails telling citizens what happened to their appointment. They go out
+// after the change is saved, so failures are logged, never thrown.
+
+const recipientsFor = async (ticket) => {
+  const [customer, department] = await Promise.all([
+    Customer.findById(ticket.customerID).select("emailAddress"),
+    Department.findById(ticket.departmentID).select("departmentName"),
+  ]);
+  return {
+    email: customer && customer.emailAddress,
+    department: department ? department.departmentName : "",
+  };
+};
+
+/**
+ * Confirm a moved appointment to the customer
+ * @param {Object} ticket - Ticket document, already at its new time
+ * @param {Date} previousAppointment - Time it was moved from
+ * @returns {Promise<void>}
+ */
+const notifyRescheduled = async (ticket, previousAppointment) => {
+  try {
+    const { email, department } = await recipientsFor(ticket);
+    if (!email) return;
+
+    const appointment = moment(ticket.appointmentDateTime);
+    const previous = moment(previousAppointment);
+    await sendAppointmentRescheduledEmail(email, {
+      id: String(ticket._id),
+      reference: ticket.reference || String(ticket._id),
+      department,
+      date: appointment.format("YYYY-MM-DD"),
+      time: appointment.format("HH:mm"),
+      previousDate: previous.format("YYYY-MM-DD"),
+      previousTime: previous.format("HH:mm"),
+    });
+  } catch (error) {
+    console.error("Error sending reschedule confirmation:", error);
+  }
+};
+
+/**
+ * Confirm a cancelled appointment to the customer
+ * @param {Object} ticket - Ticket document, already cancelled
+ * @returns {Promise<void>}
+ */
+const notifyCancelled = async (ticket) => {
+  try {
+    const { email, department } = await recipientsFor(ticket);
+    if (!email) return;
+
+    await sendTicketStatusUpdateEmail(email, {
+      ticketId: String(ticket._id),
+      reference: ticket.reference || String(ticket._id),
+      status: ticket.status,
+      department,
+      issueDescription: ticket.issueDescription,
+      cancellationReason: ticket.cancellationReason,
+    });
+  } catch (error) {
+    console.error("Error sending cancellation confirmation:", error);
+  }
+};
+
+module.exports = { notifyRescheduled, notifyCancelled };
@@ -0,0 +1,50 @@
+const { Sequence } = require("../model/SequenceModel");
+
+// References read like REG-2026-000123: the department's prefix, the year the
+// ticket was created and a number counting up within that prefix and year
+const REFERENCE_PATTERN = /^[A-Z]{2,5}-\d{4}-\d{6,}$/;
+const FALLBACK_PREFIX = "TKT";
+
+/**
+ * The prefix for a department's references: its referencePrefix, or the
+ * first letters of its name for departments that never set one
+ * @param {Object} department - Department document
+ * @returns {string}
+ */
+const referencePrefixOf = (department) => {
+  if (department.referencePrefix) return department.referencePrefix;
+  const letters = (department.departmentName || "")
+    .replace(/[^a-z]/gi, "")
+    .slice(0, 3)
+    .toUpperCase();
+  return letters.length >= 2 ? letters : FALLBACK_PREFIX;
+};
+
+/**
+ * Take the next reference for a ticket in a department. Each call uses up a
+ * number, so call it once the ticket is about to be saved.
+ * @param {Object} department - The ticket's department
+ * @param {Date} [createdAt] - When the ticket was created
+ * @returns {Promise<string>}
+ */
+const nextTicketReference = async (department, createdAt = new Date()) => {
+  const prefix = referencePrefixOf(department);
+  const year = createdAt.getFullYear();
+  // Departments sharing a prefix share its sequence, so references stay unique
+  const { value } = await Sequence.findOneAndUpdate(
+    { _id: `ticket-reference:${prefix}:${year}` },
+    { $inc: { value: 1 } },
+    { upsert: true, new: true }
+  );
+  return `${prefix}-${year}-${String(value).padStart(6, "0")}`;
+};
+
+/**
+ * Whether a string looks like a ticket reference, in any letter case
+ * @param {string} value
+ * @returns {boolean}
+ */
+const isTicketReference = (value) =>
+  REFERENCE_PATTERN.test(String(value).toUpperCase());
+
+module.exports = { referencePrefixOf, nextTicketReference, isTicketReference };
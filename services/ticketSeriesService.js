@@ -0,0 +1,389 @@
+const moment = require("moment");
+const { Ticket } = require("../model/TicketModel");
+const { TicketSeries } = require("../model/TicketSeriesModel");
+const {
+  reserveForTicket,
+  reserveForTickets,
+  releaseTicket,
+} = require("./reservationService");
+const { assignTicket } = require("./assignmentService");
+const { nextTicketReference } = require("./ticketReferenceService");
+const { TICKET_STATUS } = require("./ticketLifecycle");
+const {
+  rescheduleProblem,
+  cancellationProblem,
+} = require("./ticketChangeRules");
+const {
+  snapshotTicket,
+  diffTicket,
+  recordTicketHistory,
+  saveWithHistory,
+} = require("./ticketHistoryService");
+const {
+  notifyRescheduled,
+  notifyCancelled,
+} = require("./ticketNotificationService");
+const { offerFreedSlots } = require("./waitlistService");
+
+// Recurring appointments: one ticket per visit, tied together by a
+// TicketSeries so the run can be moved or cancelled as a unit. Seats for
+// every visit are taken before any ticket is saved, so a series is booked
+// whole or not at all.
+
+const SERIES_FREQUENCY = {
+  WEEKLY: "weekly",
+  MONTHLY: "monthly",
+};
+
+const SERIES_FREQUENCIES = Object.values(SERIES_FREQUENCY);
+
+const MAX_SERIES_OCCURRENCES = 26;
+
+// Visits still to come that can be moved or cancelled
+const OPEN_STATUSES = [TICKET_STATUS.PENDING, TICKET_STATUS.APPROVED];
+
+/**
+ * Start times of the visits of a series
+ * @param {Date|string} start - First visit
+ * @param {Object} recurrence - { frequency, interval, occurrences }
+ * @returns {Date[]}
+ */
+const occurrenceTimes = (start, { frequency, interval = 1, occurrences }) => {
+  const unit = frequency === SERIES_FREQUENCY.MONTHLY ? "months" : "weeks";
+  return Array.from({ length: occurrences }, (_, index) =>
+    moment(start)
+      .add(index * interval, unit)
+      .toDate()
+  );
+};
+
+const setAppointment = (ticket, time) => {
+  const appointment = moment(time);
+  ticket.appointmentDateTime = appointment.toDate();
+  ticket.appointmentDate = appointment.clone().startOf("day").toDate();
+  ticket.appointmentTime = appointment.format("HH:mm:ss");
+};
+
+const bookingOf = (ticket, slot, staffID = ticket.staffID) => ({
+  departmentID: ticket.departmentID,
+  counterID: ticket.counterID,
+  staffID,
+  slot,
+  slotCount: ticket.slotCount,
+});
+
+/**
+ * Give each visit without a staff member someone to serve it, preferring
+ * whoever took the visit before so the citizen keeps seeing the same person
+ */
+const assignVisits = async (tickets, department) => {
+  let preferred;
+  for (const ticket of tickets) {
+    if (ticket.staffID) {
+      preferred = ticket.staffID;
+      continue;
+    }
+    const booking = bookingOf(ticket, ticket.appointmentDateTime, undefined);
+    if (preferred) {
+      const kept = await reserveForTicket(
+        { ...booking, staffID: preferred },
+        ticket._id
+      );
+      if (kept.reservations) {
+        ticket.staffID = preferred;
+        continue;
+      }
+    }
+    preferred = (await assignTicket(ticket, department, booking)) || preferred;
+  }
+};
+
+/**
+ * Book a recurring series of appointments
+ * @param {Object} fields - Ticket fields shared by every visit, with the
+ *   first visit's appointmentDateTime
+ * @param {Object} recurrence - { frequency, interval, occurrences }
+ * @param {Object} department - Department document
+ * @param {Object} actor - req.user of whoever booked it
+ * @returns {Promise<Object>} - { series, tickets }, or { full },
+ *   { outsideHours } or { error } with the visit that could not be booked
+ *   as failedAt
+ */
+const createSeries = async (fields, recurrence, department, actor) => {
+  const { frequency, interval = 1, occurrences } = recurrence;
+  const series = new TicketSeries({
+    customerID: fields.customerID,
+    departmentID: department._id,
+    frequency,
+    interval,
+    occurrences,
+    slotCount: fields.slotCount || 1,
+    createdBy: actor.id,
+  });
+
+  const times = occurrenceTimes(fields.appointmentDateTime, recurrence);
+  const tickets = times.map((time, index) => {
+    const ticket = new Ticket({
+      ...fields,
+      seriesID: series._id,
+      seriesIndex: index,
+    });
+    setAppointment(ticket, time);
+    return ticket;
+  });
+
+  const result = await reserveForTickets(
+    tickets.map((ticket) => ({
+      booking: bookingOf(ticket, ticket.appointmentDateTime),
+      ticketID: ticket._id,
+    }))
+  );
+  if (!result.reservations) {
+    const { failedIndex, ...refusal } = result;
+    return { ...refusal, failedAt: times[failedIndex] };
+  }
+
+  try {
+    await assignVisits(tickets, department);
+    await series.save();
+    for (const ticket of tickets) {
+      ticket.reference = await nextTicketReference(
+        department,
+        ticket.createdDate
+      );
+      await ticket.save();
+    }
+  } catch (err) {
+    await Promise.all(tickets.map((ticket) => releaseTicket(ticket._id)));
+    await Ticket.deleteMany({ seriesID: series._id });
+    await TicketSeries.deleteOne({ _id: series._id });
+    throw err;
+  }
+
+  for (const ticket of tickets) {
+    await recordTicketHistory({
+      ticketID: ticket._id,
+      actor,
+      action: "created",
+      changes: diffTicket(null, ticket),
+    });
+  }
+  return { series, tickets };
+};
+
+/**
+ * A series' visits that have not happened yet and can still be changed
+ * @param {Object} series - TicketSeries document
+ * @param {Date} [now]
+ * @returns {Promise<Object[]>} - Ticket documents, in visit order
+ */
+const openVisits = (series, now = new Date()) =>
+  Ticket.find({
+    seriesID: series._id,
+    status: { $in: OPEN_STATUSES },
+    appointmentDateTime: { $gt: now },
+  }).sort({ seriesIndex: 1 });
+
+// The first visit a change is refused for, as a message naming the visit
+const firstProblem = (tickets, problemOf) => {
+  for (const [index, ticket] of tickets.entries()) {
+    const problem = problemOf(ticket, index);
+    if (problem) return `Visit ${ticket.seriesIndex + 1}: ${problem}`;
+  }
+  return null;
+};
+
+/**
+ * Cancel every visit of a series still to come. Customers are held to the
+ * department's notice rules for each visit; if one visit is too close the
+ * series is left as it is.
+ * @param {Object} series - TicketSeries document
+ * @param {Object} department - Department document
+ * @param {Object} actor - req.user
+ * @param {string} [reason]
+ * @param {Date} [now]
+ * @returns {Promise<Object>} - { tickets } cancelled, or { error }
+ */
+const cancelSeries = async (
+  series,
+  department,
+  actor,
+  reason,
+  now = new Date()
+) => {
+  const tickets = await openVisits(series, now);
+  if (!tickets.length) {
+    return { error: "This series has no upcoming visits to cancel" };
+  }
+
+  const problem = firstProblem(tickets, (ticket) =>
+    cancellationProblem(
+      ticket,
+      ticket.appointmentDateTime,
+      department,
+      actor,
+      now
+    )
+  );
+  if (problem) return { error: problem };
+
+  for (const ticket of tickets) {
+    const before = snapshotTicket(ticket);
+    ticket.status = TICKET_STATUS.CANCELLED;
+    ticket.closedDate = now;
+    if (reason) ticket.cancellationReason = reason;
+
+    await saveWithHistory(ticket, before, actor, reason);
+    await releaseTicket(ticket._id);
+    await notifyCancelled(ticket);
+    await offerFreedSlots(ticket);
+  }
+  return { tickets };
+};
+
+/**
+ * Put visits back at their times before a failed move. Their old seats were
+ * given up once the new ones were secured, so they are taken again; visits
+ * already saved at the new time are saved back.
+ * @param {Object[]} tickets - The visits being moved, in visit order
+ * @param {Date[]} previous - Their appointment times before the move
+ * @param {string[]} previousStaff - Who was serving them before the move
+ * @param {number} savedCount - How many were saved at the new time
+ * @param {Object} actor - req.user
+ * @returns {Promise<void>}
+ */
+const restoreVisits = async (
+  tickets,
+  previous,
+  previousStaff,
+  savedCount,
+  actor
+) => {
+  const restored = await reserveForTickets(
+    tickets.map((ticket, index) => ({
+      booking: bookingOf(ticket, previous[index], previousStaff[index]),
+      ticketID: ticket._id,
+    }))
+  );
+  if (!restored.reservations) {
+    console.error(
+      `Series ${tickets[0].seriesID}: visit ${
+        tickets[restored.failedIndex].seriesIndex + 1
+      } lost its seat while being moved back`
+    );
+  }
+
+  for (const [index, ticket] of tickets.slice(0, savedCount).entries()) {
+    const before = snapshotTicket(ticket);
+    setAppointment(ticket, previous[index]);
+    ticket.rescheduleCount -= 1;
+    ticket.staffID = previousStaff[index];
+    await saveWithHistory(ticket, before, actor, "Series move failed");
+  }
+};
+
+/**
+ * Move the rest of a series: the next visit goes to the new time and the
+ * ones after it follow at the series' usual spacing. All visits move or
+ * none do.
+ * @param {Object} series - TicketSeries document
+ * @param {Object} department - Department document
+ * @param {Date} newStart - New time of the next visit
+ * @param {Object} actor - req.user
+ * @param {string} [reason]
+ * @param {Date} [now]
+ * @returns {Promise<Object>} - { tickets } moved, { full }, { outsideHours }
+ *   or { error }, with the visit that could not be moved as failedAt
+ */
+const rescheduleSeries = async (
+  series,
+  department,
+  newStart,
+  actor,
+  reason,
+  now = new Date()
+) => {
+  const tickets = await openVisits(series, now);
+  if (!tickets.length) {
+    return { error: "This series has no upcoming visits to reschedule" };
+  }
+
+  const times = occurrenceTimes(newStart, {
+    frequency: series.frequency,
+    interval: series.interval,
+    occurrences: tickets.length,
+  });
+  const problem = firstProblem(tickets, (ticket, index) =>
+    rescheduleProblem(
+      ticket,
+      ticket.appointmentDateTime,
+      times[index],
+      department,
+      actor,
+      now
+    )
+  );
+  if (problem) return { error: problem };
+
+  const befores = tickets.map(snapshotTicket);
+  const previous = tickets.map((ticket) => ticket.appointmentDateTime);
+  const previousStaff = tickets.map((ticket) => ticket.staffID);
+
+  let result = await reserveForTickets(
+    tickets.map((ticket, index) => ({
+      booking: bookingOf(ticket, times[index]),
+      ticketID: ticket._id,
+    }))
+  );
+  // Assigned staff may be busy at the new times while the department is
+  // not; the visits are then handed out again
+  const restaff = result.full && tickets.some((ticket) => ticket.staffID);
+  if (restaff) {
+    result = await reserveForTickets(
+      tickets.map((ticket, index) => ({
+        booking: bookingOf(ticket, times[index], undefined),
+        ticketID: ticket._id,
+      }))
+    );
+  }
+  if (!result.reservations) {
+    const { failedIndex, ...refusal } = result;
+    return { ...refusal, failedAt: times[failedIndex] };
+  }
+
+  tickets.forEach((ticket, index) => {
+    setAppointment(ticket, times[index]);
+    ticket.rescheduleCount = (ticket.rescheduleCount || 0) + 1;
+    if (restaff) ticket.staffID = null;
+  });
+
+  let savedCount = 0;
+  try {
+    if (restaff) await assignVisits(tickets, department);
+    for (const [index, ticket] of tickets.entries()) {
+      await saveWithHistory(ticket, befores[index], actor, reason);
+      savedCount++;
+    }
+  } catch (err) {
+    await restoreVisits(tickets, previous, previousStaff, savedCount, actor);
+    throw err;
+  }
+
+  // Citizens hear about the move only once every visit has moved
+  for (const [index, ticket] of tickets.entries()) {
+    await notifyRescheduled(ticket, previous[index]);
+    await offerFreedSlots(ticket, previous[index]);
+  }
+  return { tickets };
+};
+
+module.exports = {
+  SERIES_FREQUENCY,
+  SERIES_FREQUENCIES,
+  MAX_SERIES_OCCURRENCES,
+  occurrenceTimes,
+  createSeries,
+  openVisits,
+  cancelSeries,
+  rescheduleSeries,
+};
@@ -0,0 +1,207 @@
+const crypto = require("crypto");
+const { Staff } = require("../model/StaffModel");
+const { getSetting, setSetting } = require("./settingsService");
+
+// RFC 6238 TOTP as used by authenticator apps: SHA-1, 6 digits, 30 s steps
+const ISSUER = "Gov Hub";
+const DIGITS = 6;
+const STEP_SECONDS = 30;
+// Accept codes from one step either side to allow for clock drift
+const DRIFT_STEPS = 1;
+const RECOVERY_CODE_COUNT = 10;
+const REQUIRED_ROLES_SETTING = "security.twoFactorRequiredRoles";
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+const base32Encode = (buffer) => {
+  let bits = "";
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, "0");
+
+  let output = "";
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, "0"), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (text) => {
+  let bits = "";
+  for (const char of text.replace(/=+$/, "").toUpperCase()) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error("Invalid base32 secret");
+    bits += index.toString(2).padStart(5, "0");
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+const hashCode = (code) =>
+  crypto.createHash("sha256").update(code).digest("hex");
+
+/**
+ * Compute the code for a time step (RFC 4226 HOTP)
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step counter
+ * @returns {string} - Zero-padded code
+ */
+const codeForStep = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(counter)
+    .digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+
+  return String(binary).padStart(DIGITS, "0");
+};
+
+/**
+ * Generate a new random TOTP secret
+ * @returns {string} - Base32 secret
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Build the otpauth:// URI that authenticator apps read from a QR code
+ * @param {string} secret - Base32 secret
+ * @param {string} accountName - Shown in the app, usually the email address
+ * @returns {string}
+ */
+const provisioningUri = (secret, accountName) => {
+  const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+/**
+ * Check a TOTP code
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code typed by the user
+ * @param {Object} [options]
+ * @param {number} [options.lastStep] - Last step already used; it and earlier steps are refused
+ * @param {number} [options.now] - Current time in ms, for tests
+ * @returns {number|null} - The matching step, or null if the code is wrong
+ */
+const verifyCode = (secret, code, { lastStep, now = Date.now() } = {}) => {
+  if (!secret || !/^\d{6}$/.test(code || "")) return null;
+
+  const currentStep = Math.floor(now / 1000 / STEP_SECONDS);
+  for (let drift = -DRIFT_STEPS; drift <= DRIFT_STEPS; drift++) {
+    const step = currentStep + drift;
+    if (lastStep !== undefined && lastStep !== null && step <= lastStep) {
+      continue;
+    }
+    const expected = codeForStep(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+/**
+ * Generate a fresh set of single-use recovery codes
+ * @returns {{codes: string[], hashes: string[]}} - Plain codes for the user, hashes for storage
+ */
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashCode) };
+};
+
+// Record a used code in one conditional update, so of two requests with
+// the same code only one gets through
+const consumeCode = (staff, filter, update) =>
+  Staff.findOneAndUpdate({ _id: staff._id, ...filter }, update, {
+    new: true,
+  })
+    .select("twoFactorLastStep twoFactorRecoveryCodes")
+    .lean();
+
+/**
+ * Check a staff member's second factor, a TOTP code or a recovery code, and
+ * use it up. The staff document passed in is left as it was.
+ * @param {Object} staff - Staff document with 2FA enabled
+ * @param {Object} input - { code } or { recoveryCode }
+ * @returns {Promise<Object|null>} - The staff member's second-factor fields
+ *   after using the code, or null if it was wrong or already used
+ */
+const checkSecondFactor = async (staff, { code, recoveryCode }) => {
+  if (code) {
+    const step = verifyCode(staff.twoFactorSecret, code, {
+      lastStep: staff.twoFactorLastStep,
+    });
+    if (step === null) return null;
+    return consumeCode(
+      staff,
+      {
+        $or: [
+          { twoFactorLastStep: null },
+          { twoFactorLastStep: { $lt: step } },
+        ],
+      },
+      { $set: { twoFactorLastStep: step } }
+    );
+  }
+
+  if (recoveryCode) {
+    const hash = hashCode(recoveryCode.trim().toLowerCase());
+    return consumeCode(
+      staff,
+      { twoFactorRecoveryCodes: hash },
+      { $pull: { twoFactorRecoveryCodes: hash } }
+    );
+  }
+
+  return null;
+};
+
+/**
+ * Roles that must use two-factor authentication
+ * @returns {Promise<string[]>}
+ */
+const getRequiredRoles = () => getSetting(REQUIRED_ROLES_SETTING, []);
+
+/**
+ * Set the roles that must use two-factor authentication
+ * @param {string[]} roles - Staff roles
+ * @param {string} updatedBy - Admin making the change
+ * @returns {Promise<string[]>}
+ */
+const setRequiredRoles = (roles, updatedBy) =>
+  setSetting(REQUIRED_ROLES_SETTING, roles, updatedBy);
+
+/**
+ * Whether a staff member's role requires two-factor authentication
+ * @param {Object} staff - Staff document
+ * @returns {Promise<boolean>}
+ */
+const isTwoFactorRequired = async (staff) =>
+  (await getRequiredRoles()).includes(staff.role);
+
+module.exports = {
+  generateSecret,
+  provisioningUri,
+  verifyCode,
+  codeForStep,
+  generateRecoveryCodes,
+  checkSecondFactor,
+  getRequiredRoles,
+  setRequiredRoles,
+  isTwoFactorRequired,
+};
@@ -0,0 +1,278 @@
+const moment = require("moment");
+const { WaitlistEntry } = require("../model/WaitlistEntryModel");
+const { Customer } = require("../model/CustomerModel");
+const { Department } = require("../model/DepartmentModel");
+const { holdSlot, releaseHold } = require("./reservationService");
+const { bookingSlots } = require("./availabilityService");
+const { sendWaitlistOfferEmail } = require("./emailService");
+
+// Waitlist for fully booked departments. Customers wait for a day or a
+// single slot; when a seat frees up it is held for the longest waiting
+// match and offered to them by email. An offer that is not booked in time
+// lapses and the seat goes to the next in line.
+
+const WAITLIST_STATUS = {
+  WAITING: "waiting",
+  OFFERED: "offered",
+  BOOKED: "booked",
+  EXPIRED: "expired",
+  LEFT: "left",
+};
+
+// Entries still in line or holding an offer
+const ACTIVE_STATUSES = [WAITLIST_STATUS.WAITING, WAITLIST_STATUS.OFFERED];
+
+// How long an offered seat is held for the customer
+const OFFER_MINUTES = Number(process.env.WAITLIST_OFFER_MINUTES) || 30;
+const WAITLIST_INTERVAL_MS =
+  (Number(process.env.WAITLIST_INTERVAL_SECONDS) || 60) * 1000;
+
+const dateOf = (time) => moment(time).format("YYYY-MM-DD");
+
+/**
+ * Entries that would take a seat at a slot: those waiting for that slot or
+ * for any slot of its day
+ */
+const matchingSlot = (departmentID, slot) => ({
+  departmentID,
+  date: dateOf(slot),
+  $or: [{ slot: null }, { slot }],
+});
+
+/**
+ * How many customers are ahead of an entry
+ * @param {Object} entry - WaitlistEntry document
+ * @returns {Promise<number>}
+ */
+const positionOf = (entry) =>
+  WaitlistEntry.countDocuments({
+    departmentID: entry.departmentID,
+    date: entry.date,
+    status: WAITLIST_STATUS.WAITING,
+    createdAt: { $lt: entry.createdAt },
+    ...(entry.slot && { $or: [{ slot: null }, { slot: entry.slot }] }),
+  });
+
+/**
+ * Put a customer on the waitlist
+ * @param {Object} department - Department document
+ * @param {Object} customer - Customer document
+ * @param {Object} wish - { date, slot?, issueDescription? }
+ * @returns {Promise<Object>} - { entry, ahead }, or { duplicate } with the
+ *   customer's existing entry
+ */
+const joinWaitlist = async (department, customer, wish) => {
+  const duplicate = await WaitlistEntry.findOne({
+    departmentID: department._id,
+    customerID: customer._id,
+    date: wish.date,
+    slot: wish.slot || null,
+    status: { $in: ACTIVE_STATUSES },
+  });
+  if (duplicate) return { duplicate };
+
+  const entry = await WaitlistEntry.create({
+    departmentID: department._id,
+    customerID: customer._id,
+    date: wish.date,
+    slot: wish.slot,
+    issueDescription: wish.issueDescription,
+  });
+  return { entry, ahead: await positionOf(entry) };
+};
+
+const sendOffer = async (entry) => {
+  try {
+    const [customer, department] = await Promise.all([
+      Customer.findById(entry.customerID).select("firstName emailAddress"),
+      Department.findById(entry.departmentID).select("departmentName"),
+    ]);
+    if (!customer || !customer.emailAddress) return;
+
+    const slot = moment(entry.offeredSlot);
+    await sendWaitlistOfferEmail(customer.emailAddress, {
+      id: String(entry._id),
+      name: customer.firstName,
+      department: department ? department.departmentName : "",
+      date: slot.format("YYYY-MM-DD"),
+      time: slot.format("HH:mm"),
+      expiresAt: moment(entry.offerExpiresAt).format("YYYY-MM-DD HH:mm"),
+    });
+  } catch (error) {
+    console.error("Error sending waitlist offer:", error);
+  }
+};
+
+/**
+ * Offer a slot to the longest waiting customer who wants it, holding a seat
+ * for them. Repeats while the slot has room and someone is waiting.
+ * @param {string} departmentID
+ * @param {Date} slot - Start of the slot
+ * @param {Date} [now]
+ * @returns {Promise<Object[]>} - Entries that were made an offer
+ */
+const offerSlot = async (departmentID, slot, now = new Date()) => {
+  const offered = [];
+  if (slot <= now) return offered;
+
+  for (;;) {
+    // Taking the entry first means two freed seats never go to one person.
+    // The expiry is set straight away so the offer lapses even if the hold
+    // below is never recorded.
+    const entry = await WaitlistEntry.findOneAndUpdate(
+      { ...matchingSlot(departmentID, slot), status: WAITLIST_STATUS.WAITING },
+      {
+        $set: {
+          status: WAITLIST_STATUS.OFFERED,
+          offeredSlot: slot,
+          offeredAt: now,
+          offerExpiresAt: moment(now).add(OFFER_MINUTES, "minutes").toDate(),
+        },
+      },
+      { sort: { createdAt: 1 }, new: true }
+    );
+    if (!entry) return offered;
+
+    // Offers are made for the customer, so their own hold limit doesn't apply
+    const held = await holdSlot(
+      { departmentID, slot },
+      entry.customerID,
+      OFFER_MINUTES,
+      null
+    );
+    if (!held.holdID) {
+      // No room after all; they keep their place in line
+      await WaitlistEntry.updateOne(
+        { _id: entry._id },
+        {
+          $set: { status: WAITLIST_STATUS.WAITING },
+          $unset: { offeredSlot: 1, offeredAt: 1, offerExpiresAt: 1 },
+        }
+      );
+      return offered;
+    }
+
+    entry.holdID = held.holdID;
+    entry.offerExpiresAt = held.expiresAt;
+    await entry.save();
+    await sendOffer(entry);
+    offered.push(entry);
+  }
+};
+
+/**
+ * Pass the slots a ticket no longer needs to the waitlist, after it was
+ * rejected, cancelled, deleted or moved away. Failures are logged, never
+ * thrown, since the ticket change itself has gone through.
+ * @param {Object} ticket - Ticket document or { departmentID, slotCount }
+ * @param {Date} [appointment] - Start of the freed slots, if not the
+ *   ticket's current appointmentDateTime
+ * @returns {Promise<void>}
+ */
+const offerFreedSlots = async (ticket, appointment) => {
+  try {
+    const slots = await bookingSlots({
+      departmentID: ticket.departmentID,
+      slot: appointment || ticket.appointmentDateTime,
+      slotCount: ticket.slotCount,
+    });
+    for (const slot of slots) {
+      await offerSlot(ticket.departmentID, slot);
+    }
+  } catch (error) {
+    console.error("Error offering freed slot to the waitlist:", error);
+  }
+};
+
+/**
+ * Record that an offer was taken up, once the ticket using its hold is saved
+ * @param {string} holdID - Hold the ticket was booked with
+ * @param {string} ticketID
+ * @returns {Promise<void>}
+ */
+const markOfferBooked = async (holdID, ticketID) => {
+  // The offer may have lapsed while the booking was being saved
+  await WaitlistEntry.updateOne(
+    {
+      holdID,
+      status: { $in: [WAITLIST_STATUS.OFFERED, WAITLIST_STATUS.EXPIRED] },
+    },
+    { $set: { status: WAITLIST_STATUS.BOOKED, ticketID } }
+  );
+};
+
+/**
+ * Take a customer off the waitlist. A seat on offer to them goes to the
+ * next in line.
+ * @param {Object} entry - WaitlistEntry document
+ * @returns {Promise<boolean>} - false if the entry was no longer active
+ */
+const leaveWaitlist = async (entry) => {
+  const left = await WaitlistEntry.findOneAndUpdate(
+    { _id: entry._id, status: { $in: ACTIVE_STATUSES } },
+    { $set: { status: WAITLIST_STATUS.LEFT } }
+  );
+  if (!left) return false;
+
+  if (left.status === WAITLIST_STATUS.OFFERED) {
+    if (left.holdID) await releaseHold(left.holdID, left.customerID);
+    await offerSlot(left.departmentID, left.offeredSlot);
+  }
+  return true;
+};
+
+/**
+ * Lapse offers that ran out, passing their seats on, and close entries
+ * whose day or slot has gone by
+ * @param {Date} [now]
+ * @returns {Promise<Object>} - { lapsed, closed }
+ */
+const expireWaitlist = async (now = new Date()) => {
+  const due = await WaitlistEntry.find({
+    status: WAITLIST_STATUS.OFFERED,
+    offerExpiresAt: { $lte: now },
+  })
+    .select("_id")
+    .lean();
+
+  let lapsed = 0;
+  for (const { _id } of due) {
+    // Only one run lapses each offer
+    const entry = await WaitlistEntry.findOneAndUpdate(
+      { _id, status: WAITLIST_STATUS.OFFERED },
+      { $set: { status: WAITLIST_STATUS.EXPIRED } },
+      { new: true }
+    );
+    if (!entry) continue;
+    lapsed++;
+
+    if (entry.holdID) await releaseHold(entry.holdID, entry.customerID);
+    await offerSlot(entry.departmentID, entry.offeredSlot, now);
+  }
+
+  const { modifiedCount: closed } = await WaitlistEntry.updateMany(
+    {
+      status: WAITLIST_STATUS.WAITING,
+      $or: [{ date: { $lt: dateOf(now) } }, { slot: { $lte: now } }],
+    },
+    { $set: { status: WAITLIST_STATUS.EXPIRED } }
+  );
+
+  if (lapsed || closed) {
+    console.log(`Waitlist: ${lapsed} offers lapsed, ${closed} entries closed`);
+  }
+  return { lapsed, closed };
+};
+
+module.exports = {
+  WAITLIST_STATUS,
+  OFFER_MINUTES,
+  WAITLIST_INTERVAL_MS,
+  positionOf,
+  joinWaitlist,
+  offerSlot,
+  offerFreedSlots,
+  markOfferBooked,
+  leaveWaitlist,
+  expireWaitlist,
+};
@@ -0,0 +1,176 @@
+const mongoose = require("mongoose");
+
+jest.mock("../model/SlotReservationModel", () => ({
+  SlotReservation: require("./support/memoryModel").createMemoryModel({
+    unique: ["resource", "slot", "seat"],
+  }),
+}));
+jest.mock("../model/DepartmentModel", () => ({
+  Department: { findById: jest.fn() },
+}));
+jest.mock("../model/CustomerModel", () => ({
+  Customer: { findById: jest.fn() },
+}));
+jest.mock("../model/TicketModel", () => {
+  const { Types } = require("mongoose");
+  class Ticket {
+    constructor(fields) {
+      Object.assign(this, { createdDate: new Date(), ...fields });
+      this._id = new Types.ObjectId();
+    }
+
+    async save() {
+      Ticket.saved.push(this);
+      return this;
+    }
+  }
+  Ticket.saved = [];
+  return { Ticket };
+});
+jest.mock("../services/assignmentService", () => ({
+  assignTicket: jest.fn(async () => null),
+}));
+jest.mock("../services/ticketReferenceService", () => ({
+  nextTicketReference: jest.fn(async () => "REG-0001"),
+}));
+jest.mock("../services/ticketHistoryService", () => ({
+  diffTicket: jest.fn(),
+  recordTicketHistory: jest.fn(),
+}));
+
+const { SlotReservation } = require("../model/SlotReservationModel");
+const { Department } = require("../model/DepartmentModel");
+const { Customer } = require("../model/CustomerModel");
+const { Ticket } = require("../model/TicketModel");
+const { assignTicket } = require("../services/assignmentService");
+const { query } = require("./support/memoryModel");
+const ticketController = require("../controller/TicketController");
+
+const PARALLEL = 8;
+
+const department = {
+  _id: new mongoose.Types.ObjectId(),
+  slotCapacity: 1,
+  counters: [],
+  appointmentReasons: [],
+};
+
+// Stand-in for an Express response that keeps what was sent
+const respond = () => ({
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  },
+});
+
+// Book the same slot as a customer, returning the response sent
+const book = async (user) => {
+  const res = respond();
+  const req = {
+    user,
+    body: {
+      departmentID: String(department._id),
+      issueDescription: "Passport renewal",
+      appointmentDateTime: "2030-03-04T09:00:00Z",
+    },
+  };
+  await ticketController.addTicket(req, res);
+  return res;
+};
+
+beforeEach(() => {
+  SlotReservation.clear();
+  Ticket.saved.length = 0;
+  Department.findById.mockImplementation(() => query(async () => department));
+  Customer.findById.mockImplementation((id) =>
+    query(async () => ({ _id: id, emailVerified: true }))
+  );
+});
+
+describe("holdSlot", () => {
+  const hold = async (user) => {
+    const res = respond();
+    await ticketController.holdSlot(
+      {
+        user,
+        body: {
+          departmentID: String(department._id),
+          appointmentDateTime: "2030-03-04T09:00:00Z",
+        },
+      },
+      res
+    );
+    return res;
+  };
+
+  it("refuses holds from customers who have not verified their email", async () => {
+    Customer.findById.mockImplementation((id) =>
+      query(async () => ({ _id: id, emailVerified: false }))
+    );
+
+    const res = await hold({
+      id: String(new mongoose.Types.ObjectId()),
+      type: "customer",
+    });
+
+    expect(res.statusCode).toBe(403);
+    expect(SlotReservation.docs).toHaveLength(0);
+  });
+
+  it("holds the slot for a verified customer", async () => {
+    const res = await hold({
+      id: String(new mongoose.Types.ObjectId()),
+      type: "customer",
+    });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.holdID).toBeDefined();
+  });
+});
+
+describe("addTicket", () => {
+  it("books the last seat for exactly one of several parallel requests", async () => {
+    const users = Array.from({ length: PARALLEL }, () => ({
+      id: String(new mongoose.Types.ObjectId()),
+      type: "customer",
+    }));
+
+    const responses = await Promise.all(users.map(book));
+
+    const created = responses.filter((res) => res.statusCode === 201);
+    const refused = responses.filter((res) => res.statusCode === 400);
+    expect(created).toHaveLength(1);
+    expect(refused).toHaveLength(PARALLEL - 1);
+    refused.forEach((res) =>
+      expect(res.body).toEqual({
+        success: false,
+        message: "This slot is already booked.",
+      })
+    );
+
+    expect(Ticket.saved).toHaveLength(1);
+    expect(SlotReservation.docs).toHaveLength(1);
+    expect(String(SlotReservation.docs[0].ticketID)).toBe(
+      String(Ticket.saved[0]._id)
+    );
+  });
+
+  it("gives the seat back when assigning the ticket fails", async () => {
+    assignTicket.mockRejectedValueOnce(new Error("assignment failed"));
+    jest.spyOn(console, "error").mockImplementation(() => {});
+
+    const res = await book({
+      id: String(new mongoose.Types.ObjectId()),
+      type: "customer",
+    });
+
+    expect(res.statusCode).toBe(500);
+    expect(Ticket.saved).toHaveLength(0);
+    expect(SlotReservation.docs).toHaveLength(0);
+    console.error.mockRestore();
+  });
+});
@@ -0,0 +1,77 @@
+const mongoose = require("mongoose");
+
+jest.mock("../model/QueueEntryModel", () => ({
+  QueueEntry: require("./support/memoryModel").createMemoryModel({
+    unique: ["departmentID", "queueDate", "customerID"],
+    partial: {
+      customerID: { $ne: null },
+      status: { $in: ["waiting", "called"] },
+    },
+    defaults: { status: "waiting" },
+  }),
+}));
+jest.mock("../model/SequenceModel", () => {
+  let value = 0;
+  return {
+    Sequence: {
+      findOneAndUpdate: jest.fn(async () => ({ value: ++value })),
+    },
+  };
+});
+
+const { QueueEntry } = require("../model/QueueEntryModel");
+const { issueNumber } = require("../services/queueService");
+
+const PARALLEL = 10;
+
+const department = {
+  _id: new mongoose.Types.ObjectId(),
+  referencePrefix: "REG",
+};
+
+const times = (count, make) => Array.from({ length: count }, make);
+
+beforeEach(() => {
+  QueueEntry.clear();
+});
+
+describe("issueNumber", () => {
+  it("gives a customer one number however many requests race", async () => {
+    const customerID = new mongoose.Types.ObjectId();
+
+    const results = await Promise.all(
+      times(PARALLEL, () => issueNumber(department, { customerID }))
+    );
+
+    const issued = results.filter((result) => result.entry);
+    expect(issued).toHaveLength(1);
+    results
+      .filter((result) => result.duplicate)
+      .forEach((result) =>
+        expect(result.duplicate.token).toBe(issued[0].entry.token)
+      );
+    expect(QueueEntry.docs).toHaveLength(1);
+  });
+
+  it("gives a customer a new number once the old one is finished", async () => {
+    const customerID = new mongoose.Types.ObjectId();
+    await issueNumber(department, { customerID });
+    QueueEntry.docs[0].status = "served";
+
+    const result = await issueNumber(department, { customerID });
+
+    expect(result.entry).toBeDefined();
+    expect(QueueEntry.docs).toHaveLength(2);
+  });
+
+  it("numbers walk-ins without an account separately", async () => {
+    const results = await Promise.all(
+      times(3, (_, index) =>
+        issueNumber(department, { name: `Guest ${index}` })
+      )
+    );
+
+    expect(results.every((result) => result.entry)).toBe(true);
+    expect(QueueEntry.docs).toHaveLength(3);
+  });
+});
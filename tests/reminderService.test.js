@@ -0,0 +1,106 @@
+const mongoose = require("mongoose");
+
+jest.mock("../model/TicketModel", () => ({
+  Ticket: require("./support/memoryModel").createMemoryModel(),
+}));
+jest.mock("../model/SentReminderModel", () => ({
+  SentReminder: require("./support/memoryModel").createMemoryModel({
+    unique: ["ticketID", "appointmentDateTime", "offsetMinutes"],
+  }),
+}));
+
+const { Ticket } = require("../model/TicketModel");
+const { SentReminder } = require("../model/SentReminderModel");
+const { setTransporter } = require("../services/emailService");
+const { JobRunner } = require("../services/jobRunner");
+const { TICKET_STATUS } = require("../services/ticketLifecycle");
+const {
+  REMINDER_INTERVAL_MS,
+  sendDueReminders,
+} = require("../services/reminderService");
+
+const HOUR = 60 * 60 * 1000;
+
+const appointment = new Date("2030-03-04T09:00:00Z");
+const transport = { sendMail: jest.fn(async () => {}) };
+
+// A runner like the server's, on a clock the test moves by hand
+const createRunner = (clock) => {
+  const runner = new JobRunner({ now: () => clock.now });
+  runner.register("appointment-reminders", REMINDER_INTERVAL_MS, (now) =>
+    sendDueReminders(now, { offsets: [24 * 60] })
+  );
+  return runner;
+};
+
+beforeAll(() => {
+  setTransporter(transport);
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  jest.spyOn(console, "error").mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.log.mockRestore();
+  console.error.mockRestore();
+});
+
+beforeEach(async () => {
+  Ticket.clear();
+  SentReminder.clear();
+  transport.sendMail.mockClear();
+  await Ticket.create({
+    status: TICKET_STATUS.APPROVED,
+    reference: "REG-2030-000001",
+    appointmentDateTime: appointment,
+    createdDate: new Date(appointment.getTime() - 72 * HOUR),
+    customerID: {
+      _id: new mongoose.Types.ObjectId(),
+      firstName: "Amal",
+      emailAddress: "amal@example.com",
+    },
+    departmentID: { departmentName: "Registration" },
+  });
+});
+
+describe("appointment reminder job", () => {
+  it("sends the reminder once its time has come, and only once", async () => {
+    const clock = { now: new Date(appointment.getTime() - 25 * HOUR) };
+    const runner = createRunner(clock);
+
+    await runner.runAll();
+    expect(transport.sendMail).not.toHaveBeenCalled();
+
+    clock.now = new Date(appointment.getTime() - 23 * HOUR);
+    await runner.runAll();
+    clock.now = new Date(appointment.getTime() - 22 * HOUR);
+    await runner.runAll();
+
+    expect(transport.sendMail).toHaveBeenCalledTimes(1);
+    expect(transport.sendMail.mock.calls[0][0]).toMatchObject({
+      to: "amal@example.com",
+      subject: "Gov Hub - Appointment Reminder [REG-2030-000001]",
+    });
+    expect(SentReminder.docs).toHaveLength(1);
+  });
+
+  it("sends one email when several instances run the job together", async () => {
+    const clock = { now: new Date(appointment.getTime() - 23 * HOUR) };
+
+    await Promise.all([1, 2, 3].map(() => createRunner(clock).runAll()));
+
+    expect(transport.sendMail).toHaveBeenCalledTimes(1);
+  });
+
+  it("retries a reminder that failed to send on the next run", async () => {
+    const clock = { now: new Date(appointment.getTime() - 23 * HOUR) };
+    const runner = createRunner(clock);
+    transport.sendMail.mockRejectedValueOnce(new Error("SMTP unavailable"));
+
+    await runner.runAll();
+    expect(SentReminder.docs).toHaveLength(0);
+
+    await runner.runAll();
+    expect(transport.sendMail).toHaveBeenCalledTimes(2);
+    expect(SentReminder.docs).toHaveLength(1);
+  });
+});
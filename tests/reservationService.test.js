@@ -0,0 +1,133 @@
+const mongoose = require("mongoose");
+
+jest.mock("../model/SlotReservationModel", () => ({
+  SlotReservation: require("./support/memoryModel").createMemoryModel({
+    unique: ["resource", "slot", "seat"],
+  }),
+}));
+jest.mock("../model/DepartmentModel", () => ({
+  Department: { findById: jest.fn() },
+}));
+
+const { SlotReservation } = require("../model/SlotReservationModel");
+const { Department } = require("../model/DepartmentModel");
+const { query } = require("./support/memoryModel");
+const {
+  MAX_ACTIVE_HOLDS,
+  holdSlot,
+  reserveForTicket,
+} = require("../services/reservationService");
+
+const PARALLEL = 10;
+
+const department = {
+  _id: new mongoose.Types.ObjectId(),
+  slotCapacity: 1,
+  counters: [],
+};
+const booking = {
+  departmentID: department._id,
+  slot: new Date("2030-03-04T09:00:00Z"),
+};
+
+const newID = () => new mongoose.Types.ObjectId();
+
+const times = (count, make) => Array.from({ length: count }, make);
+
+beforeEach(() => {
+  SlotReservation.clear();
+  department.slotCapacity = 1;
+  Department.findById.mockImplementation(() => query(async () => department));
+});
+
+describe("parallel bookings of the last seat", () => {
+  it("gives the seat to exactly one of several holds", async () => {
+    const results = await Promise.all(
+      times(PARALLEL, () => holdSlot(booking, newID()))
+    );
+
+    const held = results.filter((result) => result.holdID);
+    expect(held).toHaveLength(1);
+    expect(results.filter((result) => result.full)).toHaveLength(PARALLEL - 1);
+    expect(SlotReservation.docs).toHaveLength(1);
+    expect(SlotReservation.docs[0].holdID).toBe(held[0].holdID);
+  });
+
+  it("gives the seat to exactly one of several tickets", async () => {
+    const results = await Promise.all(
+      times(PARALLEL, () => reserveForTicket(booking, newID()))
+    );
+
+    expect(results.filter((result) => result.reservations)).toHaveLength(1);
+    expect(results.filter((result) => result.full)).toHaveLength(PARALLEL - 1);
+    expect(SlotReservation.docs).toHaveLength(1);
+  });
+
+  it("gives the seat to exactly one of holds and tickets racing each other", async () => {
+    const results = await Promise.all(
+      times(PARALLEL, (_, index) =>
+        index % 2
+          ? holdSlot(booking, newID())
+          : reserveForTicket(booking, newID())
+      )
+    );
+
+    const won = results.filter(
+      (result) => result.holdID || result.reservations
+    );
+    expect(won).toHaveLength(1);
+    expect(results.filter((result) => result.full)).toHaveLength(PARALLEL - 1);
+    expect(SlotReservation.docs).toHaveLength(1);
+  });
+
+  it("fills every seat once when the slot has several", async () => {
+    department.slotCapacity = 3;
+
+    const results = await Promise.all(
+      times(PARALLEL, () => holdSlot(booking, newID()))
+    );
+
+    expect(results.filter((result) => result.holdID)).toHaveLength(3);
+    expect(results.filter((result) => result.full)).toHaveLength(PARALLEL - 3);
+    const seats = SlotReservation.docs.map(({ seat }) => seat).sort();
+    expect(seats).toEqual([0, 1, 2]);
+  });
+});
+
+describe("holds per holder", () => {
+  const slotAt = (index) => ({
+    ...booking,
+    slot: new Date(booking.slot.getTime() + index * 30 * 60000),
+  });
+
+  it("refuses a hold beyond the limit", async () => {
+    const holderID = newID();
+    for (let index = 0; index < MAX_ACTIVE_HOLDS; index++) {
+      expect((await holdSlot(slotAt(index), holderID)).holdID).toBeDefined();
+    }
+
+    const extra = await holdSlot(slotAt(MAX_ACTIVE_HOLDS), holderID);
+    expect(extra).toEqual({ holdLimit: MAX_ACTIVE_HOLDS });
+    expect(SlotReservation.docs).toHaveLength(MAX_ACTIVE_HOLDS);
+  });
+
+  it("never lets parallel holds go past the limit", async () => {
+    const holderID = newID();
+    const results = await Promise.all(
+      times(PARALLEL, (_, index) => holdSlot(slotAt(index), holderID))
+    );
+
+    const held = results.filter((result) => result.holdID);
+    expect(held.length).toBeLessThanOrEqual(MAX_ACTIVE_HOLDS);
+    expect(SlotReservation.docs).toHaveLength(held.length);
+  });
+
+  it("leaves other holders unaffected", async () => {
+    for (let index = 0; index < MAX_ACTIVE_HOLDS; index++) {
+      await holdSlot(slotAt(index), newID());
+    }
+    expect(
+      (await holdSlot(slotAt(MAX_ACTIVE_HOLDS), newID())).holdID
+    ).toBeDefined();
+  });
+});
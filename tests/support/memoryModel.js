@@ -0,0 +1,206 @@
+const mongoose = require("mongoose");
+
+// In-memory stand-in for a Mongoose model, for tests without a database.
+// It covers the queries the services make and enforces a unique index, so
+// code that relies on the index to settle races can be run in parallel.
+// Every call yields before touching the data, letting concurrent callers
+// interleave the way they do against a real server.
+
+const DUPLICATE_KEY = 11000;
+
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+const comparable = (value) => {
+  if (value instanceof Date) return value.getTime();
+  if (value instanceof mongoose.Types.ObjectId) return String(value);
+  return value;
+};
+
+const same = (a, b) => {
+  if (a == null || b == null) return a == null && b == null;
+  return comparable(a) === comparable(b);
+};
+
+const matchesCondition = (value, condition) => {
+  const isOperator =
+    condition &&
+    typeof condition === "object" &&
+    !(condition instanceof Date) &&
+    !(condition instanceof mongoose.Types.ObjectId) &&
+    Object.keys(condition).every((key) => key.startsWith("$"));
+  if (!isOperator) {
+    // As in MongoDB, a value matches an array field holding it
+    return Array.isArray(value)
+      ? value.some((item) => same(item, condition))
+      : same(value, condition);
+  }
+
+  return Object.entries(condition).every(([operator, operand]) => {
+    switch (operator) {
+      case "$ne":
+        return !same(value, operand);
+      case "$in":
+        return operand.some((option) => same(value, option));
+      case "$nin":
+        return !operand.some((option) => same(value, option));
+      case "$gt":
+        return value != null && comparable(value) > comparable(operand);
+      case "$gte":
+        return value != null && comparable(value) >= comparable(operand);
+      case "$lt":
+        return value != null && comparable(value) < comparable(operand);
+      case "$lte":
+        return value != null && comparable(value) <= comparable(operand);
+      default:
+        throw new Error(`memoryModel does not support ${operator}`);
+    }
+  });
+};
+
+const matches = (doc, filter) =>
+  Object.entries(filter).every(([field, condition]) =>
+    field === "$or"
+      ? condition.some((branch) => matches(doc, branch))
+      : matchesCondition(doc[field], condition)
+  );
+
+const applyUpdate = (doc, update) => {
+  Object.assign(doc, update.$set);
+  Object.entries(update.$pull || {}).forEach(([field, value]) => {
+    doc[field] = (doc[field] || []).filter((item) => !same(item, value));
+  });
+};
+
+// A result that can be awaited directly or after .select()/.lean()/.sort().
+// populate() leaves documents as stored, so store references populated.
+const query = (run) => {
+  const chain = {
+    select: () => chain,
+    lean: () => chain,
+    sort: () => chain,
+    limit: () => chain,
+    populate: () => chain,
+    then: (resolve, reject) => run().then(resolve, reject),
+  };
+  return chain;
+};
+
+/**
+ * Create an in-memory model
+ * @param {Object} [options]
+ * @param {string[]} [options.unique] - Fields that together must be unique
+ * @param {Object} [options.partial] - Filter limiting the unique index to
+ *   the documents it matches, like partialFilterExpression
+ * @param {Object} [options.defaults] - Schema defaults for created documents
+ * @returns {Object} - Model-like object; docs holds the stored documents
+ */
+const createMemoryModel = ({
+  unique = [],
+  partial = {},
+  defaults = {},
+} = {}) => {
+  const docs = [];
+  const matching = (filter) => docs.filter((doc) => matches(doc, filter));
+  const copy = (doc) => doc && { ...doc };
+
+  const assertUnique = (doc) => {
+    if (!unique.length || !matches(doc, partial)) return;
+    const clash = docs.some(
+      (other) =>
+        other !== doc &&
+        matches(other, partial) &&
+        unique.every((field) => same(other[field], doc[field]))
+    );
+    if (clash) {
+      const err = new Error("E11000 duplicate key error");
+      err.code = DUPLICATE_KEY;
+      throw err;
+    }
+  };
+
+  return {
+    docs,
+
+    clear() {
+      docs.length = 0;
+    },
+
+    async create(fields) {
+      await tick();
+      const doc = {
+        _id: new mongoose.Types.ObjectId(),
+        ...defaults,
+        ...fields,
+      };
+      assertUnique(doc);
+      docs.push(doc);
+      return copy(doc);
+    },
+
+    find(filter = {}) {
+      return query(async () => {
+        await tick();
+        return matching(filter).map(copy);
+      });
+    },
+
+    findOne(filter = {}) {
+      return query(async () => {
+        await tick();
+        return copy(matching(filter)[0]) || null;
+      });
+    },
+
+    async distinct(field, filter = {}) {
+      await tick();
+      const values = matching(filter).map((doc) => doc[field]);
+      return values.filter(
+        (value, index) =>
+          value != null &&
+          values.findIndex((other) => same(other, value)) === index
+      );
+    },
+
+    countDocuments(filter = {}) {
+      return query(async () => {
+        await tick();
+        return matching(filter).length;
+      });
+    },
+
+    findOneAndUpdate(filter, update, options = {}) {
+      return query(async () => {
+        await tick();
+        const doc = matching(filter)[0];
+        if (!doc) return null;
+        const before = copy(doc);
+        applyUpdate(doc, update);
+        return copy(options.new ? doc : before);
+      });
+    },
+
+    async updateMany(filter, update) {
+      await tick();
+      const found = matching(filter);
+      found.forEach((doc) => applyUpdate(doc, update));
+      return { modifiedCount: found.length };
+    },
+
+    async deleteOne(filter) {
+      await tick();
+      const index = docs.findIndex((doc) => matches(doc, filter));
+      if (index !== -1) docs.splice(index, 1);
+      return { deletedCount: index === -1 ? 0 : 1 };
+    },
+
+    async deleteMany(filter) {
+      await tick();
+      const found = new Set(matching(filter));
+      const kept = docs.filter((doc) => !found.has(doc));
+      docs.splice(0, docs.length, ...kept);
+      return { deletedCount: found.size };
+    },
+  };
+};
+
+module.exports = { createMemoryModel, query };
@@ -0,0 +1,72 @@
+const mongoose = require("mongoose");
+
+jest.mock("../model/StaffModel", () => ({
+  Staff: require("./support/memoryModel").createMemoryModel(),
+}));
+
+const { Staff } = require("../model/StaffModel");
+const {
+  generateSecret,
+  codeForStep,
+  generateRecoveryCodes,
+  checkSecondFactor,
+} = require("../services/twoFactorService");
+
+const PARALLEL = 5;
+
+const currentStep = () => Math.floor(Date.now() / 1000 / 30);
+
+// Each request loads its own copy of the staff member, as logins do
+const loadStaff = async (id) => Staff.findOne({ _id: id });
+
+const enrolledStaff = async () => {
+  const { codes, hashes } = generateRecoveryCodes();
+  const staff = await Staff.create({
+    _id: new mongoose.Types.ObjectId(),
+    twoFactorEnabled: true,
+    twoFactorSecret: generateSecret(),
+    twoFactorRecoveryCodes: hashes,
+  });
+  return { staff, codes };
+};
+
+const inParallel = async (staff, input) => {
+  const copies = await Promise.all(
+    Array.from({ length: PARALLEL }, () => loadStaff(staff._id))
+  );
+  return Promise.all(copies.map((copy) => checkSecondFactor(copy, input)));
+};
+
+beforeEach(() => Staff.clear());
+
+describe("checkSecondFactor", () => {
+  it("accepts a recovery code for only one of several parallel logins", async () => {
+    const { staff, codes } = await enrolledStaff();
+
+    const results = await inParallel(staff, { recoveryCode: codes[0] });
+
+    expect(results.filter(Boolean)).toHaveLength(1);
+    const stored = await loadStaff(staff._id);
+    expect(stored.twoFactorRecoveryCodes).toHaveLength(codes.length - 1);
+  });
+
+  it("accepts a TOTP code for only one of several parallel logins", async () => {
+    const { staff } = await enrolledStaff();
+    const step = currentStep();
+    const code = codeForStep(staff.twoFactorSecret, step);
+
+    const results = await inParallel(staff, { code });
+
+    expect(results.filter(Boolean)).toHaveLength(1);
+    expect((await loadStaff(staff._id)).twoFactorLastStep).toBe(step);
+  });
+
+  it("refuses a code from a step already used", async () => {
+    const { staff } = await enrolledStaff();
+    const code = codeForStep(staff.twoFactorSecret, currentStep());
+
+    expect(await checkSecondFactor(staff, { code })).toBeTruthy();
+    const reloaded = await loadStaff(staff._id);
+    expect(await checkSecondFactor(reloaded, { code })).toBeNull();
+  });
+});
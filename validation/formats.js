@@ -0,0 +1,56 @@
+const moment = require("moment");
+
+// Named string formats used by validation schemas. Each entry has a test,
+// the error message shown to clients and how it is described in OpenAPI.
+const formats = {
+  email: {
+    test: (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+    message: "must be a valid email address",
+    openApi: { format: "email" },
+  },
+  // Sri Lankan numbers: local (0XXXXXXXXX) or international (+94XXXXXXXXX)
+  phone: {
+    test: (value) => /^(?:\+94|0)\d{9}$/.test(value.replace(/[\s-]/g, "")),
+    message: "must be a valid phone number, e.g. 0771234567 or +94771234567",
+    openApi: { pattern: "^(?:\\+94|0)\\d{9}$" },
+  },
+  // Sri Lankan NIC: old format (9 digits + V/X) or new format (12 digits)
+  nic: {
+    test: (value) => /^(?:\d{9}[VvXx]|\d{12})$/.test(value),
+    message: "must be a valid NIC number (123456789V or 200012345678)",
+    openApi: { pattern: "^(?:\\d{9}[VvXx]|\\d{12})$" },
+  },
+  date: {
+    test: (value) => moment(value, "YYYY-MM-DD", true).isValid(),
+    message: "must be a date in YYYY-MM-DD format",
+    openApi: { format: "date" },
+  },
+  "date-time": {
+    test: (value) => moment(value, moment.ISO_8601, true).isValid(),
+    message: "must be an ISO 8601 date-time",
+    openApi: { format: "date-time" },
+  },
+  time: {
+    test: (value) => /^(?:[01]\d|2[0-3]):[0-5]\d$/.test(value),
+    message: "must be a time in HH:mm format",
+    openApi: { pattern: "^(?:[01]\\d|2[0-3]):[0-5]\\d$" },
+  },
+  otp: {
+    test: (value) => /^\d{6}$/.test(value),
+    message: "must be a 6-digit code",
+    openApi: { pattern: "^\\d{6}$" },
+  },
+  // Two to five capital letters, starting ticket references
+  referencePrefix: {
+    test: (value) => /^[A-Z]{2,5}$/.test(value),
+    message: "must be 2 to 5 capital letters, e.g. REG",
+    openApi: { pattern: "^[A-Z]{2,5}$" },
+  },
+  objectId: {
+    test: (value) => /^[0-9a-fA-F]{24}$/.test(value),
+    message: "must be a valid ID",
+    openApi: { pattern: "^[0-9a-fA-F]{24}$" },
+  },
+};
+
+module.exports = formats;
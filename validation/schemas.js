@@ -0,0 +1,633 @@
+// validation/schemas.js
+//
+// Request body schemas, one per route that accepts input. Each field spec
+// supports: type, required, format (see formats.js), enum, minLength,
+// maxLength, minimum, maximum, items, fields, nullable, description, example.
+// Fields not listed in a schema are rejected. A schema may also list rules,
+// cross-field checks of { field, message, test }; message may be a function
+// of the body.
+
+const { MIN_PASSWORD_LENGTH } = require("../services/passwordService");
+const {
+  WEEKDAYS,
+  MAX_SLOTS_PER_BOOKING,
+  scheduleProblem,
+} = require("../services/scheduleService");
+const { TICKET_STATUSES } = require("../services/ticketLifecycle");
+const { ASSIGNMENT_STRATEGIES } = require("../services/assignmentStrategies");
+const {
+  SERIES_FREQUENCIES,
+  MAX_SERIES_OCCURRENCES,
+} = require("../services/ticketSeriesService");
+
+const GENDERS = ["Male", "Female", "Other"];
+const STAFF_ROLES = ["staff", "dhead", "admin"];
+
+const password = {
+  type: "string",
+  required: true,
+  minLength: MIN_PASSWORD_LENGTH,
+  maxLength: 128,
+  trim: false,
+};
+
+const name = { type: "string", maxLength: 50 };
+
+const customerFields = {
+  NIC: { type: "string", format: "nic", example: "200012345678" },
+  firstName: { ...name, required: true, example: "John" },
+  lastName: { ...name, required: true, example: "Doe" },
+  dateOfBirth: { type: "string", format: "date", example: "1990-05-20" },
+  gender: { type: "string", enum: GENDERS },
+  phoneNumber: { type: "string", format: "phone", example: "0771234567" },
+  emailAddress: {
+    type: "string",
+    format: "email",
+    required: true,
+    example: "customer@example.com",
+  },
+  address: { type: "string", maxLength: 200 },
+};
+
+const staffFields = {
+  firstName: { ...name, required: true, example: "Jane" },
+  lastName: { ...name, required: true, example: "Doe" },
+  dateOfBirth: { type: "string", format: "date", example: "1990-05-20" },
+  gender: { type: "string", enum: GENDERS },
+  phoneNumber: { type: "string", format: "phone", example: "0771234567" },
+  emailAddress: {
+    type: "string",
+    format: "email",
+    required: true,
+    example: "jane.doe@example.com",
+  },
+  address: { type: "string", maxLength: 200 },
+  employeeID: { type: "string", maxLength: 30, example: "EMP002" },
+  departmentID: { type: "string", format: "objectId", required: true },
+  role: { type: "string", enum: STAFF_ROLES },
+  hireDate: { type: "string", format: "date", example: "2021-01-15" },
+  permission: { type: "string", maxLength: 50 },
+  slotCapacity: { type: "integer", minimum: 1, maximum: 100 },
+  skills: {
+    type: "array",
+    maxItems: 50,
+    items: { type: "string", maxLength: 100 },
+    description: "Appointment reasons this staff member handles",
+  },
+};
+
+const time = { type: "string", format: "time", required: true };
+
+const schedule = {
+  type: "object",
+  description: "Weekly opening hours, slot length and closure dates",
+  fields: {
+    slotMinutes: { type: "integer", minimum: 5, maximum: 240, example: 30 },
+    weekly: {
+      type: "array",
+      maxItems: 7,
+      items: {
+        type: "object",
+        fields: {
+          day: { type: "string", enum: WEEKDAYS, required: true },
+          open: { ...time, example: "08:30" },
+          close: { ...time, example: "16:30" },
+          breaks: {
+            type: "array",
+            maxItems: 10,
+            items: {
+              type: "object",
+              fields: {
+                start: { ...time, example: "12:30" },
+                end: { ...time, example: "13:30" },
+              },
+            },
+          },
+        },
+      },
+    },
+    closures: {
+      type: "array",
+      maxItems: 366,
+      items: {
+        type: "object",
+        fields: {
+          date: { type: "string", format: "date", required: true },
+          reason: { type: "string", maxLength: 200 },
+        },
+      },
+    },
+  },
+};
+
+const departmentFields = {
+  departmentName: {
+    type: "string",
+    required: true,
+    maxLength: 100,
+    example: "Registrar of Persons",
+  },
+  departmentDescription: { type: "string", required: true, maxLength: 1000 },
+  phoneNumber: { type: "string", format: "phone", required: true },
+  emailAddress: { type: "string", format: "email", required: true },
+  departmentHeadID: { type: "string", format: "objectId" },
+  referencePrefix: {
+    type: "string",
+    format: "referencePrefix",
+    example: "REG",
+    description: "Starts the department's ticket references",
+  },
+  operatingHours: { type: "string", required: true, maxLength: 200 },
+  appointmentReasons: {
+    type: "array",
+    maxItems: 50,
+    items: { type: "string", maxLength: 100 },
+  },
+  assignmentStrategy: {
+    type: "string",
+    enum: ASSIGNMENT_STRATEGIES,
+    description: "How new tickets are handed to staff",
+  },
+  changeRules: {
+    type: "object",
+    description: "What customers may do to their own appointments",
+    fields: {
+      minNoticeHours: {
+        type: "integer",
+        minimum: 0,
+        maximum: 720,
+        example: 24,
+        description: "No rescheduling or cancelling closer to the appointment",
+      },
+      maxReschedules: { type: "integer", minimum: 0, maximum: 20, example: 2 },
+    },
+  },
+  noShowRules: {
+    type: "object",
+    description: "Check-in grace period and booking limits after no-shows",
+    fields: {
+      graceMinutes: {
+        type: "integer",
+        minimum: 0,
+        maximum: 240,
+        example: 15,
+        description: "After the slot, before an appointment becomes a NoShow",
+      },
+      maxNoShows: {
+        type: "integer",
+        minimum: 0,
+        maximum: 50,
+        example: 3,
+        description:
+          "No-shows after which online booking is paused; 0 for no limit",
+      },
+      restrictionDays: {
+        type: "integer",
+        minimum: 0,
+        maximum: 365,
+        example: 30,
+      },
+    },
+  },
+  slotCapacity: {
+    type: "integer",
+    minimum: 1,
+    maximum: 100,
+    description: "Appointments served at the same time, per slot",
+  },
+  counters: {
+    type: "array",
+    maxItems: 50,
+    items: {
+      type: "object",
+      fields: {
+        _id: { type: "string", format: "objectId" },
+        name: { type: "string", required: true, maxLength: 50 },
+        slotCapacity: { type: "integer", minimum: 1, maximum: 100 },
+      },
+    },
+  },
+  schedule,
+};
+
+const appointmentFields = {
+  appointmentDateTime: {
+    type: "string",
+    format: "date-time",
+    example: "2026-10-01T09:00:00+05:30",
+  },
+  appointmentDate: { type: "string", format: "date", example: "2026-10-01" },
+  appointmentTime: { type: "string", format: "time", example: "09:00" },
+};
+
+const slotCount = {
+  type: "integer",
+  minimum: 1,
+  maximum: MAX_SLOTS_PER_BOOKING,
+  example: 2,
+  description: "Back-to-back slots the appointment takes, 1 by default",
+};
+
+const ticketFields = {
+  customerID: {
+    type: "string",
+    format: "objectId",
+    description: "Required when staff book on a citizen's behalf",
+  },
+  departmentID: { type: "string", format: "objectId", required: true },
+  issueDescription: {
+    type: "string",
+    required: true,
+    maxLength: 2000,
+    example: "Apply for a duplicate birth certificate",
+  },
+  appointmentReason: {
+    type: "string",
+    maxLength: 100,
+    description: "One of the department's appointmentReasons",
+  },
+  staffID: {
+    type: "string",
+    format: "objectId",
+    description: "Leave out to let the department's strategy pick",
+  },
+  counterID: { type: "string", format: "objectId" },
+  slotCount,
+  notes: { type: "string", maxLength: 2000 },
+  holdID: {
+    type: "string",
+    maxLength: 64,
+    description: "Hold from POST /api/tickets/holds, if the slot was held",
+  },
+  ...appointmentFields,
+};
+
+const recurrence = {
+  type: "object",
+  description: "Repeat the appointment, e.g. every 2 weeks for 6 visits",
+  fields: {
+    frequency: { type: "string", enum: SERIES_FREQUENCIES, required: true },
+    interval: {
+      type: "integer",
+      minimum: 1,
+      maximum: 12,
+      example: 2,
+      description: "Every how many weeks or months, 1 by default",
+    },
+    occurrences: {
+      type: "integer",
+      minimum: 2,
+      maximum: MAX_SERIES_OCCURRENCES,
+      required: true,
+      example: 6,
+    },
+  },
+};
+
+// Everything optional, for partial updates
+const optional = (fields) =>
+  Object.fromEntries(
+    Object.entries(fields).map(([field, spec]) => [
+      field,
+      { ...spec, required: false },
+    ])
+  );
+
+const without = (fields, ...names) =>
+  Object.fromEntries(
+    Object.entries(fields).filter(([field]) => !names.includes(field))
+  );
+
+// Either a full date-time, or a date and a time
+const hasAppointmentTime = {
+  field: "appointmentDateTime",
+  message:
+    "provide appointmentDateTime, or appointmentDate and appointmentTime",
+  test: (body) =>
+    Boolean(
+      body.appointmentDateTime || (body.appointmentDate && body.appointmentTime)
+    ),
+};
+
+// Opening times and breaks must make sense together
+const consistentSchedule = {
+  field: "schedule",
+  message: (body) => scheduleProblem(body.schedule),
+  test: (body) => !body.schedule || !scheduleProblem(body.schedule),
+};
+
+const onlyWithBoth = {
+  field: "appointmentTime",
+  message: "appointmentDate and appointmentTime must be sent together",
+  test: (body) => !body.appointmentDate === !body.appointmentTime,
+};
+
+const twoFactorCode = {
+  type: "string",
+  format: "otp",
+  required: true,
+  example: "123456",
+};
+const challengeToken = { type: "string", required: true };
+
+// Exactly one of a TOTP code or a recovery code
+const codeOrRecoveryCode = {
+  field: "code",
+  message: "provide either code or recoveryCode",
+  test: (body) => !body.code !== !body.recoveryCode,
+};
+
+module.exports = {
+  // Customers
+  customerCreate: {
+    fields: { ...customerFields, password },
+  },
+  customerUpdate: {
+    fields: without(optional(customerFields), "emailAddress"),
+  },
+  customerLogin: {
+    fields: {
+      email: { type: "string", format: "email", required: true },
+      password: { type: "string", required: true, trim: false },
+    },
+  },
+  verifyEmail: {
+    fields: { token: { type: "string", required: true } },
+  },
+
+  // Staff
+  staffCreate: {
+    fields: { ...staffFields, password },
+  },
+  staffUpdate: {
+    fields: optional(staffFields),
+  },
+  staffLogin: {
+    fields: {
+      email: { type: "string", format: "email", required: true },
+      password: { type: "string", required: true, trim: false },
+    },
+  },
+
+  // Staff two-factor authentication
+  twoFactorLogin: {
+    fields: {
+      challengeToken,
+      code: { ...twoFactorCode, required: false },
+      recoveryCode: { type: "string", maxLength: 20, example: "a1b2c-3d4e5" },
+    },
+    rules: [codeOrRecoveryCode],
+  },
+  twoFactorChallenge: {
+    fields: { challengeToken },
+  },
+  twoFactorLoginConfirm: {
+    fields: { challengeToken, code: twoFactorCode },
+  },
+  twoFactorCode: {
+    fields: {
+      code: { ...twoFactorCode, required: false },
+      recoveryCode: { type: "string", maxLength: 20 },
+    },
+    rules: [codeOrRecoveryCode],
+  },
+  twoFactorConfirm: {
+    fields: { code: twoFactorCode },
+  },
+  twoFactorDisable: {
+    fields: {
+      password: { type: "string", required: true, trim: false },
+      code: twoFactorCode,
+    },
+  },
+  twoFactorPolicy: {
+    fields: {
+      requiredRoles: {
+        type: "array",
+        required: true,
+        items: { type: "string", enum: STAFF_ROLES },
+      },
+    },
+  },
+
+  // Sessions and passwords, shared by customers and staff
+  refreshToken: {
+    fields: { refreshToken: { type: "string", required: true } },
+  },
+  passwordForgot: {
+    fields: { email: { type: "string", format: "email", required: true } },
+  },
+  passwordReset: {
+    fields: { token: { type: "string", required: true }, password },
+  },
+  passwordChange: {
+    fields: {
+      currentPassword: { type: "string", required: true, trim: false },
+      newPassword: password,
+    },
+  },
+
+  // Departments
+  departmentCreate: {
+    fields: departmentFields,
+    rules: [consistentSchedule],
+  },
+  departmentUpdate: {
+    fields: optional(departmentFields),
+    rules: [consistentSchedule],
+  },
+  publicHolidays: {
+    fields: {
+      holidays: {
+        type: "array",
+        required: true,
+        maxItems: 100,
+        items: {
+          type: "object",
+          fields: {
+            date: { type: "string", format: "date", required: true },
+            name: {
+              type: "string",
+              required: true,
+              maxLength: 100,
+              example: "Vesak Full Moon Poya Day",
+            },
+          },
+        },
+      },
+    },
+  },
+
+  // Tickets
+  checkAvailability: {
+    fields: {
+      date: { type: "string", format: "date", required: true },
+      time: { type: "string", format: "time", required: true },
+      departmentID: { type: "string", format: "objectId", required: true },
+      counterID: { type: "string", format: "objectId" },
+      staffID: { type: "string", format: "objectId" },
+      slotCount,
+      recurrence: {
+        ...recurrence,
+        description: "Check every visit of a series",
+      },
+    },
+  },
+  ticketCreate: {
+    fields: ticketFields,
+    rules: [hasAppointmentTime, onlyWithBoth],
+  },
+  ticketSeriesCreate: {
+    fields: {
+      ...without(ticketFields, "holdID"),
+      recurrence: { ...recurrence, required: true },
+    },
+    rules: [hasAppointmentTime, onlyWithBoth],
+  },
+  slotHold: {
+    fields: {
+      departmentID: { type: "string", format: "objectId", required: true },
+      counterID: { type: "string", format: "objectId" },
+      staffID: { type: "string", format: "objectId" },
+      slotCount,
+      appointmentDateTime: {
+        ...appointmentFields.appointmentDateTime,
+        required: true,
+      },
+    },
+  },
+  ticketUpdate: {
+    fields: {
+      issueDescription: { type: "string", maxLength: 2000 },
+      staffID: { type: "string", format: "objectId", nullable: true },
+      counterID: { type: "string", format: "objectId", nullable: true },
+      status: { type: "string", enum: TICKET_STATUSES },
+      notes: { type: "string", maxLength: 2000 },
+      feedback: { type: "string", maxLength: 2000 },
+      rejectionReason: { type: "string", maxLength: 1000 },
+      reason: {
+        type: "string",
+        maxLength: 1000,
+        description: "Why the change was made, kept in the ticket history",
+      },
+      // Rescheduling goes through the slot check, so only the full date-time
+      appointmentDateTime: appointmentFields.appointmentDateTime,
+    },
+  },
+
+  ticketReschedule: {
+    fields: {
+      appointmentDateTime: {
+        ...appointmentFields.appointmentDateTime,
+        required: true,
+      },
+      reason: { type: "string", maxLength: 1000 },
+    },
+  },
+  ticketCancel: {
+    fields: {
+      reason: { type: "string", maxLength: 1000 },
+    },
+  },
+  ticketSeriesReschedule: {
+    fields: {
+      appointmentDateTime: {
+        ...appointmentFields.appointmentDateTime,
+        required: true,
+        description:
+          "New time of the next visit; later visits keep their spacing",
+      },
+      reason: { type: "string", maxLength: 1000 },
+    },
+  },
+  ticketReassign: {
+    fields: {
+      staffID: {
+        type: "string",
+        format: "objectId",
+        description: "Leave out to let the department's strategy pick",
+      },
+      reason: { type: "string", required: true, maxLength: 1000 },
+    },
+  },
+
+  ticketComment: {
+    fields: {
+      body: { type: "string", required: true, maxLength: 5000 },
+      internal: {
+        type: "boolean",
+        description: "Staff only: hide the comment from the customer",
+      },
+    },
+  },
+
+  ticketAttachmentUpload: {
+    fields: {
+      commentID: {
+        type: "string",
+        format: "objectId",
+        description: "Attach the files to one of your comments on the ticket",
+      },
+    },
+  },
+
+  // Waitlist
+  waitlistJoin: {
+    fields: {
+      departmentID: { type: "string", format: "objectId", required: true },
+      customerID: {
+        type: "string",
+        format: "objectId",
+        description: "Required when staff add a citizen",
+      },
+      date: { type: "string", format: "date", required: true },
+      time: {
+        type: "string",
+        format: "time",
+        description: "Wait for this slot only; any slot of the day if left out",
+      },
+      issueDescription: { type: "string", maxLength: 2000 },
+    },
+  },
+
+  // Walk-in queue
+  queueEntryCreate: {
+    fields: {
+      customerID: {
+        type: "string",
+        format: "objectId",
+        description: "Staff only: the citizen's account, if they have one",
+      },
+      name: { type: "string", maxLength: 100, example: "Nimal Perera" },
+      issueDescription: { type: "string", maxLength: 2000 },
+    },
+  },
+  queueCall: {
+    fields: {
+      counterID: {
+        type: "string",
+        format: "objectId",
+        description: "Counter the walk-in should come to",
+      },
+    },
+  },
+
+  // Announcements and messages
+  announcementCreate: {
+    fields: {
+      departmentID: { type: "string", format: "objectId", required: true },
+      content: { type: "string", required: true, maxLength: 2000 },
+    },
+  },
+  messageCreate: {
+    fields: {
+      senderName: { type: "string", required: true, maxLength: 100 },
+      recipientDepartment: {
+        type: "string",
+        format: "objectId",
+        required: true,
+      },
+      content: { type: "string", required: true, maxLength: 2000 },
+    },
+  },
+};
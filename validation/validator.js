@@ -0,0 +1,211 @@
+const formats = require("./formats");
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * Check one value against a field spec
+ * @param {string} path - Field path used in error messages
+ * @param {Object} spec - Field spec, see schemas.js
+ * @param {*} value - Value to check
+ * @param {Object[]} errors - Collected { field, message } errors
+ * @returns {*} - The value to keep
+ */
+const checkValue = (path, spec, value, errors) => {
+  const fail = (message) => {
+    errors.push({ field: path, message });
+    return value;
+  };
+
+  if (value === null) {
+    if (!spec.nullable) fail("must not be null");
+    return value;
+  }
+
+  switch (spec.type) {
+    case "string":
+      if (typeof value !== "string") return fail("must be a string");
+      if (spec.trim !== false) value = value.trim();
+      if (value === "") {
+        // Optional fields may be sent blank to clear them
+        if (spec.required) return fail("is required");
+        break;
+      }
+      if (spec.minLength !== undefined && value.length < spec.minLength)
+        return fail(`must be at least ${spec.minLength} characters`);
+      if (spec.maxLength !== undefined && value.length > spec.maxLength)
+        return fail(`must be at most ${spec.maxLength} characters`);
+      if (spec.format && !formats[spec.format].test(value))
+        return fail(formats[spec.format].message);
+      break;
+    case "number":
+    case "integer":
+      if (typeof value !== "number" || Number.isNaN(value))
+        return fail("must be a number");
+      if (spec.type === "integer" && !Number.isInteger(value))
+        return fail("must be a whole number");
+      if (spec.minimum !== undefined && value < spec.minimum)
+        return fail(`must be at least ${spec.minimum}`);
+      if (spec.maximum !== undefined && value > spec.maximum)
+        return fail(`must be at most ${spec.maximum}`);
+      break;
+    case "boolean":
+      if (typeof value !== "boolean") return fail("must be true or false");
+      break;
+    case "array":
+      if (!Array.isArray(value)) return fail("must be a list");
+      if (spec.maxItems !== undefined && value.length > spec.maxItems)
+        return fail(`must have at most ${spec.maxItems} items`);
+      if (spec.items) {
+        value = value.map((item, index) =>
+          checkValue(`${path}[${index}]`, spec.items, item, errors)
+        );
+      }
+      break;
+    case "object":
+      if (!isPlainObject(value)) return fail("must be an object");
+      if (spec.fields) value = checkFields(spec, value, errors, `${path}.`);
+      break;
+    default:
+      break;
+  }
+
+  if (spec.enum && !spec.enum.includes(value)) {
+    fail(`must be one of: ${spec.enum.join(", ")}`);
+  }
+
+  return value;
+};
+
+/**
+ * Check an object against a schema's fields. Unknown fields are rejected.
+ * @returns {Object} - A copy holding only the whitelisted fields
+ */
+const checkFields = (schema, input, errors, prefix = "") => {
+  const output = {};
+
+  Object.keys(input).forEach((field) => {
+    if (!schema.fields[field]) {
+      errors.push({ field: prefix + field, message: "is not allowed" });
+    }
+  });
+
+  Object.entries(schema.fields).forEach(([field, spec]) => {
+    const value = input[field];
+    if (value === undefined || (value === "" && spec.required)) {
+      if (spec.required) {
+        errors.push({ field: prefix + field, message: "is required" });
+      }
+      return;
+    }
+    output[field] = checkValue(prefix + field, spec, value, errors);
+  });
+
+  return output;
+};
+
+/**
+ * Validate a request body against a schema
+ * @param {Object} schema - Schema from schemas.js
+ * @param {Object} body - Request body
+ * @returns {{ value: Object, errors: Object[] }}
+ */
+const validateBody = (schema, body) => {
+  const errors = [];
+  if (!isPlainObject(body)) {
+    return {
+      value: {},
+      errors: [{ field: "body", message: "must be a JSON object" }],
+    };
+  }
+
+  const value = checkFields(schema, body, errors);
+
+  // Cross-field rules run only once every field is individually valid
+  if (!errors.length && schema.rules) {
+    schema.rules.forEach((rule) => {
+      if (!rule.test(value)) {
+        const message =
+          typeof rule.message === "function"
+            ? rule.message(value)
+            : rule.message;
+        errors.push({ field: rule.field, message });
+      }
+    });
+  }
+
+  return { value, errors };
+};
+
+/**
+ * Build a middleware that validates req.body against a schema. On success
+ * req.body is replaced by the whitelisted copy; otherwise a 400 lists every
+ * invalid field.
+ * @param {Object} schema - Schema from schemas.js
+ * @returns {Function} - Express middleware
+ */
+const validate = (schema) => (req, res, next) => {
+  const { value, errors } = validateBody(schema, req.body);
+
+  if (errors.length) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors,
+    });
+  }
+
+  req.body = value;
+  next();
+};
+
+/**
+ * Describe a field spec as an OpenAPI schema
+ */
+const specToOpenApi = (spec) => {
+  const result = {
+    type: spec.type,
+    ...(spec.format && formats[spec.format].openApi),
+  };
+  [
+    "description",
+    "enum",
+    "minLength",
+    "maxLength",
+    "minimum",
+    "maximum",
+    "maxItems",
+    "nullable",
+    "example",
+  ].forEach((key) => {
+    if (spec[key] !== undefined) result[key] = spec[key];
+  });
+  if (spec.items) result.items = specToOpenApi(spec.items);
+  if (spec.fields) Object.assign(result, toOpenApi(spec));
+  return result;
+};
+
+/**
+ * Generate the OpenAPI (Swagger) request body schema for a validation schema
+ * @param {Object} schema - Schema from schemas.js
+ * @returns {Object} - OpenAPI schema object
+ */
+const toOpenApi = (schema) => {
+  const properties = {};
+  const required = [];
+
+  Object.entries(schema.fields).forEach(([field, spec]) => {
+    properties[field] = specToOpenApi(spec);
+    if (spec.required) required.push(field);
+  });
+
+  return {
+    type: "object",
+    additionalProperties: false,
+    properties,
+    ...(required.length && { required }),
+    ...(schema.description && { description: schema.description }),
+  };
+};
+
+module.exports = { validate, validateBody, toOpenApi };